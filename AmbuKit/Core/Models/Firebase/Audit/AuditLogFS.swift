@@ -25,6 +25,10 @@ public struct AuditLogFS: Codable, Identifiable, Equatable {
     /// Fecha y hora en que ocurrió la acción
     public var timestamp: Date
     
+    /// UID de Firebase Auth de quien realizó la acción (las reglas lo
+    /// comparan con el usuario autenticado; nil en logs sin actor)
+    public var actorUid: String?
+    
     /// Nombre de usuario que realizó la acción
     public var actorUsername: String?
     
@@ -70,6 +74,7 @@ public struct AuditLogFS: Codable, Identifiable, Equatable {
     public enum CodingKeys: String, CodingKey {
         case id
         case timestamp
+        case actorUid
         case actorUsername
         case actorRole
         case actionRaw
@@ -86,6 +91,7 @@ public struct AuditLogFS: Codable, Identifiable, Equatable {
     public init(
         id: String? = UUID().uuidString,
         timestamp: Date = Date(),
+        actorUid: String? = nil,
         actorUsername: String?,
         actorRole: String?,
         action: ActionKind,
@@ -97,6 +103,7 @@ public struct AuditLogFS: Codable, Identifiable, Equatable {
     ) {
         self.id = id
         self.timestamp = timestamp
+        self.actorUid = actorUid
         self.actorUsername = actorUsername
         self.actorRole = actorRole
         self.actionRaw = action.rawValue
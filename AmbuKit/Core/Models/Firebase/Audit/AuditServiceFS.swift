@@ -58,8 +58,8 @@ public final class AuditServiceFS: Sendable {
     ///   - actor: Usuario que realizó la acción (nil si es sistema)
     ///   - details: Detalles adicionales opcionales (ej: "Stock actualizado: 5 → 3")
     ///
-    /// - Note: Los errores se manejan silenciosamente para no afectar
-    ///         la operación principal. Solo se imprimen en consola.
+    /// - Note: Los errores (incluido un rechazo de las reglas) no se propagan
+    ///         para no afectar a la operación principal: se imprimen en consola.
     public static func log(
         _ action: ActionKind,
         entity: EntityKind,
@@ -68,6 +68,7 @@ public final class AuditServiceFS: Sendable {
         details: String? = nil
     ) async {
         let entry = AuditLogFS(
+            actorUid: actor?.uid,
             actorUsername: actor?.username,
             actorRole: actor?.roleId,
             action: action,
@@ -77,7 +78,8 @@ public final class AuditServiceFS: Sendable {
         )
         
         do {
-            _ = try db.collection(AuditLogFS.collectionName).addDocument(from: entry)
+            let data = try serverStamped(entry)
+            try await db.collection(AuditLogFS.collectionName).addDocument(data: data)
             
             #if DEBUG
             print("📝 Audit: \(actor?.username ?? "Sistema") \(action.rawValue) \(entity.rawValue) [\(entityId)]")
@@ -124,6 +126,16 @@ public final class AuditServiceFS: Sendable {
         }
     }
     
+    /// Codifica el log con `timestamp` y las fechas de alta del servidor
+    ///
+    /// Las reglas de Firestore exigen `timestamp`, `createdAt` y `updatedAt`
+    /// iguales a `request.time`, así que la fecha del dispositivo nunca se envía.
+    private static func serverStamped(_ entry: AuditLogFS) throws -> [String: Any] {
+        var data = try Firestore.Encoder().encodeForCreate(entry)
+        data["timestamp"] = FieldValue.serverTimestamp()
+        return data
+    }
+    
     // MARK: - Query Methods
     
     /// Obtiene logs con filtros opcionales
@@ -135,6 +147,8 @@ public final class AuditServiceFS: Sendable {
     ///   - action: Filtrar por tipo de acción (opcional)
     ///   - entity: Filtrar por tipo de entidad (opcional)
     ///   - entityId: Filtrar por ID de entidad específica (opcional)
+    ///   - actorUid: Filtrar por UID de Auth del autor (opcional; el único
+    ///     filtro con el que un sanitario puede leer sus propios logs)
     ///   - actorUsername: Filtrar por nombre de usuario (opcional)
     ///   - fromDate: Fecha inicial del rango (opcional)
     ///   - toDate: Fecha final del rango (opcional)
@@ -156,6 +170,7 @@ public final class AuditServiceFS: Sendable {
         action: ActionKind? = nil,
         entity: EntityKind? = nil,
         entityId: String? = nil,
+        actorUid: String? = nil,
         actorUsername: String? = nil,
         fromDate: Date? = nil,
         toDate: Date? = nil,
@@ -177,6 +192,10 @@ public final class AuditServiceFS: Sendable {
                 query = query.whereField("entityId", isEqualTo: entityId)
             }
             
+            if let actorUid = actorUid {
+                query = query.whereField("actorUid", isEqualTo: actorUid)
+            }
+            
             if let actorUsername = actorUsername {
                 query = query.whereField("actorUsername", isEqualTo: actorUsername)
             }
@@ -252,6 +271,23 @@ public final class AuditServiceFS: Sendable {
         await getLogs(actorUsername: username, limit: limit)
     }
     
+    /// Obtiene los logs de un usuario por su UID de Auth
+    ///
+    /// Es la consulta que pueden hacer los sanitarios sobre sus propios logs:
+    /// las reglas solo les dejan leer los que llevan su `actorUid`.
+    ///
+    /// - Parameters:
+    ///   - uid: UID de Firebase Auth del usuario
+    ///   - limit: Número máximo de resultados (default: 50)
+    ///
+    /// - Returns: Array de logs del usuario ordenados por fecha
+    public static func getLogsForUser(
+        uid: String,
+        limit: Int = 50
+    ) async -> [AuditLogFS] {
+        await getLogs(actorUid: uid, limit: limit)
+    }
+    
     /// Obtiene los logs recientes (últimas 24 horas)
     ///
     /// Útil para dashboards y monitoreo de actividad.
@@ -396,6 +432,7 @@ extension AuditServiceFS {
         
         for entry in entries {
             let log = AuditLogFS(
+                actorUid: entry.actor?.uid,
                 actorUsername: entry.actor?.username,
                 actorRole: entry.actor?.roleId,
                 action: entry.action,
@@ -407,7 +444,7 @@ extension AuditServiceFS {
             let docRef = collection.document()
             
             do {
-                try batch.setData(from: log, forDocument: docRef)
+                batch.setData(try serverStamped(log), forDocument: docRef)
             } catch {
                 print("⚠️ AuditServiceFS: Error encoding log entry - \(error.localizedDescription)")
             }
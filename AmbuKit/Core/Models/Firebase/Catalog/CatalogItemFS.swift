@@ -44,6 +44,11 @@ public struct CatalogItemFS: Codable, Identifiable {
     /// ID de la unidad de medida (referencia a UnitOfMeasureFS)
     public var uomId: String?
     
+    // MARK: - Status
+    
+    /// false si el item está archivado (nil en items anteriores: activo)
+    public var active: Bool?
+    
     // MARK: - Timestamps
     
     /// Fecha de creación del registro
@@ -65,6 +70,7 @@ public struct CatalogItemFS: Codable, Identifiable {
         case maxStock
         case categoryId
         case uomId
+        case active
         case createdAt
         case updatedAt
     }
@@ -82,6 +88,7 @@ public struct CatalogItemFS: Codable, Identifiable {
     ///   - maxStock: Stock máximo recomendado (opcional)
     ///   - categoryId: ID de la categoría (opcional)
     ///   - uomId: ID de la unidad de medida (opcional)
+    ///   - active: false si está archivado (opcional)
     ///   - createdAt: Fecha de creación (default: ahora)
     ///   - updatedAt: Fecha de actualización (default: ahora)
     public init(
@@ -94,6 +101,7 @@ public struct CatalogItemFS: Codable, Identifiable {
         maxStock: Double? = nil,
         categoryId: String? = nil,
         uomId: String? = nil,
+        active: Bool? = nil,
         createdAt: Date = Date(),
         updatedAt: Date = Date()
     ) {
@@ -106,6 +114,7 @@ public struct CatalogItemFS: Codable, Identifiable {
         self.maxStock = maxStock
         self.categoryId = categoryId
         self.uomId = uomId
+        self.active = active
         self.createdAt = createdAt
         self.updatedAt = updatedAt
     }
@@ -134,6 +143,11 @@ public extension CatalogItemFS {
         uomId != nil && !(uomId?.isEmpty ?? true)
     }
     
+    /// Indica si el item no está archivado
+    var isActive: Bool {
+        active ?? true
+    }
+    
     /// Badge para UI indicando si es crítico
     var criticalBadge: String {
         critical ? "⚠️ CRÍTICO" : ""
@@ -0,0 +1,130 @@
+//
+//  KitAuditFS.swift
+//  AmbuKit
+//
+//  Created by Adolfo on 18/10/26.
+//
+
+import Foundation
+import FirebaseFirestore
+
+/// Registro de auditoría de un kit para Firestore
+/// Se guarda en kits/{kitId}/audits y no se modifica una vez creado
+public struct KitAuditFS: Codable, Identifiable, Sendable {
+
+    // MARK: - Finding
+
+    /// Recuento de un item del kit durante la auditoría
+    public struct Finding: Codable, Hashable, Sendable {
+        /// ID del item del kit (referencia a KitItemFS)
+        public var kitItemId: String
+
+        /// Cantidad que debería haber según el inventario
+        public var expectedQuantity: Double
+
+        /// Cantidad contada por el auditor
+        public var countedQuantity: Double
+
+        /// Observaciones sobre el item (opcional)
+        public var notes: String?
+
+        public init(
+            kitItemId: String,
+            expectedQuantity: Double,
+            countedQuantity: Double,
+            notes: String? = nil
+        ) {
+            self.kitItemId = kitItemId
+            self.expectedQuantity = expectedQuantity
+            self.countedQuantity = countedQuantity
+            self.notes = notes
+        }
+
+        /// Diferencia entre lo contado y lo esperado
+        public var discrepancy: Double {
+            countedQuantity - expectedQuantity
+        }
+    }
+
+    // MARK: - Properties
+
+    /// ID del documento en Firestore (generado automáticamente)
+    @DocumentID public var id: String?
+
+    /// UID de Firebase Auth de quien realiza la auditoría
+    public let auditorUid: String
+
+    /// Username de quien realiza la auditoría
+    public let auditorUsername: String
+
+    /// Observaciones generales (opcional)
+    public let notes: String?
+
+    /// Recuentos de los items revisados
+    public let findings: [Finding]
+
+    /// Momento de la auditoría (hora del servidor)
+    public let performedAt: Date
+
+    /// Fecha de creación
+    public let createdAt: Date
+
+    /// Fecha de última actualización
+    public let updatedAt: Date
+
+    // MARK: - Coding Keys
+
+    public enum CodingKeys: String, CodingKey {
+        case id
+        case auditorUid
+        case auditorUsername
+        case notes
+        case findings
+        case performedAt
+        case createdAt
+        case updatedAt
+    }
+
+    // MARK: - Initialization
+
+    public init(
+        id: String? = nil,
+        auditorUid: String,
+        auditorUsername: String,
+        notes: String? = nil,
+        findings: [Finding] = [],
+        performedAt: Date = Date(),
+        createdAt: Date = Date(),
+        updatedAt: Date = Date()
+    ) {
+        self.id = id
+        self.auditorUid = auditorUid
+        self.auditorUsername = auditorUsername
+        self.notes = notes
+        self.findings = findings
+        self.performedAt = performedAt
+        self.createdAt = createdAt
+        self.updatedAt = updatedAt
+    }
+}
+
+// MARK: - Firestore Collection
+
+public extension KitAuditFS {
+    /// Nombre de la subcolección dentro de cada kit
+    static let collectionName = "audits"
+}
+
+// MARK: - Computed Properties
+
+public extension KitAuditFS {
+    /// Recuentos que no coinciden con el inventario
+    var discrepancies: [Finding] {
+        findings.filter { $0.discrepancy != 0 }
+    }
+
+    /// Indica si la auditoría encontró diferencias
+    var hasDiscrepancies: Bool {
+        !discrepancies.isEmpty
+    }
+}
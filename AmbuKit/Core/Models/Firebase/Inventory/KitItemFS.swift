@@ -44,6 +44,10 @@ public struct KitItemFS: Codable, Identifiable {
     /// ID del kit al que pertenece (referencia a KitFS)
     public var kitId: String?
     
+    /// ID del último movimiento de stock (kitItems/{id}/movements).
+    /// Cada cambio de quantity lo apunta al movimiento escrito en el mismo batch
+    public var lastMovementId: String?
+    
     // MARK: - Timestamps
     
     /// Fecha de creación del registro
@@ -65,6 +69,7 @@ public struct KitItemFS: Codable, Identifiable {
         case notes
         case catalogItemId
         case kitId
+        case lastMovementId
         case createdAt
         case updatedAt
     }
@@ -82,6 +87,7 @@ public struct KitItemFS: Codable, Identifiable {
     ///   - notes: Notas adicionales (opcional)
     ///   - catalogItemId: ID del item del catálogo (opcional)
     ///   - kitId: ID del kit al que pertenece (opcional)
+    ///   - lastMovementId: ID del último movimiento de stock (opcional)
     ///   - createdAt: Fecha de creación (default: ahora)
     ///   - updatedAt: Fecha de actualización (default: ahora)
     public init(
@@ -94,6 +100,7 @@ public struct KitItemFS: Codable, Identifiable {
         notes: String? = nil,
         catalogItemId: String? = nil,
         kitId: String? = nil,
+        lastMovementId: String? = nil,
         createdAt: Date = Date(),
         updatedAt: Date = Date()
     ) {
@@ -106,6 +113,7 @@ public struct KitItemFS: Codable, Identifiable {
         self.notes = notes
         self.catalogItemId = catalogItemId
         self.kitId = kitId
+        self.lastMovementId = lastMovementId
         self.createdAt = createdAt
         self.updatedAt = updatedAt
     }
@@ -0,0 +1,110 @@
+//
+//  StockMovementFS.swift
+//  AmbuKit
+//
+//  Created by Adolfo on 18/10/26.
+//
+
+import Foundation
+import FirebaseFirestore
+
+/// Movimiento de stock de un item de kit para Firestore
+/// Se guarda en kitItems/{itemId}/movements, en el mismo batch que el cambio
+/// de quantity, y no se modifica una vez creado
+public struct StockMovementFS: Codable, Identifiable, Sendable {
+
+    // MARK: - Reason
+
+    /// Motivo del movimiento
+    public enum Reason: String, Codable, CaseIterable, Sendable {
+        /// Material usado en un servicio (delta negativo)
+        case use
+        /// Reposición (delta positivo)
+        case restock
+        /// Retirada por caducidad (delta negativo)
+        case expired
+        /// Ajuste de inventario (cualquier signo)
+        case adjustment
+
+        /// Nombre para mostrar en la interfaz
+        public var displayName: String {
+            switch self {
+            case .use: return "Uso"
+            case .restock: return "Reposición"
+            case .expired: return "Caducado"
+            case .adjustment: return "Ajuste"
+            }
+        }
+
+        /// Indica si el motivo admite un delta con ese signo
+        public func allows(delta: Double) -> Bool {
+            switch self {
+            case .use, .expired: return delta < 0
+            case .restock: return delta > 0
+            case .adjustment: return delta != 0
+            }
+        }
+    }
+
+    // MARK: - Properties
+
+    /// ID del documento en Firestore (generado automáticamente)
+    @DocumentID public var id: String?
+
+    /// Cambio de cantidad (nueva quantity - quantity anterior)
+    public let delta: Double
+
+    /// Motivo del movimiento
+    public let reason: Reason
+
+    /// UID de Firebase Auth de quien hace el movimiento
+    public let actorUid: String
+
+    /// Username de quien hace el movimiento
+    public let actorUsername: String
+
+    /// Momento del movimiento (hora del servidor)
+    public let timestamp: Date
+
+    /// Lote afectado (opcional)
+    public let lot: String?
+
+    // MARK: - Coding Keys
+
+    public enum CodingKeys: String, CodingKey {
+        case id
+        case delta
+        case reason
+        case actorUid
+        case actorUsername
+        case timestamp
+        case lot
+    }
+
+    // MARK: - Initialization
+
+    public init(
+        id: String? = nil,
+        delta: Double,
+        reason: Reason,
+        actorUid: String,
+        actorUsername: String,
+        timestamp: Date = Date(),
+        lot: String? = nil
+    ) {
+        self.id = id
+        self.delta = delta
+        self.reason = reason
+        self.actorUid = actorUid
+        self.actorUsername = actorUsername
+        self.timestamp = timestamp
+        self.lot = lot
+    }
+}
+
+// MARK: - Firestore Collection
+
+public extension StockMovementFS {
+    /// Nombre de la subcolección dentro de cada item de kit
+    static let collectionName = "movements"
+}
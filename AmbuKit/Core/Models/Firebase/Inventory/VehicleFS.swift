@@ -36,6 +36,9 @@ public struct VehicleFS: Codable, Identifiable, Sendable {
     /// IDs de kits asignados a este vehículo
     public var kitIds: [String]
     
+    /// false si el vehículo está archivado (nil en vehículos anteriores: activo)
+    public var active: Bool?
+    
     /// Fecha de creación
     public let createdAt: Date
     
@@ -66,6 +69,7 @@ public struct VehicleFS: Codable, Identifiable, Sendable {
         case type
         case baseId
         case kitIds
+        case active
         case createdAt
         case updatedAt
         // vehicleType, base y kits NO se codifican (son solo para UI)
@@ -80,6 +84,7 @@ public struct VehicleFS: Codable, Identifiable, Sendable {
         type: VehicleType = .svb,
         baseId: String? = nil,
         kitIds: [String] = [],
+        active: Bool? = nil,
         createdAt: Date = Date(),
         updatedAt: Date = Date()
     ) {
@@ -89,6 +94,7 @@ public struct VehicleFS: Codable, Identifiable, Sendable {
         self.type = type.rawValue
         self.baseId = baseId
         self.kitIds = kitIds
+        self.active = active
         self.createdAt = createdAt
         self.updatedAt = updatedAt
     }
@@ -211,6 +217,11 @@ public extension VehicleFS {
         !kitIds.isEmpty
     }
     
+    /// Verifica si el vehículo no está archivado
+    var isActive: Bool {
+        active ?? true
+    }
+    
     /// Verifica si el vehículo tiene base asignada
     var hasBase: Bool {
         baseId != nil
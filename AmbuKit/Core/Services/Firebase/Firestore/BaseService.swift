@@ -35,6 +35,7 @@ final class BaseService: ObservableObject {
             throw BaseServiceError.unauthorized("No tienes permisos para crear bases")
         }
         guard !code.isEmpty else { throw BaseServiceError.invalidData("El código no puede estar vacío") }
+        guard !code.contains("/") else { throw BaseServiceError.invalidData("El código no puede contener '/'") }
         guard !name.isEmpty else { throw BaseServiceError.invalidData("El nombre no puede estar vacío") }
         
         if let _ = await getBaseByCode(code) {
@@ -46,8 +47,18 @@ final class BaseService: ObservableObject {
         let docRef = db.collection(BaseFS.collectionName).document()
         base.id = docRef.documentID
         
-        let encodedData = try Firestore.Encoder().encode(base)
-        try await docRef.setData(encodedData)
+        let batch = db.batch()
+        batch.setData(try Firestore.Encoder().encodeForCreate(base), forDocument: docRef)
+        batch.reserveCode(code, in: BaseFS.collectionName, for: docRef.documentID, db: db)
+        do {
+            try await batch.commit()
+        } catch {
+            // Otra alta ha reservado el mismo código después de la consulta
+            if await db.isCodeReserved(code, in: BaseFS.collectionName) {
+                throw BaseServiceError.duplicateCode("Ya existe una base con código '\(code)'")
+            }
+            throw BaseServiceError.firestoreError(error)
+        }
         
         baseCache[docRef.documentID] = base
         print("✅ Base '\(name)' creada con ID: \(docRef.documentID)")
@@ -65,7 +76,7 @@ final class BaseService: ObservableObject {
         var updated = base
         updated.updatedAt = Date()
         
-        let encodedData = try Firestore.Encoder().encode(updated)
+        let encodedData = try Firestore.Encoder().encodeForUpdate(updated)
         try await db.collection(BaseFS.collectionName).document(baseId).setData(encodedData, merge: true)
         baseCache[baseId] = updated
         print("✅ Base '\(base.name)' actualizada")
@@ -78,16 +89,41 @@ final class BaseService: ObservableObject {
         guard let base = await getBase(id: baseId) else {
             throw BaseServiceError.baseNotFound("Base no encontrada")
         }
+        // Las reglas miran vehicleIds; la consulta cubre los que aún no están en la lista
         let vehicles = await VehicleService.shared.getVehiclesByBase(baseId: baseId)
-        guard vehicles.isEmpty else {
-            throw BaseServiceError.baseHasVehicles("Tiene \(vehicles.count) vehículos asignados")
+        guard vehicles.isEmpty, base.vehicleIds.isEmpty else {
+            throw BaseServiceError.baseHasVehicles("Tiene \(max(vehicles.count, base.vehicleIds.count)) vehículos asignados")
         }
         
-        try await db.collection(BaseFS.collectionName).document(baseId).delete()
+        let batch = db.batch()
+        batch.deleteDocument(db.collection(BaseFS.collectionName).document(baseId))
+        batch.releaseCode(base.code, in: BaseFS.collectionName, db: db)
+        try await batch.commit()
         baseCache.removeValue(forKey: baseId)
         print("✅ Base '\(base.name)' eliminada")
     }
     
+    /// Archiva la base (active: false) aunque tenga vehículos.
+    /// Basta con permiso de actualizar o de eliminar bases
+    func archive(baseId: String, actor: UserFS?) async throws {
+        let canUpdate = await AuthorizationServiceFS.allowed(.update, on: .base, for: actor)
+        let canDelete = await AuthorizationServiceFS.allowed(.delete, on: .base, for: actor)
+        guard canUpdate || canDelete else {
+            throw BaseServiceError.unauthorized("No tienes permisos para archivar bases")
+        }
+        
+        // Solo active y updatedAt: las reglas no admiten más cambios al archivar
+        try await db.collection(BaseFS.collectionName).document(baseId).updateData([
+            BaseFS.CodingKeys.active.rawValue: false,
+            BaseFS.CodingKeys.updatedAt.rawValue: FieldValue.serverTimestamp()
+        ])
+        if var cached = baseCache[baseId] {
+            cached.active = false; cached.updatedAt = Date()
+            baseCache[baseId] = cached
+        }
+        print("✅ Base '\(baseId)' archivada")
+    }
+    
     // MARK: - Queries
     
     func getBase(id: String) async -> BaseFS? {
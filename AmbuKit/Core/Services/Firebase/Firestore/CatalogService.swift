@@ -34,6 +34,7 @@ final class CatalogService: ObservableObject {
             throw CatalogServiceError.unauthorized("No tienes permisos para crear items")
         }
         guard !code.isEmpty else { throw CatalogServiceError.invalidData("Código vacío") }
+        guard !code.contains("/") else { throw CatalogServiceError.invalidData("El código no puede contener '/'") }
         guard !name.isEmpty else { throw CatalogServiceError.invalidData("Nombre vacío") }
         
         if let _ = await getItemByCode(code) {
@@ -44,8 +45,18 @@ final class CatalogService: ObservableObject {
         let docRef = db.collection(CatalogItemFS.collectionName).document()
         item.id = docRef.documentID
         
-        let encodedData = try Firestore.Encoder().encode(item)
-        try await docRef.setData(encodedData)
+        let batch = db.batch()
+        batch.setData(try Firestore.Encoder().encodeForCreate(item), forDocument: docRef)
+        batch.reserveCode(code, in: CatalogItemFS.collectionName, for: docRef.documentID, db: db)
+        do {
+            try await batch.commit()
+        } catch {
+            // Otra alta ha reservado el mismo código después de la consulta
+            if await db.isCodeReserved(code, in: CatalogItemFS.collectionName) {
+                throw CatalogServiceError.duplicateCode("Ya existe item con código '\(code)'")
+            }
+            throw CatalogServiceError.firestoreError(error)
+        }
         
         itemCache[docRef.documentID] = item
         print("✅ Item '\(name)' creado con ID: \(docRef.documentID)")
@@ -58,13 +69,31 @@ final class CatalogService: ObservableObject {
         }
         guard let itemId = item.id else { throw CatalogServiceError.invalidData("Item sin ID") }
         guard !item.code.isEmpty else { throw CatalogServiceError.invalidData("Código vacío") }
+        guard !item.code.contains("/") else { throw CatalogServiceError.invalidData("El código no puede contener '/'") }
         guard !item.name.isEmpty else { throw CatalogServiceError.invalidData("Nombre vacío") }
         
+        guard let current = await getItem(id: itemId) else {
+            throw CatalogServiceError.itemNotFound("Item no encontrado")
+        }
+        
         var updated = item
         updated.updatedAt = Date()
         
-        let encodedData = try Firestore.Encoder().encode(updated)
-        try await db.collection(CatalogItemFS.collectionName).document(itemId).setData(encodedData, merge: true)
+        // Un cambio de código reserva el nuevo y libera el anterior en el mismo batch
+        let batch = db.batch()
+        batch.setData(try Firestore.Encoder().encodeForUpdate(updated), forDocument: db.collection(CatalogItemFS.collectionName).document(itemId), merge: true)
+        if item.code != current.code {
+            batch.reserveCode(item.code, in: CatalogItemFS.collectionName, for: itemId, db: db)
+            batch.releaseCode(current.code, in: CatalogItemFS.collectionName, db: db)
+        }
+        do {
+            try await batch.commit()
+        } catch {
+            if item.code != current.code, await db.isCodeReserved(item.code, in: CatalogItemFS.collectionName) {
+                throw CatalogServiceError.duplicateCode("Ya existe item con código '\(item.code)'")
+            }
+            throw CatalogServiceError.firestoreError(error)
+        }
         itemCache[itemId] = updated
         print("✅ Item '\(item.name)' actualizado")
     }
@@ -76,12 +105,42 @@ final class CatalogService: ObservableObject {
         guard let item = await getItem(id: itemId) else {
             throw CatalogServiceError.itemNotFound("Item no encontrado")
         }
+        // Las reglas miran kitItemIds (lo mantienen las Cloud Functions)
+        if let uses = try? await db.collection(KitItemFS.collectionName)
+            .whereField(KitItemFS.CodingKeys.catalogItemId.rawValue, isEqualTo: itemId).getDocuments(),
+           !uses.documents.isEmpty {
+            throw CatalogServiceError.itemInUse("Lo usan \(uses.documents.count) items de kits")
+        }
         
-        try await db.collection(CatalogItemFS.collectionName).document(itemId).delete()
+        let batch = db.batch()
+        batch.deleteDocument(db.collection(CatalogItemFS.collectionName).document(itemId))
+        batch.releaseCode(item.code, in: CatalogItemFS.collectionName, db: db)
+        try await batch.commit()
         itemCache.removeValue(forKey: itemId)
         print("✅ Item '\(item.name)' eliminado")
     }
     
+    /// Archiva el item (active: false) aunque lo usen kits.
+    /// Basta con permiso de actualizar o de eliminar items
+    func archiveItem(itemId: String, actor: UserFS?) async throws {
+        let canUpdate = await AuthorizationServiceFS.allowed(.update, on: .catalogItem, for: actor)
+        let canDelete = await AuthorizationServiceFS.allowed(.delete, on: .catalogItem, for: actor)
+        guard canUpdate || canDelete else {
+            throw CatalogServiceError.unauthorized("No tienes permisos para archivar items")
+        }
+        
+        // Solo active y updatedAt: las reglas no admiten más cambios al archivar
+        try await db.collection(CatalogItemFS.collectionName).document(itemId).updateData([
+            CatalogItemFS.CodingKeys.active.rawValue: false,
+            CatalogItemFS.CodingKeys.updatedAt.rawValue: FieldValue.serverTimestamp()
+        ])
+        if var cached = itemCache[itemId] {
+            cached.active = false; cached.updatedAt = Date()
+            itemCache[itemId] = cached
+        }
+        print("✅ Item '\(itemId)' archivado")
+    }
+    
     // MARK: - CatalogItem Queries
     
     func getItem(id: String) async -> CatalogItemFS? {
@@ -134,6 +193,7 @@ final class CatalogService: ObservableObject {
             throw CatalogServiceError.unauthorized("No tienes permisos para crear categorías")
         }
         guard !code.isEmpty else { throw CatalogServiceError.invalidData("Código vacío") }
+        guard !code.contains("/") else { throw CatalogServiceError.invalidData("El código no puede contener '/'") }
         guard !name.isEmpty else { throw CatalogServiceError.invalidData("Nombre vacío") }
         
         if let _ = await getCategoryByCode(code) {
@@ -144,8 +204,18 @@ final class CatalogService: ObservableObject {
         let docRef = db.collection(CategoryFS.collectionName).document()
         category.id = docRef.documentID
         
-        let encodedData = try Firestore.Encoder().encode(category)
-        try await docRef.setData(encodedData)
+        let batch = db.batch()
+        batch.setData(try Firestore.Encoder().encodeForCreate(category), forDocument: docRef)
+        batch.reserveCode(code, in: CategoryFS.collectionName, for: docRef.documentID, db: db)
+        do {
+            try await batch.commit()
+        } catch {
+            // Otra alta ha reservado el mismo código después de la consulta
+            if await db.isCodeReserved(code, in: CategoryFS.collectionName) {
+                throw CatalogServiceError.duplicateCode("Ya existe categoría con código '\(code)'")
+            }
+            throw CatalogServiceError.firestoreError(error)
+        }
         
         categoryCache[docRef.documentID] = category
         print("✅ Categoría '\(name)' creada con ID: \(docRef.documentID)")
@@ -178,7 +248,15 @@ final class CatalogService: ObservableObject {
             throw CatalogServiceError.unauthorized("No tienes permisos para eliminar categorías")
         }
         
-        try await db.collection(CategoryFS.collectionName).document(categoryId).delete()
+        let docRef = db.collection(CategoryFS.collectionName).document(categoryId)
+        guard let category = try? await docRef.getDocument().data(as: CategoryFS.self) else {
+            throw CatalogServiceError.categoryNotFound("Categoría no encontrada")
+        }
+        
+        let batch = db.batch()
+        batch.deleteDocument(docRef)
+        batch.releaseCode(category.code, in: CategoryFS.collectionName, db: db)
+        try await batch.commit()
         categoryCache.removeValue(forKey: categoryId)
         print("✅ Categoría eliminada")
     }
@@ -200,7 +278,7 @@ final class CatalogService: ObservableObject {
         let docRef = db.collection(UnitOfMeasureFS.collectionName).document()
         uom.id = docRef.documentID
         
-        let encodedData = try Firestore.Encoder().encode(uom)
+        let encodedData = try Firestore.Encoder().encodeForCreate(uom)
         try await docRef.setData(encodedData)
         
         uomCache[docRef.documentID] = uom
@@ -273,7 +351,7 @@ final class CatalogService: ObservableObject {
 
 enum CatalogServiceError: LocalizedError {
     case unauthorized(String), itemNotFound(String), categoryNotFound(String), uomNotFound(String)
-    case duplicateCode(String), invalidData(String), firestoreError(Error)
+    case duplicateCode(String), invalidData(String), itemInUse(String), firestoreError(Error)
     
     var errorDescription: String? {
         switch self {
@@ -283,6 +361,7 @@ enum CatalogServiceError: LocalizedError {
         case .uomNotFound(let m): return "❌ UOM no encontrada: \(m)"
         case .duplicateCode(let m): return "❌ Código duplicado: \(m)"
         case .invalidData(let m): return "❌ Datos inválidos: \(m)"
+        case .itemInUse(let m): return "❌ Item en uso: \(m)"
         case .firestoreError(let e): return "❌ Firestore: \(e.localizedDescription)"
         }
     }
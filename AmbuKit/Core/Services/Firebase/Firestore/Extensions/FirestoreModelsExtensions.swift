@@ -69,3 +69,73 @@ public extension UnitOfMeasureFS {
         return try? snapshot.data(as: UnitOfMeasureFS.self)
     }
 }
+
+// MARK: - Server Timestamps
+
+extension Firestore.Encoder {
+    /// Codifica un modelo nuevo con createdAt y updatedAt del servidor.
+    /// Las reglas exigen `request.time` en ambos al crear
+    func encodeForCreate<T: Encodable>(_ value: T) throws -> [String: Any] {
+        var data = try encode(value)
+        data["createdAt"] = FieldValue.serverTimestamp()
+        data["updatedAt"] = FieldValue.serverTimestamp()
+        return data
+    }
+    
+    /// Listas de hijos que mantienen las Cloud Functions (relationships.js)
+    /// a partir de la clave foránea de cada hijo. El cliente no las escribe
+    static let serverMaintainedFields = ["vehicleIds", "kitIds", "itemIds", "kitItemIds"]
+    
+    /// Codifica un modelo existente para `setData(_:merge: true)`: sin
+    /// createdAt (las reglas no dejan cambiarlo), sin las listas de hijos
+    /// (una copia en caché desharía los cambios de los triggers) y con
+    /// updatedAt del servidor
+    func encodeForUpdate<T: Encodable>(_ value: T) throws -> [String: Any] {
+        var data = try encode(value)
+        data.removeValue(forKey: "createdAt")
+        Firestore.Encoder.serverMaintainedFields.forEach { data.removeValue(forKey: $0) }
+        data["updatedAt"] = FieldValue.serverTimestamp()
+        return data
+    }
+}
+
+// MARK: - Code Reservations
+
+extension Firestore {
+    /// Colección de reservas de códigos únicos: codes/{collection}_{code}
+    static let codesCollectionName = "codes"
+
+    /// Referencia de la reserva de `code` en `collection`
+    func codeReservation(_ code: String, in collection: String) -> DocumentReference {
+        self.collection(Firestore.codesCollectionName).document("\(collection)_\(code)")
+    }
+
+    /// Indica si `code` ya está reservado en `collection`
+    func isCodeReserved(_ code: String, in collection: String) async -> Bool {
+        do {
+            return try await codeReservation(code, in: collection).getDocument().exists
+        } catch { return false }
+    }
+}
+
+extension WriteBatch {
+    /// Reserva `code` para collection/{docId}. Las reglas exigen la reserva en
+    /// el mismo batch que el alta (o el cambio de code) y no dejan
+    /// sobrescribir una existente, así que un code repetido hace fallar el batch
+    @discardableResult
+    func reserveCode(_ code: String, in collection: String, for docId: String, db: Firestore) -> WriteBatch {
+        setData([
+            "collection": collection,
+            "code": code,
+            "docId": docId,
+            "createdAt": FieldValue.serverTimestamp()
+        ], forDocument: db.codeReservation(code, in: collection))
+    }
+
+    /// Libera la reserva de `code` en `collection` (al borrar el documento o
+    /// cambiarle el code)
+    @discardableResult
+    func releaseCode(_ code: String, in collection: String, db: Firestore) -> WriteBatch {
+        deleteDocument(db.codeReservation(code, in: collection))
+    }
+}
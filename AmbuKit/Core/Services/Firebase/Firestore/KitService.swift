@@ -40,6 +40,7 @@ final class KitService: ObservableObject {
             throw KitServiceError.unauthorized("No tienes permisos para crear kits")
         }
         guard !code.isEmpty else { throw KitServiceError.invalidData("El código no puede estar vacío") }
+        guard !code.contains("/") else { throw KitServiceError.invalidData("El código no puede contener '/'") }
         guard !name.isEmpty else { throw KitServiceError.invalidData("El nombre no puede estar vacío") }
         
         if let _ = await getKitByCode(code) {
@@ -55,8 +56,18 @@ final class KitService: ObservableObject {
         let docRef = db.collection(KitFS.collectionName).document()
         kit.id = docRef.documentID
         
-        let encodedData = try Firestore.Encoder().encode(kit)
-        try await docRef.setData(encodedData)
+        let batch = db.batch()
+        batch.setData(try Firestore.Encoder().encodeForCreate(kit), forDocument: docRef)
+        batch.reserveCode(code, in: KitFS.collectionName, for: docRef.documentID, db: db)
+        do {
+            try await batch.commit()
+        } catch {
+            // Otra alta ha reservado el mismo código después de la consulta
+            if await db.isCodeReserved(code, in: KitFS.collectionName) {
+                throw KitServiceError.duplicateCode("Ya existe un kit con código '\(code)'")
+            }
+            throw KitServiceError.firestoreError(error)
+        }
         
         kitCache[docRef.documentID] = kit
         print("✅ Kit '\(name)' creado con ID: \(docRef.documentID)")
@@ -74,7 +85,7 @@ final class KitService: ObservableObject {
         var updatedKit = kit
         updatedKit.updatedAt = Date()
         
-        let encodedData = try Firestore.Encoder().encode(updatedKit)
+        let encodedData = try Firestore.Encoder().encodeForUpdate(updatedKit)
         try await db.collection(KitFS.collectionName).document(kitId).setData(encodedData, merge: true)
         kitCache[kitId] = updatedKit
         print("✅ Kit '\(kit.name)' actualizado")
@@ -87,16 +98,41 @@ final class KitService: ObservableObject {
         guard let kit = await getKit(id: kitId) else {
             throw KitServiceError.kitNotFound("Kit '\(kitId)' no encontrado")
         }
+        // Las reglas miran itemIds; la consulta cubre los que aún no están en la lista
         let items = await getKitItems(kitId: kitId)
-        guard items.isEmpty else {
-            throw KitServiceError.kitHasItems("No se puede eliminar: tiene \(items.count) items")
+        guard items.isEmpty, kit.itemIds.isEmpty else {
+            throw KitServiceError.kitHasItems("No se puede eliminar: tiene \(max(items.count, kit.itemIds.count)) items")
         }
         
-        try await db.collection(KitFS.collectionName).document(kitId).delete()
+        let batch = db.batch()
+        batch.deleteDocument(db.collection(KitFS.collectionName).document(kitId))
+        batch.releaseCode(kit.code, in: KitFS.collectionName, db: db)
+        try await batch.commit()
         kitCache.removeValue(forKey: kitId)
         print("✅ Kit '\(kit.name)' eliminado")
     }
     
+    /// Archiva el kit (status: inactive) aunque tenga items.
+    /// Basta con permiso de actualizar o de eliminar kits
+    func archiveKit(kitId: String, actor: UserFS?) async throws {
+        let canUpdate = await AuthorizationServiceFS.allowed(.update, on: .kit, for: actor)
+        let canDelete = await AuthorizationServiceFS.allowed(.delete, on: .kit, for: actor)
+        guard canUpdate || canDelete else {
+            throw KitServiceError.unauthorized("No tienes permisos para archivar kits")
+        }
+        
+        // Solo status y updatedAt: las reglas no admiten más cambios al archivar
+        try await db.collection(KitFS.collectionName).document(kitId).updateData([
+            KitFS.CodingKeys.status.rawValue: KitFS.Status.inactive.rawValue,
+            KitFS.CodingKeys.updatedAt.rawValue: FieldValue.serverTimestamp()
+        ])
+        if var cached = kitCache[kitId] {
+            cached.status = .inactive; cached.updatedAt = Date()
+            kitCache[kitId] = cached
+        }
+        print("✅ Kit '\(kitId)' archivado")
+    }
+    
     // MARK: - Kit Queries
     
     func getKit(id: String) async -> KitFS? {
@@ -168,7 +204,7 @@ final class KitService: ObservableObject {
         let docRef = db.collection(KitItemFS.collectionName).document()
         kitItem.id = docRef.documentID
         
-        let encodedData = try Firestore.Encoder().encode(kitItem)
+        let encodedData = try Firestore.Encoder().encodeForCreate(kitItem)
         try await docRef.setData(encodedData)
         
         kitItemCache[docRef.documentID] = kitItem
@@ -176,22 +212,98 @@ final class KitService: ObservableObject {
         return kitItem
     }
     
-    func updateKitItem(kitItem: KitItemFS, actor: UserFS?) async throws {
+    /// Actualiza un item del kit
+    ///
+    /// Si cambia `quantity`, en la misma transacción se añade un movimiento en
+    /// kitItems/{id}/movements con el delta respecto al valor guardado y se
+    /// apunta `lastMovementId` a él. Las reglas rechazan cambios de stock sin
+    /// su movimiento.
+    ///
+    /// - Parameters:
+    ///   - kitItem: Item con los nuevos valores
+    ///   - reason: Motivo del cambio de stock (si lo hay)
+    ///   - actor: Usuario que realiza el cambio
+    func updateKitItem(
+        kitItem: KitItemFS,
+        reason: StockMovementFS.Reason = .adjustment,
+        actor: UserFS?
+    ) async throws {
         guard await AuthorizationServiceFS.allowed(.update, on: .kitItem, for: actor) else {
             throw KitServiceError.unauthorized("No tienes permisos para actualizar items")
         }
+        guard let actor else { throw KitServiceError.unauthorized("No tienes permisos para actualizar items") }
         guard let itemId = kitItem.id else { throw KitServiceError.invalidData("Item sin ID") }
         guard kitItem.quantity >= 0 else { throw KitServiceError.invalidData("Cantidad no puede ser negativa") }
         
+        let itemRef = db.collection(KitItemFS.collectionName).document(itemId)
+        let movementRef = itemRef.collection(StockMovementFS.collectionName).document()
+        
         var updated = kitItem
         updated.updatedAt = Date()
         
-        let encodedData = try Firestore.Encoder().encode(updated)
-        try await db.collection(KitItemFS.collectionName).document(itemId).setData(encodedData, merge: true)
-        kitItemCache[itemId] = updated
+        let saved = try await db.runTransaction { transaction, errorPointer -> Any? in
+            var item = updated
+            let snapshot: DocumentSnapshot
+            do {
+                snapshot = try transaction.getDocument(itemRef)
+            } catch {
+                errorPointer?.pointee = error as NSError
+                return nil
+            }
+            let previous = (snapshot.data()?[KitItemFS.CodingKeys.quantity.rawValue] as? NSNumber)?.doubleValue ?? 0
+            let delta = item.quantity - previous
+            
+            if delta != 0 {
+                guard reason.allows(delta: delta) else {
+                    errorPointer?.pointee = KitServiceError.invalidData(
+                        "Un movimiento '\(reason.displayName)' no admite un cambio de \(delta)"
+                    ) as NSError
+                    return nil
+                }
+                let movement = StockMovementFS(
+                    delta: delta,
+                    reason: reason,
+                    actorUid: actor.uid,
+                    actorUsername: actor.username,
+                    lot: item.lot
+                )
+                do {
+                    var movementData = try Firestore.Encoder().encode(movement)
+                    movementData[StockMovementFS.CodingKeys.timestamp.rawValue] = FieldValue.serverTimestamp()
+                    transaction.setData(movementData, forDocument: movementRef)
+                } catch {
+                    errorPointer?.pointee = error as NSError
+                    return nil
+                }
+                item.lastMovementId = movementRef.documentID
+            } else {
+                item.lastMovementId = snapshot.data()?[KitItemFS.CodingKeys.lastMovementId.rawValue] as? String
+            }
+            
+            do {
+                transaction.setData(try Firestore.Encoder().encodeForUpdate(item), forDocument: itemRef, merge: true)
+            } catch {
+                errorPointer?.pointee = error as NSError
+                return nil
+            }
+            return item
+        }
+        
+        kitItemCache[itemId] = saved as? KitItemFS ?? updated
         print("✅ Item del kit actualizado")
     }
     
+    /// Movimientos de stock de un item, del más reciente al más antiguo
+    func getMovements(kitItemId: String) async -> [StockMovementFS] {
+        do {
+            let snapshot = try await db.collection(KitItemFS.collectionName).document(kitItemId)
+                .collection(StockMovementFS.collectionName)
+                .order(by: StockMovementFS.CodingKeys.timestamp.rawValue, descending: true)
+                .getDocuments()
+            return snapshot.documents.compactMap { try? $0.data(as: StockMovementFS.self) }
+        } catch { return [] }
+    }
+    
     func updateKitThresholds(itemId: String, min: Double, max: Double?, actor: UserFS?) async throws {
         guard await AuthorizationServiceFS.canEditThresholds(actor) else {
             throw KitServiceError.unauthorized("No tienes permisos para editar umbrales")
@@ -199,7 +311,7 @@ final class KitService: ObservableObject {
         guard min >= 0 else { throw KitServiceError.invalidData("Mínimo no puede ser negativo") }
         if let m = max, m < min { throw KitServiceError.invalidData("Máximo no puede ser menor que mínimo") }
         
-        var updates: [String: Any] = ["min": min, "updatedAt": Timestamp(date: Date())]
+        var updates: [String: Any] = ["min": min, "updatedAt": FieldValue.serverTimestamp()]
         updates["max"] = max ?? NSNull()
         
         try await db.collection(KitItemFS.collectionName).document(itemId).updateData(updates)
@@ -313,42 +425,91 @@ final class KitService: ObservableObject {
     
     /// Registra una auditoría para un kit
     ///
-    /// Actualiza la fecha de última auditoría y registra la acción en el sistema.
+    /// En un único batch marca `lastAudit` del kit con la hora del servidor y
+    /// guarda un registro inmutable en kits/{kitId}/audits. Las reglas exigen
+    /// ambas escrituras juntas. Además de quien puede editar kits, un sanitario
+    /// puede auditar los kits de su base.
     ///
     /// - Parameters:
     ///   - kitId: ID del kit a auditar
     ///   - notes: Observaciones opcionales de la auditoría
+    ///   - findings: Recuentos de los items revisados
     ///   - actor: Usuario que realiza la auditoría
     ///
     /// - Throws: KitServiceError si el kit no existe o hay problemas de permisos
-    func auditKit(kitId: String, notes: String?, actor: UserFS?) async throws {
-        // 1. Validar permisos (mismos que update)
-        guard await AuthorizationServiceFS.allowed(.update, on: .kit, for: actor) else {
-            throw KitServiceError.unauthorized("No tienes permisos para auditar kits")
-        }
-        
-        // 2. Obtener kit actual
+    func auditKit(
+        kitId: String,
+        notes: String?,
+        findings: [KitAuditFS.Finding] = [],
+        actor: UserFS?
+    ) async throws {
+        // 1. Obtener kit actual
         guard var kit = await getKit(id: kitId) else {
             throw KitServiceError.kitNotFound("Kit '\(kitId)' no encontrado")
         }
         
-        // 3. Actualizar fechas
-        kit.lastAudit = Date()
-        kit.updatedAt = Date()
+        // 2. Validar permisos (update o sanitario de la base del kit)
+        guard let actor else {
+            throw KitServiceError.unauthorized("No tienes permisos para auditar kits")
+        }
+        let canUpdate = await AuthorizationServiceFS.allowed(.update, on: .kit, for: actor)
+        guard canUpdate || (await isSanitaryOfKitBase(kit, actor: actor)) else {
+            throw KitServiceError.unauthorized("No tienes permisos para auditar este kit")
+        }
         
-        // 4. Guardar en Firestore
-        let encodedData = try Firestore.Encoder().encode(kit)
-        try await db.collection(KitFS.collectionName).document(kitId).setData(encodedData, merge: true)
+        // 3. Kit + registro de auditoría en el mismo batch
+        let kitRef = db.collection(KitFS.collectionName).document(kitId)
+        let auditRef = kitRef.collection(KitAuditFS.collectionName).document()
+        let audit = KitAuditFS(
+            auditorUid: actor.uid,
+            auditorUsername: actor.username,
+            notes: notes,
+            findings: findings
+        )
+        var auditData = try Firestore.Encoder().encodeForCreate(audit)
+        auditData[KitAuditFS.CodingKeys.performedAt.rawValue] = FieldValue.serverTimestamp()
+        
+        let batch = db.batch()
+        batch.updateData([
+            "lastAudit": FieldValue.serverTimestamp(),
+            "updatedAt": FieldValue.serverTimestamp()
+        ], forDocument: kitRef)
+        batch.setData(auditData, forDocument: auditRef)
+        try await batch.commit()
         
-        // 5. Actualizar caché
+        // 4. Actualizar caché
+        kit.lastAudit = Date()
+        kit.updatedAt = Date()
         kitCache[kitId] = kit
         
-        // 6. Registrar en auditoría
+        // 5. Registrar en auditoría
         let details = notes.map { "Auditoría registrada. Observaciones: \($0)" } ?? "Auditoría registrada"
         await AuditServiceFS.log(.update, entity: .kit, entityId: kitId, actor: actor, details: details)
         
         print("✅ Kit '\(kit.code)' auditado correctamente")
     }
+    
+    /// Auditorías registradas de un kit, de la más reciente a la más antigua
+    func getAudits(kitId: String) async -> [KitAuditFS] {
+        do {
+            let snapshot = try await db.collection(KitFS.collectionName).document(kitId)
+                .collection(KitAuditFS.collectionName)
+                .order(by: KitAuditFS.CodingKeys.performedAt.rawValue, descending: true)
+                .getDocuments()
+            return snapshot.documents.compactMap { try? $0.data(as: KitAuditFS.self) }
+        } catch { return [] }
+    }
+    
+    /// Sanitario cuya base es la del vehículo del kit (mismo criterio que las reglas)
+    private func isSanitaryOfKitBase(_ kit: KitFS, actor: UserFS) async -> Bool {
+        guard let baseId = actor.baseId,
+              let vehicleId = kit.vehicleId,
+              await AuthorizationServiceFS.isSanitary(actor),
+              let vehicle = await VehicleService.shared.getVehicle(id: vehicleId) else {
+            return false
+        }
+        return vehicle.baseId == baseId
+    }
 }
 
 // MARK: - Errors
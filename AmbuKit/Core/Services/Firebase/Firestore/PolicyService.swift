@@ -95,7 +95,8 @@ final class PolicyService: ObservableObject {
         canCreate: Bool, canRead: Bool, canUpdate: Bool, canDelete: Bool
     ) async throws -> PolicyFS {
         var policy = PolicyFS(entity: entity, canCreate: canCreate, canRead: canRead, canUpdate: canUpdate, canDelete: canDelete, roleId: roleId)
-        let docRef = db.collection(PolicyFS.collectionName).document()
+        // ID determinista {roleId}_{entity}: firestore.rules busca la policy por esta ruta
+        let docRef = db.collection(PolicyFS.collectionName).document("\(roleId)_\(entity.rawValue)")
         policy.id = docRef.documentID
         
         let encodedData = try Firestore.Encoder().encode(policy)
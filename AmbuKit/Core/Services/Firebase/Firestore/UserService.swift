@@ -33,6 +33,7 @@ final class UserService {
         guard await AuthorizationServiceFS.canCreate(.user, user: actor) else {
             throw UserServiceError.unauthorized("No tienes permisos para crear usuarios")
         }
+        guard !username.contains("/") else { throw UserServiceError.invalidData("El username no puede contener '/'") }
         
         if await isUsernameTaken(username) {
             throw UserServiceError.usernameTaken(username)
@@ -49,11 +50,15 @@ final class UserService {
         var user = UserFS(uid: uid, username: username, fullName: fullName, email: email, active: true, roleId: roleId, baseId: baseId)
         
         do {
-            let docRef = db.collection(UserFS.collectionName).document()
+            // El id del documento es el uid de Auth: las reglas lo exigen (users/{uid})
+            let docRef = db.collection(UserFS.collectionName).document(uid)
             user.id = docRef.documentID
             
-            let encodedData = try Firestore.Encoder().encode(user)
-            try await docRef.setData(encodedData)
+            // El username se reserva en el mismo batch (codes/users_{username})
+            let batch = db.batch()
+            batch.setData(try Firestore.Encoder().encodeForCreate(user), forDocument: docRef)
+            batch.reserveCode(username, in: UserFS.collectionName, for: uid, db: db)
+            try await batch.commit()
             
             userCache[docRef.documentID] = user
             userByUidCache[uid] = user
@@ -63,6 +68,10 @@ final class UserService {
             return user
         } catch {
             try? await authResult.user.delete()
+            // Otra alta ha reservado el mismo username después de la consulta
+            if await db.isCodeReserved(username, in: UserFS.collectionName) {
+                throw UserServiceError.usernameTaken(username)
+            }
             throw UserServiceError.firestoreError(error)
         }
     }
@@ -124,6 +133,7 @@ final class UserService {
             throw UserServiceError.unauthorized("No tienes permisos para actualizar usuarios")
         }
         guard let userId = user.id else { throw UserServiceError.userNotFound("Usuario sin ID") }
+        guard !user.username.contains("/") else { throw UserServiceError.invalidData("El username no puede contener '/'") }
         
         guard let currentUser = await getUser(id: userId) else {
             throw UserServiceError.userNotFound(userId)
@@ -138,8 +148,22 @@ final class UserService {
         var updated = user
         updated.updatedAt = Date()
         
-        let encodedData = try Firestore.Encoder().encode(updated)
-        try await db.collection(UserFS.collectionName).document(userId).setData(encodedData, merge: false)
+        // Un cambio de username reserva el nuevo y libera el anterior en el mismo batch
+        let renamed = user.username != currentUser.username
+        let batch = db.batch()
+        batch.setData(try encodeForUpdate(updated, current: currentUser), forDocument: db.collection(UserFS.collectionName).document(userId), merge: true)
+        if renamed {
+            batch.reserveCode(user.username, in: UserFS.collectionName, for: userId, db: db)
+            batch.releaseCode(currentUser.username, in: UserFS.collectionName, db: db)
+        }
+        do {
+            try await batch.commit()
+        } catch {
+            if renamed, await db.isCodeReserved(user.username, in: UserFS.collectionName) {
+                throw UserServiceError.usernameTaken(user.username)
+            }
+            throw UserServiceError.firestoreError(error)
+        }
         
         userCache[userId] = updated
         userByUidCache[user.uid] = updated
@@ -166,8 +190,7 @@ final class UserService {
         updated.active = false
         updated.updatedAt = Date()
         
-        let encodedData = try Firestore.Encoder().encode(updated)
-        try await db.collection(UserFS.collectionName).document(userId).setData(encodedData, merge: false)
+        try await db.collection(UserFS.collectionName).document(userId).setData(try encodeForUpdate(updated, current: user), merge: true)
         
         userCache.removeValue(forKey: userId)
         userByUidCache.removeValue(forKey: user.uid)
@@ -186,7 +209,17 @@ final class UserService {
             return true
         } catch { return true }
     }
-    
+
+    /// Datos para `setData(_:merge: true)`: sin createdAt y con updatedAt del
+    /// servidor. roleId y baseId a nil solo se borran si `current` los tenía
+    /// (sin añadir claves que el usuario no puede tocar en su propio perfil)
+    private func encodeForUpdate(_ user: UserFS, current: UserFS) throws -> [String: Any] {
+        var data = try Firestore.Encoder().encodeForUpdate(user)
+        if user.roleId == nil, current.roleId != nil { data[UserFS.CodingKeys.roleId.rawValue] = FieldValue.delete() }
+        if user.baseId == nil, current.baseId != nil { data[UserFS.CodingKeys.baseId.rawValue] = FieldValue.delete() }
+        return data
+    }
+
     private func buildChangesSummary(from old: UserFS, to new: UserFS) -> String {
         var changes: [String] = []
         if old.username != new.username { changes.append("username") }
@@ -201,29 +234,7 @@ final class UserService {
     // MARK: - Audit
     
     private func logAudit(action: ActionKind, entityId: String, actor: UserFS?, details: String? = nil) async {
-        let audit = AuditLogFS(
-            timestamp: Date(),
-            actorUsername: actor?.username,
-            actorRole: await getRoleDisplayName(for: actor),
-            action: action,
-            entity: .user,
-            entityId: entityId,
-            details: details
-        )
-        
-        do {
-            let docRef = db.collection(AuditLogFS.collectionName).document()
-            let encodedData = try Firestore.Encoder().encode(audit)
-            try await docRef.setData(encodedData)
-        } catch {
-            print("❌ Error registrando auditoría: \(error.localizedDescription)")
-        }
-    }
-    
-    private func getRoleDisplayName(for user: UserFS?) async -> String? {
-        guard let roleId = user?.roleId else { return nil }
-        let role = await PolicyService.shared.getRole(id: roleId)
-        return role?.displayName
+        await AuditServiceFS.log(action, entity: .user, entityId: entityId, actor: actor, details: details)
     }
     
     // MARK: - Cache
@@ -50,7 +50,7 @@ final class VehicleService: ObservableObject {
         let docRef = db.collection(VehicleFS.collectionName).document()
         vehicle.id = docRef.documentID
         
-        let encodedData = try Firestore.Encoder().encode(vehicle)
+        let encodedData = try Firestore.Encoder().encodeForCreate(vehicle)
         try await docRef.setData(encodedData)
         
         vehicleCache[docRef.documentID] = vehicle
@@ -78,7 +78,7 @@ final class VehicleService: ObservableObject {
         var updated = vehicle
         updated.updatedAt = Date()
         
-        let encodedData = try Firestore.Encoder().encode(updated)
+        let encodedData = try Firestore.Encoder().encodeForUpdate(updated)
         try await db.collection(VehicleFS.collectionName).document(vehicleId).setData(encodedData, merge: true)
         vehicleCache[vehicleId] = updated
         print("✅ Vehículo '\(vehicle.code)' actualizado")
@@ -91,9 +91,10 @@ final class VehicleService: ObservableObject {
         guard let vehicle = await getVehicle(id: vehicleId) else {
             throw VehicleServiceError.vehicleNotFound("Vehículo no encontrado")
         }
+        // Las reglas miran kitIds; la consulta cubre los que aún no están en la lista
         let kits = await KitService.shared.getKitsByVehicle(vehicleId: vehicleId)
-        guard kits.isEmpty else {
-            throw VehicleServiceError.vehicleHasKits("Tiene \(kits.count) kits asignados")
+        guard kits.isEmpty, vehicle.kitIds.isEmpty else {
+            throw VehicleServiceError.vehicleHasKits("Tiene \(max(kits.count, vehicle.kitIds.count)) kits asignados")
         }
         
         try await db.collection(VehicleFS.collectionName).document(vehicleId).delete()
@@ -101,6 +102,27 @@ final class VehicleService: ObservableObject {
         print("✅ Vehículo '\(vehicle.code)' eliminado")
     }
     
+    /// Archiva el vehículo (active: false) aunque tenga kits.
+    /// Basta con permiso de actualizar o de eliminar vehículos
+    func archive(vehicleId: String, actor: UserFS?) async throws {
+        let canUpdate = await AuthorizationServiceFS.allowed(.update, on: .vehicle, for: actor)
+        let canDelete = await AuthorizationServiceFS.allowed(.delete, on: .vehicle, for: actor)
+        guard canUpdate || canDelete else {
+            throw VehicleServiceError.unauthorized("No tienes permisos para archivar vehículos")
+        }
+        
+        // Solo active y updatedAt: las reglas no admiten más cambios al archivar
+        try await db.collection(VehicleFS.collectionName).document(vehicleId).updateData([
+            VehicleFS.CodingKeys.active.rawValue: false,
+            VehicleFS.CodingKeys.updatedAt.rawValue: FieldValue.serverTimestamp()
+        ])
+        if var cached = vehicleCache[vehicleId] {
+            cached.active = false; cached.updatedAt = Date()
+            vehicleCache[vehicleId] = cached
+        }
+        print("✅ Vehículo '\(vehicleId)' archivado")
+    }
+    
     // MARK: - Queries
     
     func getVehicle(id: String) async -> VehicleFS? {
@@ -181,8 +203,9 @@ final class VehicleService: ObservableObject {
         vehicle.baseId = actualBaseId
         vehicle.updatedAt = Date()
         
-        let encodedData = try Firestore.Encoder().encode(vehicle)
-        try await db.collection(VehicleFS.collectionName).document(vehicleId).setData(encodedData, merge: true)
+        try await db.collection(VehicleFS.collectionName).document(vehicleId).updateData([
+            "baseId": actualBaseId, "updatedAt": FieldValue.serverTimestamp()
+        ])
         vehicleCache[vehicleId] = vehicle
         print("✅ Vehículo asignado a base")
     }
@@ -199,7 +222,7 @@ final class VehicleService: ObservableObject {
         vehicle.updatedAt = Date()
         
         try await db.collection(VehicleFS.collectionName).document(vehicleId).updateData([
-            "baseId": NSNull(), "updatedAt": Timestamp(date: Date())
+            "baseId": NSNull(), "updatedAt": FieldValue.serverTimestamp()
         ])
         vehicleCache[vehicleId] = vehicle
         print("✅ Vehículo desasignado")
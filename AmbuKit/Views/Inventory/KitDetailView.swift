@@ -150,7 +150,11 @@ struct KitDetailView: View {
         let updatedItem = item.withQuantity(newQuantity)
         
         do {
-            try await KitService.shared.updateKitItem(kitItem: updatedItem, actor: currentUser)
+            try await KitService.shared.updateKitItem(
+                kitItem: updatedItem,
+                reason: newQuantity < item.quantity ? .use : .restock,
+                actor: currentUser
+            )
             
             // Actualizar lista local
             if let index = items.firstIndex(where: { $0.id == item.id }) {
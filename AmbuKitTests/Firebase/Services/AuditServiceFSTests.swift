@@ -60,6 +60,7 @@ struct AuditServiceFSTests {
         try await Task.sleep(for: .milliseconds(500))
 
         let logs = await AuditServiceFS.getLogsForEntity(.base, entityId: entityId)
+        #expect(logs.first?.actorUid == "test-uid")
         #expect(logs.first?.actorUsername == "testuser")
         #expect(logs.first?.actorRole == "admin")
     }
@@ -112,6 +113,10 @@ struct AuditServiceFSTests {
         let userLogs = await AuditServiceFS.getLogsForUser(username: uniqueUsername)
         #expect(userLogs.count >= 2)
         #expect(userLogs.allSatisfy { $0.actorUsername == uniqueUsername })
+
+        let uidLogs = await AuditServiceFS.getLogsForUser(uid: actor.uid)
+        #expect(uidLogs.count >= 2)
+        #expect(uidLogs.allSatisfy { $0.actorUid == actor.uid })
     }
 
     @Test func getRecentLogs() async throws {
@@ -253,6 +253,8 @@ final class UserServiceTests {
         #expect(fetched != nil)
         #expect(fetched?.fullName == "Updated Name")
         #expect(fetched?.username == "updated_user_\(suffix)")
+        #expect(await db.isCodeReserved("updated_user_\(suffix)", in: UserFS.collectionName))
+        #expect(!(await db.isCodeReserved("update_user_\(suffix)", in: UserFS.collectionName)))
     }
 
     @Test func updateUser_WithoutPermissions_Fails() async throws {
@@ -0,0 +1,68 @@
+/**
+ * AmbuKit - Backfill de actorUid en auditLogs
+ *
+ * Los sanitarios leen sus logs por actorUid (el username se puede cambiar y
+ * reutilizar). Los logs escritos antes de que AuditServiceFS lo guardara
+ * solo llevan actorUsername: este módulo calcula qué actorUid le toca a
+ * cada uno a partir del username actual de users;
+ * scripts/backfill-audit-actors.js lo escribe.
+ *
+ * Un username que ya no existe (o que comparten varios usuarios) no se
+ * adivina: el log se informa y sigue visible solo para quien lee todos los
+ * logs.
+ */
+
+// ============================================================================
+// PLANIFICACIÓN
+// ============================================================================
+
+/**
+ * Calcula el actorUid de los logs que no lo tienen.
+ *
+ *   - logs: [{ id, actorUid, actorUsername }] de auditLogs
+ *   - users: [{ id, username }] de users (id == uid de Auth)
+ *
+ * Devuelve:
+ *   - updates: [{ id, actorUid }] logs a completar
+ *   - unknown: [{ id, actorUsername }] logs cuyo username no identifica a
+ *     un único usuario
+ *
+ * Los logs sin actorUsername (triggers sin actor) no se tocan.
+ */
+function planActorBackfill(logs, users) {
+  const uidsByUsername = new Map();
+  for (const { id, username } of users) {
+    uidsByUsername.set(username, [...(uidsByUsername.get(username) || []), id]);
+  }
+
+  const updates = [];
+  const unknown = [];
+  for (const { id, actorUid, actorUsername } of logs) {
+    if (actorUid || !actorUsername) {
+      continue;
+    }
+    const uids = uidsByUsername.get(actorUsername) || [];
+    if (uids.length === 1) {
+      updates.push({ id, actorUid: uids[0] });
+    } else {
+      unknown.push({ id, actorUsername });
+    }
+  }
+  return { updates, unknown };
+}
+
+/**
+ * Resumen legible de un plan para la consola
+ */
+function formatActorPlan({ updates, unknown }) {
+  const lines = [`${updates.length} logs por completar`];
+  for (const { id, actorUsername } of unknown) {
+    lines.push(`  ⚠️  ${id}: ningún usuario único con username "${actorUsername}"`);
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  planActorBackfill,
+  formatActorPlan
+};
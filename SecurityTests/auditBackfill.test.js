@@ -0,0 +1,59 @@
+/**
+ * AmbuKit - Tests del backfill de actorUid en auditLogs
+ *
+ * Comprueban el plan de auditBackfill.js con logs y usuarios en memoria.
+ * No necesitan el emulador.
+ *
+ * Ejecutar: npm test
+ */
+
+const { planActorBackfill, formatActorPlan } = require('./auditBackfill');
+
+const USERS = [
+  { id: 'programmer_uid', username: 'admin' },
+  { id: 'sanitary_uid', username: 'sanitario' }
+];
+
+describe('planActorBackfill', () => {
+  test('completa el actorUid con el uid del usuario que tiene ese username', () => {
+    const plan = planActorBackfill([{ id: 'log_1', actorUsername: 'sanitario' }], USERS);
+    expect(plan.updates).toEqual([{ id: 'log_1', actorUid: 'sanitary_uid' }]);
+    expect(plan.unknown).toEqual([]);
+  });
+
+  test('no toca los logs que ya tienen actorUid', () => {
+    const plan = planActorBackfill([{ id: 'log_1', actorUid: 'sanitary_uid', actorUsername: 'admin' }], USERS);
+    expect(plan.updates).toEqual([]);
+  });
+
+  test('no toca los logs sin actor (triggers)', () => {
+    const plan = planActorBackfill([{ id: 'log_1' }], USERS);
+    expect(plan).toEqual({ updates: [], unknown: [] });
+  });
+
+  test('informa de un username que ya no existe sin adivinar el uid', () => {
+    const plan = planActorBackfill([{ id: 'log_1', actorUsername: 'antiguo' }], USERS);
+    expect(plan.updates).toEqual([]);
+    expect(plan.unknown).toEqual([{ id: 'log_1', actorUsername: 'antiguo' }]);
+  });
+
+  test('informa de un username repetido en users', () => {
+    const plan = planActorBackfill(
+      [{ id: 'log_1', actorUsername: 'admin' }],
+      [...USERS, { id: 'otro_uid', username: 'admin' }]
+    );
+    expect(plan.updates).toEqual([]);
+    expect(plan.unknown).toEqual([{ id: 'log_1', actorUsername: 'admin' }]);
+  });
+});
+
+describe('formatActorPlan', () => {
+  test('resume logs por completar y usernames sin usuario', () => {
+    const text = formatActorPlan({
+      updates: [{ id: 'log_1', actorUid: 'sanitary_uid' }],
+      unknown: [{ id: 'log_2', actorUsername: 'antiguo' }]
+    });
+    expect(text).toContain('1 logs por completar');
+    expect(text).toContain('log_2: ningún usuario único con username "antiguo"');
+  });
+});
@@ -0,0 +1,295 @@
+/**
+ * AmbuKit - Tests end-to-end con el emulador de Auth
+ *
+ * A diferencia de firestore.test.js, que usa `authenticatedContext` con
+ * uids simulados, aquí se crean cuentas email/contraseña en el emulador de
+ * Auth, se inicia sesión con el SDK JS y cada petición lleva un ID token
+ * real. Cubren:
+ *   - Que los tokens reales obtienen las mismas decisiones que la matriz
+ *   - El primer login de FirebaseAuthService (UserService.getUser(uid:))
+ *     con perfil completo, sin documento en users, inactivo o con rol inválido
+ *   - Custom claims puestos con el Admin SDK
+ *
+ * Ejecutar: npm test (con los emuladores de Firestore y Auth corriendo)
+ */
+
+// firebase-admin/auth lee esta variable para usar el emulador: se fija antes
+// de cargar nada, sin depender de que otro módulo lo haga al requerirse
+process.env.FIREBASE_AUTH_EMULATOR_HOST = process.env.FIREBASE_AUTH_EMULATOR_HOST || '127.0.0.1:9099';
+
+const {
+  initializeTestEnvironment,
+  assertFails,
+  assertSucceeds
+} = require('@firebase/rules-unit-testing');
+const fs = require('fs');
+const path = require('path');
+const firebase = require('firebase/compat/app');
+require('firebase/compat/auth');
+require('firebase/compat/firestore');
+const { initializeApp: initializeAdminApp, deleteApp } = require('firebase-admin/app');
+const { getAuth } = require('firebase-admin/auth');
+const { TEST_USERS, userData, without, kitData, createDoc, deleteWithCode } = require('./fixtures');
+const { ROLES, matrixCases, seedDocs, runOperation } = require('./permissionMatrix');
+const { coreScenario, loadScenario } = require('./seedScenario');
+const { SEED_PASSWORD, seedAuthAccounts } = require('./scripts/seed-emulator');
+
+// ============================================================================
+// CONFIGURACIÓN
+// ============================================================================
+
+const PROJECT_ID = 'demo-ambukit';
+const RULES_PATH = path.join(__dirname, '..', 'firestore.rules');
+const AUTH_HOST = process.env.FIREBASE_AUTH_EMULATOR_HOST;
+
+/**
+ * Cuentas de Auth para el primer login: tienen cuenta pero su documento
+ * de users falta o no es válido (se crea en cada test)
+ */
+const FIRST_LOGIN_ACCOUNTS = {
+  nuevo_uid: { email: 'nuevo@ambukit.com', fullName: 'Sin Perfil' },
+  inactivo_uid: { email: 'inactivo@ambukit.com', fullName: 'Usuario Inactivo' },
+  rol_invalido_uid: { email: 'rolinvalido@ambukit.com', fullName: 'Rol Inválido' },
+  sin_rol_uid: { email: 'sinrol@ambukit.com', fullName: 'Sin Rol' }
+};
+
+let testEnv;
+let adminApp;
+const clientApps = [];
+
+// ============================================================================
+// SETUP / TEARDOWN
+// ============================================================================
+
+/**
+ * Borra todas las cuentas del emulador de Auth
+ */
+async function clearAuthAccounts() {
+  const url = `http://${AUTH_HOST}/emulator/v1/projects/${PROJECT_ID}/accounts`;
+  const response = await fetch(url, { method: 'DELETE' });
+  if (!response.ok) {
+    throw new Error(`No se pudo vaciar el emulador de Auth (HTTP ${response.status})`);
+  }
+}
+
+beforeAll(async () => {
+  testEnv = await initializeTestEnvironment({
+    projectId: PROJECT_ID,
+    firestore: {
+      rules: fs.readFileSync(RULES_PATH, 'utf8'),
+      host: '127.0.0.1',
+      port: 8080
+    }
+  });
+
+  adminApp = initializeAdminApp({ projectId: PROJECT_ID }, 'auth-e2e');
+  await clearAuthAccounts();
+  await seedAuthAccounts(getAuth(adminApp), { ...TEST_USERS, ...FIRST_LOGIN_ACCOUNTS });
+});
+
+afterAll(async () => {
+  await Promise.all(clientApps.map((app) => app.delete()));
+  if (adminApp) {
+    await deleteApp(adminApp);
+  }
+  if (testEnv) {
+    await testEnv.cleanup();
+  }
+});
+
+beforeEach(async () => {
+  await testEnv.clearFirestore();
+  await testEnv.withSecurityRulesDisabled(async (context) => {
+    await loadScenario(context.firestore(), coreScenario());
+  });
+});
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * App cliente del SDK JS conectada a los emuladores. Con `uid`, inicia
+ * sesión con la cuenta de ese usuario (email + SEED_PASSWORD)
+ */
+async function clientApp(uid) {
+  const app = firebase.initializeApp(
+    { projectId: PROJECT_ID, apiKey: 'demo-api-key' },
+    `auth-e2e-${uid || 'anonymous'}-${clientApps.length}`
+  );
+  clientApps.push(app);
+  app.auth().useEmulator(`http://${AUTH_HOST}`);
+  app.firestore().useEmulator('127.0.0.1', 8080);
+
+  if (uid) {
+    const { email } = TEST_USERS[uid] || FIRST_LOGIN_ACCOUNTS[uid];
+    await app.auth().signInWithEmailAndPassword(email, SEED_PASSWORD);
+  }
+  return app;
+}
+
+/**
+ * Guarda un documento saltándose las reglas
+ */
+async function createWithAdmin(collection, docId, data) {
+  await testEnv.withSecurityRulesDisabled(async (context) => {
+    await context.firestore().collection(collection).doc(docId).set(data);
+  });
+}
+
+/**
+ * Misma consulta que UserService.getUser(uid:) en el login
+ */
+function getUserByUid(db, uid) {
+  return db.collection('users').where('uid', '==', uid).limit(1).get();
+}
+
+// ============================================================================
+// TESTS: TOKENS REALES FRENTE A LA MATRIZ
+// ============================================================================
+// Los mismos casos que describe('Permission Matrix') de firestore.test.js,
+// pero con el ID token de una sesión real en vez de authenticatedContext.
+
+describe('Real ID Tokens', () => {
+  const clients = {};
+
+  beforeAll(async () => {
+    for (const role of ROLES) {
+      clients[role.id] = (await clientApp(role.uid)).firestore();
+    }
+  });
+
+  test('el token lleva el uid del documento users/{uid}', async () => {
+    const app = await clientApp('logistics_uid');
+    const token = await app.auth().currentUser.getIdTokenResult();
+    expect(token.claims.user_id).toBe('logistics_uid');
+    expect(token.claims.email).toBe(TEST_USERS.logistics_uid.email);
+  });
+
+  test('una contraseña incorrecta no inicia sesión', async () => {
+    const app = await clientApp();
+    await expect(
+      app.auth().signInWithEmailAndPassword(TEST_USERS.sanitary_uid.email, 'incorrecta')
+    ).rejects.toThrow();
+  });
+
+  const cases = matrixCases().map((c) => [
+    c.entry.collection,
+    c.role.id,
+    c.allowed ? 'PUEDE' : 'NO puede',
+    c.operation,
+    c
+  ]);
+
+  test.each(cases)(
+    '%s: %s %s hacer %s con token real',
+    async (_collection, _role, _verb, _operation, { entry, role, operation, allowed }) => {
+      for (const [collection, docId, data] of seedDocs(entry)) {
+        await createWithAdmin(collection, docId, data);
+      }
+      const request = runOperation(clients[role.id], entry, role, operation);
+
+      if (allowed) {
+        await assertSucceeds(request);
+      } else {
+        await assertFails(request);
+      }
+    }
+  );
+});
+
+// ============================================================================
+// TESTS: PRIMER LOGIN (FirebaseAuthService.signIn)
+// ============================================================================
+// signIn autentica con Auth y después carga el perfil con
+// UserService.getUser(uid:). Si la consulta falla o no devuelve nada, la app
+// muestra AuthError.userNotFound; un usuario sin perfil válido no llega a
+// leer nada más.
+
+describe('First Login Bootstrap', () => {
+  test('con perfil completo la consulta de login devuelve su UserFS', async () => {
+    const db = (await clientApp('sanitary_uid')).firestore();
+    const snapshot = await assertSucceeds(getUserByUid(db, 'sanitary_uid'));
+    expect(snapshot.docs.map((doc) => doc.data().username)).toEqual(['sanitario']);
+  });
+
+  test('sin documento en users la consulta de login se deniega', async () => {
+    const db = (await clientApp('nuevo_uid')).firestore();
+    await assertFails(getUserByUid(db, 'nuevo_uid'));
+    await assertFails(db.collection('users').doc('nuevo_uid').get());
+    await assertFails(db.collection('kits').get());
+  });
+
+  test('sin documento en users NO puede crearse su propio perfil', async () => {
+    const db = (await clientApp('nuevo_uid')).firestore();
+    await assertFails(
+      createDoc(db, 'users', 'nuevo_uid', userData({
+        uid: 'nuevo_uid',
+        email: FIRST_LOGIN_ACCOUNTS.nuevo_uid.email,
+        roleId: 'role_programmer'
+      }))
+    );
+  });
+
+  test('cuando programmer crea su perfil, la misma sesión ya tiene acceso', async () => {
+    const user = await clientApp('nuevo_uid');
+    const db = user.firestore();
+    await assertFails(getUserByUid(db, 'nuevo_uid'));
+
+    const programmerDb = (await clientApp('programmer_uid')).firestore();
+    await assertSucceeds(
+      createDoc(programmerDb, 'users', 'nuevo_uid', userData({
+        uid: 'nuevo_uid',
+        email: FIRST_LOGIN_ACCOUNTS.nuevo_uid.email
+      }))
+    );
+
+    await assertSucceeds(getUserByUid(db, 'nuevo_uid'));
+    await assertSucceeds(db.collection('kits').get());
+  });
+
+  test.each([
+    ['inactivo_uid', 'inactivo', { active: false }],
+    ['rol_invalido_uid', 'con rol inexistente', { roleId: 'role_inexistente' }]
+  ])('%s (%s) NO puede cargar su perfil ni el inventario', async (uid, _case, overrides) => {
+    await createWithAdmin('users', uid, userData({ uid, email: FIRST_LOGIN_ACCOUNTS[uid].email, ...overrides }));
+    const db = (await clientApp(uid)).firestore();
+
+    await assertFails(getUserByUid(db, uid));
+    await assertFails(db.collection('kits').get());
+  });
+
+  test('sin roleId NO puede cargar su perfil ni el inventario', async () => {
+    await createWithAdmin('users', 'sin_rol_uid', without(userData({
+      uid: 'sin_rol_uid',
+      email: FIRST_LOGIN_ACCOUNTS.sin_rol_uid.email
+    }), 'roleId'));
+    const db = (await clientApp('sin_rol_uid')).firestore();
+
+    await assertFails(getUserByUid(db, 'sin_rol_uid'));
+    await assertFails(db.collection('kits').get());
+  });
+});
+
+// ============================================================================
+// TESTS: CUSTOM CLAIMS CON TOKENS REALES
+// ============================================================================
+// El claim `role` se pone con el Admin SDK y llega a las reglas al refrescar
+// el token. Las decisiones no cambian: las policies se siguen leyendo.
+
+describe('Real Custom Claims', () => {
+  afterEach(async () => {
+    await getAuth(adminApp).setCustomUserClaims('logistics_uid', null);
+  });
+
+  test('el claim role llega a las reglas tras refrescar el token', async () => {
+    await getAuth(adminApp).setCustomUserClaims('logistics_uid', { role: 'logistics' });
+    const app = await clientApp('logistics_uid');
+    const token = await app.auth().currentUser.getIdTokenResult(true);
+    expect(token.claims.role).toBe('logistics');
+
+    const db = app.firestore();
+    await assertSucceeds(createDoc(db, 'kits', 'kit_nuevo', kitData({ code: 'KIT002' })));
+    await assertFails(deleteWithCode(db, 'kits', 'kit_trauma', 'KIT001'));
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * AmbuKit - Backfill de reservas de códigos únicos
+ *
+ * Los documentos creados antes de las reservas (codes/{collection}_{code})
+ * no tienen la suya: otro documento podría quedarse su code y, al borrarlos
+ * o cambiar el code, las reglas no encuentran reserva que liberar. Este
+ * módulo calcula qué reservas faltan a partir de los documentos existentes;
+ * scripts/backfill-codes.js las escribe.
+ *
+ * Los codes repetidos no se resuelven solos: se informan como conflictos y
+ * hay que cambiar el code de los documentos sobrantes a mano.
+ */
+
+const { CODED_COLLECTIONS, codeId } = require('./codes');
+
+// ============================================================================
+// PLANIFICACIÓN
+// ============================================================================
+
+/**
+ * Motivo por el que un code no admite reserva (null si es válido). Mismas
+ * condiciones que isValidCodeReservation en las reglas
+ */
+function invalidCodeReason(code) {
+  if (typeof code !== 'string' || code.length === 0) {
+    return 'sin code';
+  }
+  if (code.includes('/')) {
+    return 'code con "/"';
+  }
+  return null;
+}
+
+/**
+ * Calcula las reservas que faltan.
+ *
+ *   - documents: { colección: [{ id, code }] } de CODED_COLLECTIONS
+ *   - reservations: [{ id, collection, code, docId }] ya guardadas en codes
+ *
+ * Devuelve:
+ *   - missing: [{ id, collection, code, docId }] reservas a crear
+ *   - conflicts: [{ id, collection, code, docIds }] codes usados por más de
+ *     un documento (docIds incluye al dueño de la reserva si ya existe)
+ *   - invalid: [{ collection, docId, reason }] documentos sin code válido
+ */
+function planBackfill(documents, reservations) {
+  const reservedBy = new Map(reservations.map((reservation) => [reservation.id, reservation.docId]));
+  const owners = new Map();
+  const invalid = [];
+
+  for (const collection of CODED_COLLECTIONS) {
+    for (const { id: docId, code } of documents[collection] || []) {
+      const reason = invalidCodeReason(code);
+      if (reason) {
+        invalid.push({ collection, docId, reason });
+        continue;
+      }
+      const id = codeId(collection, code);
+      if (!owners.has(id)) {
+        owners.set(id, { id, collection, code, docIds: [] });
+      }
+      owners.get(id).docIds.push(docId);
+    }
+  }
+
+  const missing = [];
+  const conflicts = [];
+  for (const { id, collection, code, docIds } of owners.values()) {
+    const reservedDocId = reservedBy.get(id);
+    const claimants = reservedDocId && !docIds.includes(reservedDocId) ? [reservedDocId, ...docIds] : docIds;
+    if (claimants.length > 1) {
+      conflicts.push({ id, collection, code, docIds: claimants });
+    } else if (!reservedDocId) {
+      missing.push({ id, collection, code, docId: docIds[0] });
+    }
+  }
+  return { missing, conflicts, invalid };
+}
+
+/**
+ * Resumen legible de un plan para la consola
+ */
+function formatPlan({ missing, conflicts, invalid }) {
+  const lines = [`${missing.length} reservas por crear`];
+  for (const { id, docIds } of conflicts) {
+    lines.push(`  ⚠️  ${id}: code repetido en ${docIds.join(', ')}`);
+  }
+  for (const { collection, docId, reason } of invalid) {
+    lines.push(`  ⚠️  ${collection}/${docId}: ${reason}`);
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  invalidCodeReason,
+  planBackfill,
+  formatPlan
+};
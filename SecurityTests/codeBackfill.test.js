@@ -0,0 +1,120 @@
+/**
+ * AmbuKit - Tests del backfill de reservas de códigos
+ *
+ * Comprueban el plan de codeBackfill.js con documentos y reservas en
+ * memoria. No necesitan el emulador.
+ *
+ * Ejecutar: npm test
+ */
+
+const { invalidCodeReason, planBackfill, formatPlan } = require('./codeBackfill');
+const { codeId } = require('./codes');
+
+/**
+ * Reserva guardada de `code` en `collection` para `docId`
+ */
+function reservation(collection, code, docId) {
+  return { id: codeId(collection, code), collection, code, docId };
+}
+
+describe('invalidCodeReason', () => {
+  test.each([
+    ['BIL001', null],
+    ['', 'sin code'],
+    [undefined, 'sin code'],
+    [42, 'sin code'],
+    ['KIT/001', 'code con "/"']
+  ])('%p → %p', (code, reason) => {
+    expect(invalidCodeReason(code)).toBe(reason);
+  });
+});
+
+describe('planBackfill', () => {
+  test('reserva los codes de documentos sin reserva', () => {
+    const plan = planBackfill({
+      bases: [{ id: 'base_bilbao', code: 'BIL001' }],
+      kits: [{ id: 'kit_trauma', code: 'KIT001' }]
+    }, []);
+
+    expect(plan.missing).toEqual([
+      reservation('bases', 'BIL001', 'base_bilbao'),
+      reservation('kits', 'KIT001', 'kit_trauma')
+    ]);
+    expect(plan.conflicts).toEqual([]);
+    expect(plan.invalid).toEqual([]);
+  });
+
+  test('no toca las reservas que ya existen', () => {
+    const plan = planBackfill(
+      { bases: [{ id: 'base_bilbao', code: 'BIL001' }] },
+      [reservation('bases', 'BIL001', 'base_bilbao')]
+    );
+    expect(plan.missing).toEqual([]);
+    expect(plan.conflicts).toEqual([]);
+  });
+
+  test('el mismo code en colecciones distintas no es un conflicto', () => {
+    const plan = planBackfill({
+      kits: [{ id: 'kit_a', code: 'A1' }],
+      categories: [{ id: 'cat_a', code: 'A1' }]
+    }, []);
+    expect(plan.missing.map(({ id }) => id)).toEqual(['kits_A1', 'categories_A1']);
+  });
+
+  test('informa de un code repetido sin reservarlo', () => {
+    const plan = planBackfill({
+      kits: [{ id: 'kit_a', code: 'KIT001' }, { id: 'kit_b', code: 'KIT001' }]
+    }, []);
+    expect(plan.missing).toEqual([]);
+    expect(plan.conflicts).toEqual([
+      { id: 'kits_KIT001', collection: 'kits', code: 'KIT001', docIds: ['kit_a', 'kit_b'] }
+    ]);
+  });
+
+  test('informa de un code reservado por otro documento', () => {
+    const plan = planBackfill(
+      { kits: [{ id: 'kit_viejo', code: 'KIT001' }] },
+      [reservation('kits', 'KIT001', 'kit_nuevo')]
+    );
+    expect(plan.missing).toEqual([]);
+    expect(plan.conflicts[0].docIds).toEqual(['kit_nuevo', 'kit_viejo']);
+  });
+
+  test('salta los documentos sin code válido', () => {
+    const plan = planBackfill({
+      catalogItems: [{ id: 'cat_sin', code: undefined }, { id: 'cat_barra', code: 'A/B' }]
+    }, []);
+    expect(plan.missing).toEqual([]);
+    expect(plan.invalid).toEqual([
+      { collection: 'catalogItems', docId: 'cat_sin', reason: 'sin code' },
+      { collection: 'catalogItems', docId: 'cat_barra', reason: 'code con "/"' }
+    ]);
+  });
+
+  test('informa de un username repetido como conflicto de users', () => {
+    const plan = planBackfill({
+      users: [{ id: 'uid_a', code: 'sanitario' }, { id: 'uid_b', code: 'sanitario' }]
+    }, []);
+    expect(plan.conflicts).toEqual([
+      { id: 'users_sanitario', collection: 'users', code: 'sanitario', docIds: ['uid_a', 'uid_b'] }
+    ]);
+  });
+
+  test('ignora las colecciones sin codes únicos', () => {
+    const plan = planBackfill({ vehicles: [{ id: 'amb_001', code: 'AMB001' }] }, []);
+    expect(plan.missing).toEqual([]);
+  });
+});
+
+describe('formatPlan', () => {
+  test('resume reservas, conflictos y documentos inválidos', () => {
+    const text = formatPlan({
+      missing: [reservation('bases', 'BIL001', 'base_bilbao')],
+      conflicts: [{ id: 'kits_KIT001', collection: 'kits', code: 'KIT001', docIds: ['kit_a', 'kit_b'] }],
+      invalid: [{ collection: 'categories', docId: 'cat_x', reason: 'sin code' }]
+    });
+    expect(text).toContain('1 reservas por crear');
+    expect(text).toContain('kits_KIT001: code repetido en kit_a, kit_b');
+    expect(text).toContain('categories/cat_x: sin code');
+  });
+});
@@ -0,0 +1,36 @@
+/**
+ * AmbuKit - Códigos únicos
+ *
+ * Qué colecciones reservan su code en codes/{collection}_{code}, en qué
+ * campo lo guardan y el id de la reserva. Lo comparten los fixtures de los
+ * tests, el escenario semilla y el backfill; codes.test.js comprueba que
+ * coincide con codedCollections() y codeField() de firestore.rules.
+ *
+ * No depende del SDK de Firebase, así que los scripts del Admin SDK pueden
+ * importarlo sin cargar el SDK del cliente.
+ */
+
+/**
+ * Colecciones con code único, reservado en codes/{collection}_{code}
+ */
+const CODED_COLLECTIONS = ['bases', 'kits', 'catalogItems', 'categories', 'users'];
+
+/**
+ * Campo que guarda el code en `collection` (users reserva su username)
+ */
+function codeField(collection) {
+  return collection === 'users' ? 'username' : 'code';
+}
+
+/**
+ * Id de la reserva de `code` en `collection`
+ */
+function codeId(collection, code) {
+  return `${collection}_${code}`;
+}
+
+module.exports = {
+  CODED_COLLECTIONS,
+  codeField,
+  codeId
+};
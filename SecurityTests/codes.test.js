@@ -0,0 +1,46 @@
+/**
+ * AmbuKit - Tests de los códigos únicos
+ *
+ * Comprueban que codes.js coincide con codedCollections() y codeField() de
+ * firestore.rules. No necesitan el emulador.
+ *
+ * Ejecutar: npm test
+ */
+
+const fs = require('fs');
+const { CODED_COLLECTIONS, codeField, codeId } = require('./codes');
+const { RULES_PATH } = require('./rulesCoverage');
+
+const RULES = fs.readFileSync(RULES_PATH, 'utf8');
+
+/**
+ * Cuerpo del `return` de la función `name` de las reglas
+ */
+function ruleReturn(name) {
+  const match = RULES.match(new RegExp(`function ${name}\\([^)]*\\)\\s*\\{\\s*return\\s+([^;]+);`));
+  if (!match) {
+    throw new Error(`firestore.rules no define ${name}()`);
+  }
+  return match[1];
+}
+
+describe('codes', () => {
+  test('CODED_COLLECTIONS son las colecciones de codedCollections() de las reglas', () => {
+    const keys = [...ruleReturn('codedCollections').matchAll(/'(\w+)'\s*:/g)].map((match) => match[1]);
+    expect(CODED_COLLECTIONS).toEqual(keys);
+  });
+
+  test('codeField elige el mismo campo que codeField() de las reglas', () => {
+    const match = ruleReturn('codeField').match(/^collection == '(\w+)' \? '(\w+)' : '(\w+)'$/);
+    expect(match).not.toBeNull();
+    const [, special, specialField, defaultField] = match;
+    for (const collection of CODED_COLLECTIONS) {
+      expect(codeField(collection)).toBe(collection === special ? specialField : defaultField);
+    }
+  });
+
+  test('codeId es el id de codePath() de las reglas', () => {
+    expect(ruleReturn('codePath')).toContain("$(collection + '_' + code)");
+    expect(codeId('kits', 'KIT001')).toBe('kits_KIT001');
+  });
+});
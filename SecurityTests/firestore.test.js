@@ -4,10 +4,17 @@
  * Tests para verificar que las reglas de seguridad de Firestore
  * funcionan correctamente según la matriz de permisos de AmbuKit.
  * 
+ * Los casos rol × colección × operación se generan desde
+ * permissionMatrix.js; aquí solo se escriben a mano los casos
+ * que la matriz no puede expresar (campos, esquemas, policies...).
+ * 
  * ROLES:
  *   - programmer: Acceso completo
  *   - logistics: CRUD bases/vehicles/kits, NO delete vehicles/kits
- *   - sanitary: Solo lectura + update stock kitItems
+ *   - sanitary: Solo lectura + update stock kitItems (quantity, notes) de su base
+ * 
+ * Los cambios de quantity van siempre con su movimiento de stock
+ * (updateStock), igual que KitService.updateKitItem.
  * 
  * Ejecutar: npm test (con emulador corriendo)
  */
@@ -19,6 +26,45 @@ const {
 } = require('@firebase/rules-unit-testing');
 const fs = require('fs');
 const path = require('path');
+const {
+  TEST_USERS,
+  serverTimestamp,
+  deleteField,
+  without,
+  baseData,
+  vehicleData,
+  kitData,
+  kitItemData,
+  catalogItemData,
+  categoryData,
+  unitOfMeasureData,
+  userData,
+  auditLogData,
+  kitAuditData,
+  stockMovementData,
+  commitStockUpdate,
+  codeReservationData,
+  reserveCode,
+  releaseCode,
+  createDoc,
+  deleteWithCode,
+  serverTimestamps,
+  touch,
+  policyData
+} = require('./fixtures');
+const { codeId } = require('./codes');
+const {
+  matrixCases,
+  seedDocs,
+  runOperation
+} = require('./permissionMatrix');
+const {
+  SCENARIO_ORDER,
+  CHILD_LISTS,
+  coreScenario,
+  fullScenario,
+  loadScenario
+} = require('./seedScenario');
 
 // ============================================================================
 // CONFIGURACIÓN
@@ -61,10 +107,11 @@ beforeEach(async () => {
 // ============================================================================
 
 /**
- * Crea un contexto autenticado para un usuario
+ * Crea un contexto autenticado para un usuario.
+ * `claims` añade custom claims al token (ej: { role: 'logistics' })
  */
-function getAuthContext(uid) {
-  return testEnv.authenticatedContext(uid);
+function getAuthContext(uid, claims) {
+  return testEnv.authenticatedContext(uid, claims);
 }
 
 /**
@@ -75,53 +122,20 @@ function getUnauthContext() {
 }
 
 /**
- * Crea datos de prueba: roles y usuarios
+ * Guarda policies/{roleId}_{entity} saltándose las reglas
+ */
+async function setPolicy(roleId, entity, flags) {
+  await createWithAdmin('policies', `${roleId}_${entity}`, policyData(roleId, entity, flags));
+}
+
+/**
+ * Crea datos de prueba: el escenario mínimo de seedScenario.js (roles,
+ * policies, usuarios y base_bilbao → amb_001 → kit_trauma, más cat_adrenalina)
  * Usa withSecurityRulesDisabled para bypasear las reglas
  */
 async function setupTestData() {
   await testEnv.withSecurityRulesDisabled(async (context) => {
-    const adminDb = context.firestore();
-    
-    // Crear roles
-    await adminDb.collection('roles').doc('role_programmer').set({
-      kind: 'programmer',
-      displayName: 'Programador'
-    });
-    
-    await adminDb.collection('roles').doc('role_logistics').set({
-      kind: 'logistics',
-      displayName: 'Logística'
-    });
-    
-    await adminDb.collection('roles').doc('role_sanitary').set({
-      kind: 'sanitary',
-      displayName: 'Sanitario'
-    });
-    
-    // Crear usuarios
-    await adminDb.collection('users').doc('programmer_uid').set({
-      uid: 'programmer_uid',
-      username: 'admin',
-      email: 'admin@ambukit.com',
-      roleId: 'role_programmer',
-      active: true
-    });
-    
-    await adminDb.collection('users').doc('logistics_uid').set({
-      uid: 'logistics_uid',
-      username: 'logistica',
-      email: 'logistica@ambukit.com',
-      roleId: 'role_logistics',
-      active: true
-    });
-    
-    await adminDb.collection('users').doc('sanitary_uid').set({
-      uid: 'sanitary_uid',
-      username: 'sanitario',
-      email: 'sanitario@ambukit.com',
-      roleId: 'role_sanitary',
-      active: true
-    });
+    await loadScenario(context.firestore(), coreScenario());
   });
 }
 
@@ -134,828 +148,2540 @@ async function createWithAdmin(collection, docId, data) {
   });
 }
 
-// ============================================================================
-// TESTS: USUARIOS NO AUTENTICADOS
-// ============================================================================
-
-describe('Unauthenticated Access', () => {
-  beforeEach(async () => {
-    await setupTestData();
+/**
+ * Helper para borrar documentos con admin context
+ */
+async function deleteWithAdmin(collection, docId) {
+  await testEnv.withSecurityRulesDisabled(async (context) => {
+    await context.firestore().collection(collection).doc(docId).delete();
   });
+}
 
-  test('usuarios no autenticados NO pueden leer users', async () => {
-    const db = getUnauthContext().firestore();
-    await assertFails(db.collection('users').get());
+/**
+ * Fija la lista de hijos de un padre, como harían los triggers de
+ * functions/relationships.js (en el emulador de reglas no corren). Solo
+ * con admin: las reglas no dejan al cliente escribir estas listas
+ */
+async function setChildList(collection, docId, listField, childIds) {
+  await testEnv.withSecurityRulesDisabled(async (context) => {
+    await context.firestore().collection(collection).doc(docId).update({ [listField]: childIds });
   });
+}
 
-  test('usuarios no autenticados NO pueden leer roles', async () => {
-    const db = getUnauthContext().firestore();
-    await assertFails(db.collection('roles').get());
+/**
+ * Cambio de stock de `uid` como KitService.updateKitItem: el update del
+ * kitItem y su movimiento en el mismo batch, con delta = quantity nueva -
+ * quantity guardada. `movement` sustituye campos del movimiento
+ */
+async function updateStock(uid, itemId, changes, { movement = {}, claims } = {}) {
+  let stored;
+  await testEnv.withSecurityRulesDisabled(async (context) => {
+    stored = (await context.firestore().collection('kitItems').doc(itemId).get()).data();
   });
-
-  test('usuarios no autenticados NO pueden leer bases', async () => {
-    const db = getUnauthContext().firestore();
-    await assertFails(db.collection('bases').get());
+  const delta = changes.quantity - stored.quantity;
+  return commitStockUpdate(getAuthContext(uid, claims).firestore(), itemId, changes, {
+    delta,
+    reason: delta < 0 ? 'use' : 'restock',
+    actorUid: uid,
+    actorUsername: TEST_USERS[uid].username,
+    ...movement
   });
+}
 
-  test('usuarios no autenticados NO pueden leer kits', async () => {
-    const db = getUnauthContext().firestore();
-    await assertFails(db.collection('kits').get());
-  });
+// ============================================================================
+// TESTS: MATRIZ DE PERMISOS (generados desde permissionMatrix.js)
+// ============================================================================
+// Un caso por rol × colección × operación (get, list, create, update, delete).
+// Para cambiar un permiso: editar permissionMatrix.js y las reglas, y
+// regenerar la tabla del README con `npm run docs:matrix`.
 
-  test('usuarios no autenticados NO pueden leer auditLogs', async () => {
-    const db = getUnauthContext().firestore();
-    await assertFails(db.collection('auditLogs').get());
+describe('Permission Matrix', () => {
+  beforeEach(async () => {
+    await setupTestData();
   });
+
+  const cases = matrixCases().map((c) => [
+    c.entry.collection,
+    c.role.id,
+    c.allowed ? 'PUEDE' : 'NO puede',
+    c.operation,
+    c
+  ]);
+
+  test.each(cases)(
+    '%s: %s %s hacer %s',
+    async (_collection, _role, _verb, _operation, { entry, role, operation, allowed }) => {
+      for (const [collection, docId, data] of seedDocs(entry)) {
+        await createWithAdmin(collection, docId, data);
+      }
+
+      const context = role.uid ? getAuthContext(role.uid) : getUnauthContext();
+      const request = runOperation(context.firestore(), entry, role, operation);
+
+      if (allowed) {
+        await assertSucceeds(request);
+      } else {
+        await assertFails(request);
+      }
+    }
+  );
 });
 
 // ============================================================================
-// TESTS: USERS COLLECTION
+// TESTS: KIT ITEMS - ACTUALIZACIÓN DE STOCK
 // ============================================================================
 
-describe('Users Collection Security', () => {
+describe('KitItems Stock Updates', () => {
   beforeEach(async () => {
     await setupTestData();
-  });
-
-  // READ
-  test('todos los autenticados pueden leer users', async () => {
-    const sanitaryDb = getAuthContext('sanitary_uid').firestore();
-    await assertSucceeds(sanitaryDb.collection('users').get());
-  });
-
-  // CREATE
-  test('programmer PUEDE crear users', async () => {
-    const db = getAuthContext('programmer_uid').firestore();
+    await createWithAdmin('kitItems', 'item_adrenalina', kitItemData({
+      lot: 'LOT123456',
+      expiry: new Date('2027-06-30'),
+      notes: null
+    }));
+    // Destinos válidos de kitId/catalogItemId (kit_otro también en la base
+    // del sanitario): solo la lista de campos puede denegar el cambio
+    await createWithAdmin('kits', 'kit_otro', kitData({ code: 'KIT002' }));
+    await createWithAdmin('catalogItems', 'cat_otro', catalogItemData({ code: 'ADR002' }));
+  });
+
+  // Sanitarios: solo campos de stock
+  test('sanitary PUEDE actualizar stock con notas y updatedAt', async () => {
     await assertSucceeds(
-      db.collection('users').doc('new_user').set({
-        uid: 'new_user',
-        username: 'nuevo',
-        email: 'nuevo@ambukit.com',
-        roleId: 'role_sanitary',
-        active: true
+      updateStock('sanitary_uid', 'item_adrenalina', {
+        quantity: 7,
+        notes: 'Usada en aviso 112',
+        updatedAt: serverTimestamp()
       })
     );
   });
 
-  test('logistics NO puede crear users', async () => {
+  // Matriz de campos que un sanitario NO puede modificar
+  const forbiddenSanitaryUpdates = [
+    ['min', { min: 0 }],
+    ['max', { max: 999 }],
+    ['kitId', { kitId: 'kit_otro' }],
+    ['catalogItemId', { catalogItemId: 'cat_otro' }],
+    ['lot', { lot: 'LOT000000' }],
+    ['expiry', { expiry: new Date('2030-01-01') }],
+    ['createdAt', { createdAt: new Date('2020-01-01') }]
+  ];
+
+  test.each(forbiddenSanitaryUpdates)(
+    'sanitary NO puede modificar %s en kitItems',
+    async (_field, changes) => {
+      const db = getAuthContext('sanitary_uid').firestore();
+      await assertFails(
+        db.collection('kitItems').doc('item_adrenalina').update(touch(changes))
+      );
+    }
+  );
+
+  test.each(forbiddenSanitaryUpdates)(
+    'sanitary NO puede modificar %s aunque actualice quantity',
+    async (_field, changes) => {
+      await assertFails(
+        updateStock('sanitary_uid', 'item_adrenalina', {
+          quantity: 9,
+          ...changes
+        })
+      );
+    }
+  );
+
+  test('logistics PUEDE actualizar umbrales (min/max)', async () => {
     const db = getAuthContext('logistics_uid').firestore();
-    await assertFails(
-      db.collection('users').doc('new_user').set({
-        uid: 'new_user',
-        username: 'nuevo',
-        email: 'nuevo@ambukit.com',
-        roleId: 'role_sanitary',
-        active: true
-      })
+    await assertSucceeds(
+      db.collection('kitItems').doc('item_adrenalina').update(touch({
+        min: 3,
+        max: 25
+      }))
     );
   });
 
-  test('sanitary NO puede crear users', async () => {
-    const db = getAuthContext('sanitary_uid').firestore();
-    await assertFails(
-      db.collection('users').doc('new_user').set({
-        uid: 'new_user',
-        username: 'nuevo',
-        email: 'nuevo@ambukit.com',
-        roleId: 'role_sanitary',
-        active: true
+  test('programmer PUEDE actualizar todo en kitItems', async () => {
+    await assertSucceeds(
+      updateStock('programmer_uid', 'item_adrenalina', {
+        quantity: 15,
+        min: 10,
+        max: 30
       })
     );
   });
 
-  // UPDATE
-  test('programmer PUEDE actualizar users', async () => {
-    const db = getAuthContext('programmer_uid').firestore();
+  test('logistics PUEDE actualizar lote, caducidad y referencias', async () => {
+    const db = getAuthContext('logistics_uid').firestore();
     await assertSucceeds(
-      db.collection('users').doc('sanitary_uid').update({
-        username: 'sanitario_updated'
-      })
+      db.collection('kitItems').doc('item_adrenalina').update(touch({
+        lot: 'LOT654321',
+        expiry: new Date('2028-01-31'),
+        kitId: 'kit_otro',
+        catalogItemId: 'cat_otro'
+      }))
     );
   });
+});
 
-  test('logistics NO puede actualizar users', async () => {
-    const db = getAuthContext('logistics_uid').firestore();
-    await assertFails(
-      db.collection('users').doc('sanitary_uid').update({
-        username: 'hack'
-      })
-    );
+// ============================================================================
+// TESTS: KIT ITEMS - INVARIANTES DE STOCK
+// ============================================================================
+// quantity >= 0, min >= 0, min <= max (si hay max) para todos los roles.
+// Un sanitario además no puede dejar más de max × SANITARY_STOCK_FACTOR.
+
+describe('KitItems Stock Invariants', () => {
+  // Debe coincidir con sanitaryStockFactor() en firestore.rules
+  const SANITARY_STOCK_FACTOR = 2;
+  const MAX = 20;
+  const CAP = MAX * SANITARY_STOCK_FACTOR;
+
+  const roles = ['programmer_uid', 'logistics_uid', 'sanitary_uid'];
+  const managers = ['programmer_uid', 'logistics_uid'];
+
+  beforeEach(async () => {
+    await setupTestData();
+    await createWithAdmin('kitItems', 'item_adrenalina', kitItemData({ quantity: 10, min: 5, max: MAX }));
+    await createWithAdmin('kitItems', 'item_sin_max', without(kitItemData({ quantity: 10, min: 5 }), 'max'));
   });
 
-  // DELETE
-  test('programmer PUEDE eliminar users', async () => {
-    const db = getAuthContext('programmer_uid').firestore();
-    await assertSucceeds(
-      db.collection('users').doc('sanitary_uid').delete()
-    );
+  /**
+   * Actualiza el stock de un kitItem con el usuario indicado
+   */
+  function updateQuantity(uid, quantity, itemId = 'item_adrenalina') {
+    return updateStock(uid, itemId, { quantity });
+  }
+
+  // quantity >= 0
+  describe.each(roles)('quantity con %s', (uid) => {
+    test.each([0, 0.5, 1])('PUEDE fijar quantity = %s', async (quantity) => {
+      await assertSucceeds(updateQuantity(uid, quantity));
+    });
+
+    test.each([-1, -0.5, -50])('NO puede fijar quantity = %s', async (quantity) => {
+      await assertFails(updateQuantity(uid, quantity));
+    });
   });
 
-  test('logistics NO puede eliminar users', async () => {
-    const db = getAuthContext('logistics_uid').firestore();
-    await assertFails(
-      db.collection('users').doc('sanitary_uid').delete()
-    );
+  // min >= 0 y min <= max (solo gestores: sanitary no toca umbrales)
+  describe.each(managers)('umbrales con %s', (uid) => {
+    test.each([
+      ['min = 0', { min: 0 }],
+      ['min = max', { min: MAX, max: MAX }],
+      ['min = max - 1', { min: MAX - 1, max: MAX }],
+      ['max = min', { min: 5, max: 5 }]
+    ])('PUEDE fijar %s', async (_case, changes) => {
+      const db = getAuthContext(uid).firestore();
+      await assertSucceeds(db.collection('kitItems').doc('item_adrenalina').update(touch(changes)));
+    });
+
+    test.each([
+      ['min = -1', { min: -1 }],
+      ['min = max + 1', { min: MAX + 1, max: MAX }],
+      ['max = min - 1', { min: 5, max: 4 }],
+      ['max negativo', { min: 0, max: -1 }]
+    ])('NO puede fijar %s', async (_case, changes) => {
+      const db = getAuthContext(uid).firestore();
+      await assertFails(db.collection('kitItems').doc('item_adrenalina').update(touch(changes)));
+    });
+
+    test('PUEDE fijar cualquier min si no hay max', async () => {
+      const db = getAuthContext(uid).firestore();
+      await assertSucceeds(db.collection('kitItems').doc('item_sin_max').update(touch({ min: 500 })));
+    });
+
+    test('NO puede crear un kitItem con min > max', async () => {
+      const db = getAuthContext(uid).firestore();
+      await assertFails(
+        db.collection('kitItems').doc('item_nuevo').set(kitItemData({ min: 30, max: 5 }))
+      );
+    });
+
+    test('NO puede crear un kitItem con quantity negativa', async () => {
+      const db = getAuthContext(uid).firestore();
+      await assertFails(
+        db.collection('kitItems').doc('item_nuevo').set(kitItemData({ quantity: -50 }))
+      );
+    });
+
+    test(`PUEDE fijar stock por encima de max × ${SANITARY_STOCK_FACTOR}`, async () => {
+      await assertSucceeds(updateQuantity(uid, CAP + 1));
+    });
   });
 
-  test('sanitary NO puede eliminar users', async () => {
-    const db = getAuthContext('sanitary_uid').firestore();
-    await assertFails(
-      db.collection('users').doc('logistics_uid').delete()
-    );
+  // Límite de una actualización sanitaria
+  test.each([MAX, CAP - 1, CAP])('sanitary PUEDE fijar quantity = %s (límite max × factor)', async (quantity) => {
+    await assertSucceeds(updateQuantity('sanitary_uid', quantity));
+  });
+
+  test.each([CAP + 0.5, CAP + 1, 1000])('sanitary NO puede fijar quantity = %s (límite max × factor)', async (quantity) => {
+    await assertFails(updateQuantity('sanitary_uid', quantity));
+  });
+
+  test('sanitary PUEDE fijar cualquier stock no negativo si no hay max', async () => {
+    await assertSucceeds(updateQuantity('sanitary_uid', 1000, 'item_sin_max'));
   });
 });
 
 // ============================================================================
-// TESTS: ROLES COLLECTION (Read-Only)
+// TESTS: KIT ITEMS - ÁMBITO POR BASE
 // ============================================================================
+// Dos bases con su vehículo, kit e item. Un sanitario solo actualiza stock
+// en su base (kit → vehículo → base); programmer y logistics son globales.
 
-describe('Roles Collection Security', () => {
+describe('Base-Scoped Sanitary Access', () => {
   beforeEach(async () => {
     await setupTestData();
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      const adminDb = context.firestore();
+      await adminDb.collection('bases').doc('base_vitoria').set(baseData({ code: 'VIT001', name: 'Base Vitoria' }));
+      await adminDb.collection('vehicles').doc('amb_vit').set(vehicleData({ code: 'AMB-VIT', baseId: 'base_vitoria' }));
+      await adminDb.collection('kits').doc('kit_vit').set(kitData({ code: 'KIT-VIT', vehicleId: 'amb_vit' }));
+      await adminDb.collection('kitItems').doc('item_bilbao').set(kitItemData({ kitId: 'kit_trauma' }));
+      await adminDb.collection('kitItems').doc('item_vitoria').set(kitItemData({ kitId: 'kit_vit' }));
+      await adminDb.collection('users').doc('sanitary_vit_uid').set(userData({
+        uid: 'sanitary_vit_uid',
+        username: 'sanitario_vit',
+        email: 'sanitario.vit@ambukit.com',
+        roleId: 'role_sanitary',
+        baseId: 'base_vitoria'
+      }));
+    });
+  });
+
+  /**
+   * Actualiza el stock de un kitItem con el usuario indicado
+   */
+  function updateItemStock(uid, itemId) {
+    return updateStock(uid, itemId, { quantity: 8 });
+  }
+
+  test.each([
+    ['sanitary_uid', 'item_bilbao'],
+    ['sanitary_vit_uid', 'item_vitoria']
+  ])('%s PUEDE actualizar stock de su base (%s)', async (uid, itemId) => {
+    await assertSucceeds(updateItemStock(uid, itemId));
+  });
+
+  test.each([
+    ['sanitary_uid', 'item_vitoria'],
+    ['sanitary_vit_uid', 'item_bilbao']
+  ])('%s NO puede actualizar stock de otra base (%s)', async (uid, itemId) => {
+    await assertFails(updateItemStock(uid, itemId));
+  });
+
+  test.each([
+    ['programmer_uid', 'item_bilbao'],
+    ['programmer_uid', 'item_vitoria'],
+    ['logistics_uid', 'item_bilbao'],
+    ['logistics_uid', 'item_vitoria']
+  ])('%s PUEDE actualizar stock en cualquier base (%s)', async (uid, itemId) => {
+    await assertSucceeds(updateItemStock(uid, itemId));
   });
 
-  test('todos los autenticados pueden leer roles', async () => {
+  test('sanitary NO puede mezclar bases en un mismo batch', async () => {
     const db = getAuthContext('sanitary_uid').firestore();
-    await assertSucceeds(db.collection('roles').get());
+    const batch = db.batch();
+    for (const itemId of ['item_bilbao', 'item_vitoria']) {
+      const itemRef = db.collection('kitItems').doc(itemId);
+      batch.update(itemRef, touch({ quantity: 8, lastMovementId: 'mov_mezcla' }));
+      batch.set(itemRef.collection('movements').doc('mov_mezcla'), stockMovementData());
+    }
+    await assertFails(batch.commit());
   });
 
-  test('NI programmer puede crear roles', async () => {
-    const db = getAuthContext('programmer_uid').firestore();
-    await assertFails(
-      db.collection('roles').doc('new_role').set({
-        kind: 'superadmin',
-        displayName: 'Super Admin'
-      })
-    );
+  test('sanitary PUEDE leer el inventario de otra base', async () => {
+    const db = getAuthContext('sanitary_uid').firestore();
+    await assertSucceeds(db.collection('kitItems').doc('item_vitoria').get());
   });
 
-  test('NI programmer puede eliminar roles', async () => {
-    const db = getAuthContext('programmer_uid').firestore();
-    await assertFails(
-      db.collection('roles').doc('role_sanitary').delete()
-    );
+  test('sanitary sin baseId NO puede actualizar stock', async () => {
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      await context.firestore().collection('users').doc('sanitary_uid').update({ baseId: null });
+    });
+    await assertFails(updateItemStock('sanitary_uid', 'item_bilbao'));
+  });
+
+  test('NO puede actualizar stock de un kit sin vehículo', async () => {
+    await createWithAdmin('kits', 'kit_almacen', kitData({ code: 'ALM001', vehicleId: null }));
+    await createWithAdmin('kitItems', 'item_almacen', kitItemData({ kitId: 'kit_almacen' }));
+    await assertFails(updateItemStock('sanitary_uid', 'item_almacen'));
+  });
+
+  test('NO puede actualizar stock de un vehículo sin base', async () => {
+    await createWithAdmin('vehicles', 'amb_taller', vehicleData({ code: 'TALLER', baseId: null }));
+    await createWithAdmin('kits', 'kit_taller', kitData({ code: 'TAL001', vehicleId: 'amb_taller' }));
+    await createWithAdmin('kitItems', 'item_taller', kitItemData({ kitId: 'kit_taller' }));
+    await assertFails(updateItemStock('sanitary_uid', 'item_taller'));
+  });
+
+  test('NO puede actualizar stock de un kitItem sin kit', async () => {
+    await createWithAdmin('kitItems', 'item_suelto', kitItemData({ kitId: null }));
+    await assertFails(updateItemStock('sanitary_uid', 'item_suelto'));
+  });
+
+  test('pierde el acceso cuando el vehículo cambia de base', async () => {
+    await assertSucceeds(updateItemStock('sanitary_uid', 'item_bilbao'));
+
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      await context.firestore().collection('vehicles').doc('amb_001').update({ baseId: 'base_vitoria' });
+    });
+    await assertFails(updateItemStock('sanitary_uid', 'item_bilbao'));
+    await assertSucceeds(updateItemStock('sanitary_vit_uid', 'item_bilbao'));
   });
 });
 
 // ============================================================================
-// TESTS: POLICIES COLLECTION (Read-Only)
+// TESTS: KIT ITEMS - MOVIMIENTOS DE STOCK
 // ============================================================================
+// Cada cambio de quantity va en el mismo batch que un movimiento nuevo en
+// kitItems/{itemId}/movements con delta = cambio; lastMovementId lo enlaza.
+// Los movimientos no se modifican ni se borran.
+
+describe('Stock Movements', () => {
+  const roles = ['programmer_uid', 'logistics_uid', 'sanitary_uid'];
 
-describe('Policies Collection Security', () => {
   beforeEach(async () => {
     await setupTestData();
-    await createWithAdmin('policies', 'policy_test', {
-      roleId: 'role_sanitary',
-      entity: 'kit',
-      canCreate: false,
-      canRead: true,
-      canUpdate: false,
-      canDelete: false
+    await createWithAdmin('kitItems', 'item_adrenalina', kitItemData({ quantity: 10, lastMovementId: 'mov_previo' }));
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      await context.firestore().collection('kitItems').doc('item_adrenalina')
+        .collection('movements').doc('mov_previo')
+        .set(stockMovementData({ timestamp: new Date('2025-11-01T08:00:00Z') }));
     });
   });
 
-  test('todos los autenticados pueden leer policies', async () => {
-    const db = getAuthContext('sanitary_uid').firestore();
-    await assertSucceeds(db.collection('policies').get());
+  /**
+   * Referencia a kitItems/item_adrenalina para el usuario indicado
+   */
+  function itemRef(uid) {
+    return getAuthContext(uid).firestore().collection('kitItems').doc('item_adrenalina');
+  }
+
+  describe.each(roles)('%s', (uid) => {
+    // Movimiento que coincide
+    test('PUEDE gastar stock con su movimiento', async () => {
+      await assertSucceeds(updateStock(uid, 'item_adrenalina', { quantity: 7 }));
+    });
+
+    test('PUEDE reponer stock con su movimiento', async () => {
+      await assertSucceeds(updateStock(uid, 'item_adrenalina', { quantity: 15 }));
+    });
+
+    // Movimiento que no coincide
+    test.each([-1, -4, 3])('NO puede bajar a 7 con un movimiento de delta %s', async (delta) => {
+      await assertFails(updateStock(uid, 'item_adrenalina', { quantity: 7 }, {
+        movement: { delta, reason: 'adjustment' }
+      }));
+    });
+
+    test('NO puede apuntar lastMovementId a un movimiento anterior', async () => {
+      await assertFails(itemRef(uid).update(touch({ quantity: 8, lastMovementId: 'mov_previo' })));
+    });
+
+    test('NO puede apuntar lastMovementId a un movimiento inexistente', async () => {
+      await assertFails(itemRef(uid).update(touch({ quantity: 7, lastMovementId: 'mov_fantasma' })));
+    });
+
+    // Sin movimiento
+    test('NO puede cambiar quantity sin movimiento', async () => {
+      await assertFails(itemRef(uid).update(touch({ quantity: 7 })));
+    });
+
+    test('PUEDE actualizar las notas sin movimiento', async () => {
+      await assertSucceeds(itemRef(uid).update(touch({ notes: 'Revisado' })));
+    });
+
+    test('NO puede añadir un movimiento sin cambiar quantity', async () => {
+      await assertFails(
+        itemRef(uid).collection('movements').doc('mov_suelto').set(stockMovementData({
+          actorUid: uid,
+          actorUsername: TEST_USERS[uid].username
+        }))
+      );
+    });
+
+    // Inmutabilidad
+    test('NO puede modificar un movimiento registrado', async () => {
+      await assertFails(itemRef(uid).collection('movements').doc('mov_previo').update({ delta: -1 }));
+    });
+
+    test('NO puede borrar un movimiento registrado', async () => {
+      await assertFails(itemRef(uid).collection('movements').doc('mov_previo').delete());
+    });
+
+    test('PUEDE leer los movimientos de un item', async () => {
+      await assertSucceeds(itemRef(uid).collection('movements').get());
+    });
   });
 
-  test('NI programmer puede modificar policies', async () => {
-    const db = getAuthContext('programmer_uid').firestore();
+  // Validación del movimiento (con sanitary)
+  test.each([
+    ['uso', 7, { reason: 'use' }],
+    ['caducado con lote', 7, { reason: 'expired', lot: 'L-ADR-2501' }],
+    ['ajuste a la baja', 7, { reason: 'adjustment' }],
+    ['ajuste al alza', 12, { reason: 'adjustment' }]
+  ])('PUEDE registrar un movimiento de %s', async (_case, quantity, movement) => {
+    await assertSucceeds(updateStock('sanitary_uid', 'item_adrenalina', { quantity }, { movement }));
+  });
+
+  test.each([
+    ['motivo desconocido', 7, { reason: 'robo' }],
+    ['uso que suma stock', 12, { reason: 'use' }],
+    ['caducado que suma stock', 12, { reason: 'expired' }],
+    ['reposición que resta stock', 7, { reason: 'restock' }],
+    ['actorUid de otro usuario', 7, { actorUid: 'logistics_uid' }],
+    ['actorUsername de otro usuario', 7, { actorUsername: 'admin' }],
+    ['timestamp con fecha del cliente', 7, { timestamp: new Date() }],
+    ['lote numérico', 7, { lot: 42 }],
+    ['campo desconocido', 7, { quantityAfter: 7 }]
+  ])('NO puede registrar un movimiento con %s', async (_case, quantity, movement) => {
+    await assertFails(updateStock('sanitary_uid', 'item_adrenalina', { quantity }, { movement }));
+  });
+
+  test('usuarios no autenticados NO pueden leer movimientos', async () => {
+    const db = getUnauthContext().firestore();
     await assertFails(
-      db.collection('policies').doc('policy_test').update({
-        canCreate: true
-      })
+      db.collection('kitItems').doc('item_adrenalina').collection('movements').get()
     );
   });
 });
 
 // ============================================================================
-// TESTS: BASES COLLECTION
+// TESTS: KITS - AUDITORÍAS
 // ============================================================================
+// KitService.auditKit escribe en un batch el lastAudit del kit (hora del
+// servidor) y un registro inmutable en kits/{kitId}/audits. Los sanitarios
+// pueden auditar los kits de su base, pero solo tocando lastAudit/updatedAt.
+
+describe('Kit Audits', () => {
+  const AUDITORS = [
+    ['programmer_uid', 'admin'],
+    ['logistics_uid', 'logistica'],
+    ['sanitary_uid', 'sanitario']
+  ];
 
-describe('Bases Collection Security', () => {
   beforeEach(async () => {
     await setupTestData();
-    await createWithAdmin('bases', 'base_bilbao', {
-      code: 'BIL001',
-      name: 'Base Bilbao',
-      vehicleIds: []
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      const adminDb = context.firestore();
+      await adminDb.collection('bases').doc('base_vitoria').set(baseData({ code: 'VIT001', name: 'Base Vitoria' }));
+      await adminDb.collection('vehicles').doc('amb_vit').set(vehicleData({ code: 'AMB-VIT', baseId: 'base_vitoria' }));
+      await adminDb.collection('kits').doc('kit_vit').set(kitData({ code: 'KIT-VIT', vehicleId: 'amb_vit' }));
+      await adminDb.collection('kits').doc('kit_trauma').collection('audits').doc('audit_previa')
+        .set(kitAuditData({ performedAt: new Date(), notes: 'Auditoría anterior' }));
     });
   });
 
-  // READ
-  test('todos los autenticados pueden leer bases', async () => {
-    const db = getAuthContext('sanitary_uid').firestore();
-    await assertSucceeds(db.collection('bases').get());
+  /**
+   * Batch de KitService.auditKit: marca el kit y añade el registro.
+   * `kitChanges` y `audit` sustituyen los valores por defecto.
+   */
+  function auditBatch(uid, kitId, { kitChanges = {}, audit = {} } = {}) {
+    const db = getAuthContext(uid).firestore();
+    const kitRef = db.collection('kits').doc(kitId);
+    const batch = db.batch();
+    batch.update(kitRef, touch({ lastAudit: serverTimestamp(), ...kitChanges }));
+    batch.set(kitRef.collection('audits').doc('audit_nueva'), kitAuditData({
+      auditorUid: uid,
+      auditorUsername: TEST_USERS[uid].username,
+      ...audit
+    }));
+    return batch.commit();
+  }
+
+  // CREATE - Auditoría completa
+  test.each(AUDITORS)('%s PUEDE auditar un kit de su base', async (uid) => {
+    await assertSucceeds(auditBatch(uid, 'kit_trauma'));
   });
 
-  // CREATE
-  test('programmer PUEDE crear bases', async () => {
-    const db = getAuthContext('programmer_uid').firestore();
-    await assertSucceeds(
-      db.collection('bases').doc('base_new').set({
-        code: 'NEW001',
-        name: 'Nueva Base',
-        vehicleIds: []
-      })
-    );
+  test('PUEDE auditar sin notas (opcional)', async () => {
+    await assertSucceeds(auditBatch('sanitary_uid', 'kit_trauma', { audit: { notes: null } }));
   });
 
-  test('logistics PUEDE crear bases', async () => {
-    const db = getAuthContext('logistics_uid').firestore();
-    await assertSucceeds(
-      db.collection('bases').doc('base_log').set({
-        code: 'LOG001',
-        name: 'Base Logística',
-        vehicleIds: []
-      })
-    );
+  test('PUEDE auditar sin hallazgos (lista vacía)', async () => {
+    await assertSucceeds(auditBatch('sanitary_uid', 'kit_trauma', { audit: { findings: [] } }));
   });
 
-  test('sanitary NO puede crear bases', async () => {
-    const db = getAuthContext('sanitary_uid').firestore();
-    await assertFails(
-      db.collection('bases').doc('base_san').set({
-        code: 'SAN001',
-        name: 'Base Sanitario',
-        vehicleIds: []
-      })
-    );
+  test('sanitary NO puede auditar un kit de otra base', async () => {
+    await assertFails(auditBatch('sanitary_uid', 'kit_vit'));
   });
 
-  // UPDATE
-  test('logistics PUEDE actualizar bases', async () => {
-    const db = getAuthContext('logistics_uid').firestore();
-    await assertSucceeds(
-      db.collection('bases').doc('base_bilbao').update({
-        name: 'Base Bilbao Updated'
-      })
-    );
+  test('logistics PUEDE auditar un kit de cualquier base', async () => {
+    await assertSucceeds(auditBatch('logistics_uid', 'kit_vit'));
   });
 
-  test('sanitary NO puede actualizar bases', async () => {
-    const db = getAuthContext('sanitary_uid').firestore();
+  test('usuarios no autenticados NO pueden auditar', async () => {
+    const db = getUnauthContext().firestore();
     await assertFails(
-      db.collection('bases').doc('base_bilbao').update({
-        name: 'Hack'
-      })
+      db.collection('kits').doc('kit_trauma').collection('audits').doc('audit_anon').set(kitAuditData())
     );
   });
 
-  // DELETE
-  test('programmer PUEDE eliminar bases', async () => {
-    const db = getAuthContext('programmer_uid').firestore();
-    await assertSucceeds(
-      db.collection('bases').doc('base_bilbao').delete()
-    );
+  // UPDATE del kit - Lo que un sanitario puede tocar
+  test.each([
+    ['lastAudit con fecha del cliente', { lastAudit: new Date() }],
+    ['lastAudit del pasado', { lastAudit: new Date('2020-01-01') }],
+    ['el nombre', { name: 'Kit Renombrado' }],
+    ['el estado', { status: 'inactive' }],
+    ['el vehículo', { vehicleId: 'amb_vit' }],
+    ['los items', { itemIds: ['item_falso'] }]
+  ])('sanitary NO puede cambiar %s al auditar', async (_case, kitChanges) => {
+    await assertFails(auditBatch('sanitary_uid', 'kit_trauma', { kitChanges }));
   });
 
-  test('logistics NO puede eliminar bases', async () => {
-    const db = getAuthContext('logistics_uid').firestore();
+  test('sanitary NO puede editar el kit sin auditarlo', async () => {
+    const db = getAuthContext('sanitary_uid').firestore();
     await assertFails(
-      db.collection('bases').doc('base_bilbao').delete()
+      db.collection('kits').doc('kit_trauma').update(touch())
     );
   });
 
-  test('sanitary NO puede eliminar bases', async () => {
+  // CREATE del registro - Suplantación y campos del servidor
+  test('NO puede añadir un registro sin marcar el kit en el mismo batch', async () => {
     const db = getAuthContext('sanitary_uid').firestore();
     await assertFails(
-      db.collection('bases').doc('base_bilbao').delete()
+      db.collection('kits').doc('kit_trauma').collection('audits').doc('audit_suelta').set(kitAuditData())
     );
   });
-});
 
-// ============================================================================
-// TESTS: VEHICLES COLLECTION
-// ============================================================================
-
-describe('Vehicles Collection Security', () => {
-  beforeEach(async () => {
-    await setupTestData();
-    await createWithAdmin('vehicles', 'amb_001', {
-      code: 'AMB001',
-      plate: '1234-BCD',
-      type: 'SVA',
-      baseId: 'base_bilbao',
-      kitIds: []
-    });
+  test.each([
+    ['auditorUid de otro usuario', { auditorUid: 'logistics_uid' }],
+    ['auditorUsername de otro usuario', { auditorUsername: 'admin' }],
+    ['performedAt con fecha del cliente', { performedAt: new Date() }],
+    ['findings que no es una lista', { findings: 'todo bien' }],
+    ['notes numérico', { notes: 7 }],
+    ['campo desconocido', { signature: 'firma' }]
+  ])('rechaza el registro con %s', async (_case, audit) => {
+    await assertFails(auditBatch('sanitary_uid', 'kit_trauma', { audit }));
   });
 
-  // READ
-  test('todos los autenticados pueden leer vehicles', async () => {
+  test('rechaza el registro sin auditor', async () => {
     const db = getAuthContext('sanitary_uid').firestore();
-    await assertSucceeds(db.collection('vehicles').get());
+    const kitRef = db.collection('kits').doc('kit_trauma');
+    const batch = db.batch();
+    batch.update(kitRef, touch({ lastAudit: serverTimestamp() }));
+    batch.set(kitRef.collection('audits').doc('audit_anonima'), without(kitAuditData(), 'auditorUid'));
+    await assertFails(batch.commit());
   });
 
-  // CREATE
-  test('programmer PUEDE crear vehicles', async () => {
-    const db = getAuthContext('programmer_uid').firestore();
-    await assertSucceeds(
-      db.collection('vehicles').doc('amb_new').set({
-        code: 'AMB002',
-        plate: '5678-XYZ',
-        type: 'SVB',
-        baseId: null,
-        kitIds: []
-      })
-    );
+  // READ / UPDATE / DELETE del registro
+  test.each(AUDITORS)('%s PUEDE leer las auditorías de un kit', async (uid) => {
+    const db = getAuthContext(uid).firestore();
+    await assertSucceeds(db.collection('kits').doc('kit_trauma').collection('audits').get());
   });
 
-  test('logistics PUEDE crear vehicles', async () => {
-    const db = getAuthContext('logistics_uid').firestore();
-    await assertSucceeds(
-      db.collection('vehicles').doc('amb_log').set({
-        code: 'AMB003',
-        plate: '9999-LOG',
-        type: 'VIR',
-        baseId: null,
-        kitIds: []
-      })
-    );
+  test('usuarios no autenticados NO pueden leer auditorías', async () => {
+    const db = getUnauthContext().firestore();
+    await assertFails(db.collection('kits').doc('kit_trauma').collection('audits').get());
   });
 
-  test('sanitary NO puede crear vehicles', async () => {
-    const db = getAuthContext('sanitary_uid').firestore();
+  test.each(AUDITORS)('%s NO puede modificar una auditoría registrada', async (uid) => {
+    const db = getAuthContext(uid).firestore();
     await assertFails(
-      db.collection('vehicles').doc('amb_san').set({
-        code: 'AMB004',
-        plate: '0000-SAN',
-        type: 'SVA',
-        baseId: null,
-        kitIds: []
-      })
+      db.collection('kits').doc('kit_trauma').collection('audits').doc('audit_previa')
+        .update({ notes: 'Editada' })
     );
   });
 
-  // UPDATE
-  test('logistics PUEDE actualizar vehicles', async () => {
-    const db = getAuthContext('logistics_uid').firestore();
-    await assertSucceeds(
-      db.collection('vehicles').doc('amb_001').update({
-        plate: '1234-UPD'
-      })
+  test.each(AUDITORS)('%s NO puede borrar una auditoría registrada', async (uid) => {
+    const db = getAuthContext(uid).firestore();
+    await assertFails(
+      db.collection('kits').doc('kit_trauma').collection('audits').doc('audit_previa').delete()
     );
   });
+});
 
-  test('sanitary NO puede actualizar vehicles', async () => {
-    const db = getAuthContext('sanitary_uid').firestore();
-    await assertFails(
-      db.collection('vehicles').doc('amb_001').update({
-        plate: 'HACK-001'
-      })
-    );
+// ============================================================================
+// TESTS: CATEGORIES - VALIDACIÓN
+// ============================================================================
+
+describe('Categories Schema Validation', () => {
+  beforeEach(async () => {
+    await setupTestData();
+    await createWithAdmin('categories', 'cat_farmacia', categoryData());
   });
 
-  // DELETE - Solo programmer
-  test('programmer PUEDE eliminar vehicles', async () => {
-    const db = getAuthContext('programmer_uid').firestore();
+  test('acepta category sin icon (opcional)', async () => {
+    const db = getAuthContext('logistics_uid').firestore();
     await assertSucceeds(
-      db.collection('vehicles').doc('amb_001').delete()
+      createDoc(db, 'categories', 'cat_trauma', without(categoryData({ code: 'TRAUMA', name: 'Trauma' }), 'icon'))
     );
   });
 
-  test('logistics NO puede eliminar vehicles', async () => {
-    const db = getAuthContext('logistics_uid').firestore();
-    await assertFails(
-      db.collection('vehicles').doc('amb_001').delete()
-    );
+  test.each([
+    ['sin code', without(categoryData(), 'code')],
+    ['con code vacío', categoryData({ code: '' })],
+    ['sin name', without(categoryData(), 'name')],
+    ['con name vacío', categoryData({ name: '' })],
+    ['con icon numérico', categoryData({ icon: 7 })],
+    ['con campo desconocido', categoryData({ color: 'red' })]
+  ])('rechaza category %s', async (_case, payload) => {
+    const db = getAuthContext('programmer_uid').firestore();
+    await assertFails(createDoc(db, 'categories', 'cat_bad', payload));
   });
 
-  test('sanitary NO puede eliminar vehicles', async () => {
-    const db = getAuthContext('sanitary_uid').firestore();
+  test('rechaza update con icon numérico', async () => {
+    const db = getAuthContext('logistics_uid').firestore();
     await assertFails(
-      db.collection('vehicles').doc('amb_001').delete()
+      db.collection('categories').doc('cat_farmacia').update(touch({ icon: 7 }))
     );
   });
 });
 
 // ============================================================================
-// TESTS: KITS COLLECTION
+// TESTS: UNIT OF MEASURES - VALIDACIÓN
 // ============================================================================
 
-describe('Kits Collection Security', () => {
+describe('UnitOfMeasures Schema Validation', () => {
   beforeEach(async () => {
     await setupTestData();
-    await createWithAdmin('kits', 'kit_trauma', {
-      code: 'KIT001',
-      name: 'Kit Trauma',
-      vehicleId: 'amb_001',
-      itemIds: []
-    });
+    await createWithAdmin('unitOfMeasures', 'uom_ml', unitOfMeasureData());
   });
 
-  // READ
-  test('todos los autenticados pueden leer kits', async () => {
-    const db = getAuthContext('sanitary_uid').firestore();
-    await assertSucceeds(db.collection('kits').get());
+  test.each([
+    ['sin symbol', without(unitOfMeasureData(), 'symbol')],
+    ['con symbol vacío', unitOfMeasureData({ symbol: '' })],
+    ['con name numérico', unitOfMeasureData({ name: 1 })],
+    ['con campo desconocido', unitOfMeasureData({ factor: 1000 })]
+  ])('rechaza unitOfMeasure %s', async (_case, payload) => {
+    const db = getAuthContext('programmer_uid').firestore();
+    await assertFails(db.collection('unitOfMeasures').doc('uom_bad').set(payload));
   });
 
-  // CREATE
-  test('programmer PUEDE crear kits', async () => {
-    const db = getAuthContext('programmer_uid').firestore();
+  test('rechaza update con name vacío', async () => {
+    const db = getAuthContext('logistics_uid').firestore();
+    await assertFails(
+      db.collection('unitOfMeasures').doc('uom_ml').update(touch({ name: '' }))
+    );
+  });
+});
+
+// ============================================================================
+// TESTS: AUDIT LOGS COLLECTION (Append-Only)
+// ============================================================================
+
+describe('AuditLogs Collection Security', () => {
+  beforeEach(async () => {
+    await setupTestData();
+    await createWithAdmin('auditLogs', 'log_001', auditLogData({
+      timestamp: new Date(),
+      actorUsername: 'admin',
+      actorRole: 'role_programmer',
+      actionRaw: 'create',
+      entityRaw: 'kit',
+      entityId: 'kit_trauma'
+    }));
+  });
+
+  // CREATE - Cada usuario registra sus propias acciones
+  test.each([
+    ['programmer_uid', 'admin', 'role_programmer'],
+    ['logistics_uid', 'logistica', 'role_logistics'],
+    ['sanitary_uid', 'sanitario', 'role_sanitary']
+  ])('%s PUEDE crear auditLogs en su nombre', async (uid, username, roleId) => {
+    const db = getAuthContext(uid).firestore();
     await assertSucceeds(
-      db.collection('kits').doc('kit_new').set({
-        code: 'KIT002',
-        name: 'Kit Nuevo',
-        vehicleId: null,
-        itemIds: []
-      })
+      db.collection('auditLogs').add(auditLogData({
+        actorUid: uid,
+        actorUsername: username,
+        actorRole: roleId
+      }))
     );
   });
 
-  test('logistics PUEDE crear kits', async () => {
+  test('PUEDE crear auditLogs en batch (logBatch)', async () => {
     const db = getAuthContext('logistics_uid').firestore();
+    const batch = db.batch();
+    ['item_1', 'item_2', 'item_3'].forEach((entityId) => {
+      batch.set(db.collection('auditLogs').doc(), auditLogData({
+        actorUid: 'logistics_uid',
+        actorUsername: 'logistica',
+        actorRole: 'role_logistics',
+        actionRaw: 'delete',
+        entityRaw: 'kitItem',
+        entityId
+      }));
+    });
+    await assertSucceeds(batch.commit());
+  });
+
+  test('PUEDE crear auditLogs sin details (opcional)', async () => {
+    const db = getAuthContext('sanitary_uid').firestore();
     await assertSucceeds(
-      db.collection('kits').doc('kit_log').set({
-        code: 'KIT003',
-        name: 'Kit Logística',
-        vehicleId: null,
-        itemIds: []
-      })
+      db.collection('auditLogs').add(without(auditLogData({
+        actorUid: 'sanitary_uid',
+        actorUsername: 'sanitario',
+        actorRole: 'role_sanitary'
+      }), 'details'))
+    );
+  });
+
+  test('usuarios no autenticados NO pueden crear auditLogs', async () => {
+    const db = getUnauthContext().firestore();
+    await assertFails(
+      db.collection('auditLogs').add(auditLogData())
     );
   });
 
-  test('sanitary NO puede crear kits', async () => {
+  test('NO puede suplantar el actorUsername de otro usuario', async () => {
     const db = getAuthContext('sanitary_uid').firestore();
     await assertFails(
-      db.collection('kits').doc('kit_san').set({
-        code: 'KIT004',
-        name: 'Kit Sanitario',
-        vehicleId: null,
-        itemIds: []
-      })
+      db.collection('auditLogs').add(auditLogData({
+        actorUid: 'sanitary_uid',
+        actorUsername: 'admin',
+        actorRole: 'role_sanitary'
+      }))
     );
   });
 
-  // UPDATE
-  test('logistics PUEDE actualizar kits', async () => {
-    const db = getAuthContext('logistics_uid').firestore();
-    await assertSucceeds(
-      db.collection('kits').doc('kit_trauma').update({
-        name: 'Kit Trauma Updated'
-      })
+  test('NO puede suplantar el actorUid de otro usuario', async () => {
+    const db = getAuthContext('sanitary_uid').firestore();
+    await assertFails(
+      db.collection('auditLogs').add(auditLogData({
+        actorUid: 'programmer_uid',
+        actorUsername: 'sanitario',
+        actorRole: 'role_sanitary'
+      }))
     );
   });
 
-  test('sanitary NO puede actualizar kits', async () => {
+  test('NO puede crear auditLogs sin actorUid', async () => {
     const db = getAuthContext('sanitary_uid').firestore();
     await assertFails(
-      db.collection('kits').doc('kit_trauma').update({
-        name: 'Hack'
-      })
+      db.collection('auditLogs').add(without(auditLogData({
+        actorUid: 'sanitary_uid',
+        actorUsername: 'sanitario',
+        actorRole: 'role_sanitary'
+      }), 'actorUid'))
+    );
+  });
+
+  test('NO puede declarar un actorRole distinto al suyo', async () => {
+    const db = getAuthContext('sanitary_uid').firestore();
+    await assertFails(
+      db.collection('auditLogs').add(auditLogData({
+        actorUid: 'sanitary_uid',
+        actorUsername: 'sanitario',
+        actorRole: 'role_programmer'
+      }))
     );
   });
 
-  // DELETE - Solo programmer
-  test('programmer PUEDE eliminar kits', async () => {
+  test('NO puede crear auditLogs sin actor', async () => {
     const db = getAuthContext('programmer_uid').firestore();
-    await assertSucceeds(
-      db.collection('kits').doc('kit_trauma').delete()
+    await assertFails(
+      db.collection('auditLogs').add(auditLogData({
+        actorUsername: null,
+        actorRole: null
+      }))
     );
   });
 
-  test('logistics NO puede eliminar kits', async () => {
-    const db = getAuthContext('logistics_uid').firestore();
+  test('usuario sin documento en users NO puede crear auditLogs', async () => {
+    const db = getAuthContext('ghost_uid').firestore();
     await assertFails(
-      db.collection('kits').doc('kit_trauma').delete()
+      db.collection('auditLogs').add(auditLogData({
+        actorUid: 'ghost_uid',
+        actorUsername: 'ghost',
+        actorRole: 'role_programmer'
+      }))
     );
   });
 
-  test('sanitary NO puede eliminar kits', async () => {
-    const db = getAuthContext('sanitary_uid').firestore();
+  test('NO puede fijar un timestamp de cliente', async () => {
+    const db = getAuthContext('programmer_uid').firestore();
+    await assertFails(
+      db.collection('auditLogs').add(auditLogData({
+        timestamp: new Date('2020-01-01')
+      }))
+    );
+  });
+
+  test.each([
+    ['actionRaw fuera de ActionKind', { actionRaw: 'approve' }],
+    ['entityRaw fuera de EntityKind', { entityRaw: 'ambulance' }],
+    ['entityId vacío', { entityId: '' }],
+    ['details numérico', { details: 42 }],
+    ['campo desconocido', { ip: '10.0.0.1' }]
+  ])('rechaza auditLog con %s', async (_case, changes) => {
+    const db = getAuthContext('programmer_uid').firestore();
+    await assertFails(
+      db.collection('auditLogs').add(auditLogData(changes))
+    );
+  });
+
+  // UPDATE / DELETE - Nadie puede (ver Permission Matrix)
+  test('NI el autor puede actualizar su propio auditLog', async () => {
+    const db = getAuthContext('programmer_uid').firestore();
+    await assertFails(
+      db.collection('auditLogs').doc('log_001').update(touch({
+        details: 'Editado',
+        timestamp: serverTimestamp()
+      }))
+    );
+  });
+
+  test('NO se puede sobrescribir un auditLog existente con set()', async () => {
+    const db = getAuthContext('programmer_uid').firestore();
     await assertFails(
-      db.collection('kits').doc('kit_trauma').delete()
+      db.collection('auditLogs').doc('log_001').set(auditLogData())
     );
   });
 });
 
 // ============================================================================
-// TESTS: KIT ITEMS COLLECTION
+// TESTS: AUDIT LOGS - LECTURA POR ROL
 // ============================================================================
+// Programmer lee todos los logs, logistics los de entidades de inventario y
+// sanitary solo los suyos (actorUid). Como las reglas no filtran, se prueban
+// las consultas que hace AuditServiceFS.getLogs: una consulta sin el filtro
+// adecuado falla entera aunque algunos documentos sean legibles.
+
+describe('AuditLogs Read Access', () => {
+  const HOUR_MS = 60 * 60 * 1000;
+
+  /**
+   * Logs de prueba: { id: [actorUid, actorRole, entityRaw, entityId, horas atrás] }
+   * (actorUsername es el de TEST_USERS[actorUid])
+   */
+  const LOGS = {
+    log_kit_admin: ['programmer_uid', 'role_programmer', 'kit', 'kit_trauma', 1],
+    log_user_admin: ['programmer_uid', 'role_programmer', 'user', 'logistics_uid', 2],
+    log_item_logistica: ['logistics_uid', 'role_logistics', 'kitItem', 'item_adrenalina', 3],
+    log_item_sanitario: ['sanitary_uid', 'role_sanitary', 'kitItem', 'item_adrenalina', 4],
+    log_login_sanitario: ['sanitary_uid', 'role_sanitary', 'user', 'sanitary_uid', 30]
+  };
+
+  /**
+   * Misma forma de consulta que AuditServiceFS.getLogs
+   */
+  function getLogs(db, { entity, entityId, actorUid, actorUsername, fromDate, limit = 100 } = {}) {
+    let query = db.collection('auditLogs');
+    if (entity) {
+      query = query.where('entityRaw', '==', entity);
+    }
+    if (entityId) {
+      query = query.where('entityId', '==', entityId);
+    }
+    if (actorUid) {
+      query = query.where('actorUid', '==', actorUid);
+    }
+    if (actorUsername) {
+      query = query.where('actorUsername', '==', actorUsername);
+    }
+    if (fromDate) {
+      query = query.where('timestamp', '>=', fromDate);
+    }
+    return query.orderBy('timestamp', 'desc').limit(limit).get();
+  }
 
-describe('KitItems Collection Security', () => {
   beforeEach(async () => {
     await setupTestData();
-    await createWithAdmin('kitItems', 'item_adrenalina', {
-      catalogItemId: 'cat_adrenalina',
-      kitId: 'kit_trauma',
-      quantity: 10,
-      min: 5,
-      max: 20
+    const now = Date.now();
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      const adminDb = context.firestore();
+      for (const [id, [actorUid, actorRole, entityRaw, entityId, hoursAgo]] of Object.entries(LOGS)) {
+        await adminDb.collection('auditLogs').doc(id).set(auditLogData({
+          timestamp: new Date(now - hoursAgo * HOUR_MS),
+          actorUid,
+          actorUsername: TEST_USERS[actorUid].username,
+          actorRole,
+          entityRaw,
+          entityId
+        }));
+      }
     });
   });
 
-  // READ
-  test('todos los autenticados pueden leer kitItems', async () => {
-    const db = getAuthContext('sanitary_uid').firestore();
-    await assertSucceeds(db.collection('kitItems').get());
+  // GET - Un documento concreto
+  test.each([
+    ['programmer_uid', 'log_user_admin', true],
+    ['logistics_uid', 'log_kit_admin', true],
+    ['logistics_uid', 'log_item_sanitario', true],
+    ['logistics_uid', 'log_user_admin', false],
+    ['sanitary_uid', 'log_item_sanitario', true],
+    ['sanitary_uid', 'log_login_sanitario', true],
+    ['sanitary_uid', 'log_item_logistica', false],
+    ['sanitary_uid', 'log_kit_admin', false]
+  ])('%s leyendo %s → permitido: %s', async (uid, logId, allowed) => {
+    const db = getAuthContext(uid).firestore();
+    const request = db.collection('auditLogs').doc(logId).get();
+    if (allowed) {
+      await assertSucceeds(request);
+    } else {
+      await assertFails(request);
+    }
   });
 
-  // CREATE
-  test('programmer PUEDE crear kitItems', async () => {
+  // QUERIES - Formas de AuditServiceFS
+  test.each([
+    ['getLogs()', 'programmer_uid', {}, true],
+    ['getLogs()', 'logistics_uid', {}, false],
+    ['getLogs()', 'sanitary_uid', {}, false],
+    ['getRecentLogs()', 'programmer_uid', { fromDate: new Date(Date.now() - 24 * HOUR_MS) }, true],
+    ['getRecentLogs()', 'logistics_uid', { fromDate: new Date(Date.now() - 24 * HOUR_MS) }, false],
+    ['getLogsByEntity(.kit)', 'logistics_uid', { entity: 'kit' }, true],
+    ['getLogsByEntity(.kit)', 'sanitary_uid', { entity: 'kit' }, false],
+    ['getLogsByEntity(.user)', 'programmer_uid', { entity: 'user' }, true],
+    ['getLogsByEntity(.user)', 'logistics_uid', { entity: 'user' }, false],
+    ['getLogsForEntity(.kitItem)', 'logistics_uid', { entity: 'kitItem', entityId: 'item_adrenalina' }, true],
+    ['getLogsForUser(uid: sanitary_uid)', 'sanitary_uid', { actorUid: 'sanitary_uid' }, true],
+    ['getLogsForUser(uid: sanitary_uid)', 'logistics_uid', { actorUid: 'sanitary_uid' }, false],
+    ['getLogsForUser(uid: programmer_uid)', 'sanitary_uid', { actorUid: 'programmer_uid' }, false],
+    ['getLogsForUser(username: "sanitario")', 'sanitary_uid', { actorUsername: 'sanitario' }, false],
+    ['getLogsForUser(username: "sanitario")', 'programmer_uid', { actorUsername: 'sanitario' }, true],
+    ['getLogs(entity: .kitItem, actorUid: sanitary_uid)', 'sanitary_uid', { entity: 'kitItem', actorUid: 'sanitary_uid' }, true]
+  ])('%s como %s → permitido: %s', async (_shape, uid, filters, allowed) => {
+    const db = getAuthContext(uid).firestore();
+    if (allowed) {
+      await assertSucceeds(getLogs(db, filters));
+    } else {
+      await assertFails(getLogs(db, filters));
+    }
+  });
+
+  test('programmer recibe todos los logs ordenados por timestamp', async () => {
     const db = getAuthContext('programmer_uid').firestore();
-    await assertSucceeds(
-      db.collection('kitItems').doc('item_new').set({
-        catalogItemId: 'cat_xxx',
-        kitId: 'kit_trauma',
-        quantity: 5,
-        min: 2,
-        max: 10
-      })
-    );
+    const snapshot = await assertSucceeds(getLogs(db));
+    expect(snapshot.docs.map((doc) => doc.id)).toEqual(Object.keys(LOGS));
   });
 
-  test('logistics PUEDE crear kitItems', async () => {
+  test('logistics recibe solo los logs de la entidad consultada', async () => {
     const db = getAuthContext('logistics_uid').firestore();
-    await assertSucceeds(
-      db.collection('kitItems').doc('item_log').set({
-        catalogItemId: 'cat_yyy',
-        kitId: 'kit_trauma',
-        quantity: 3,
-        min: 1,
-        max: 5
-      })
-    );
+    const snapshot = await assertSucceeds(getLogs(db, { entity: 'kitItem' }));
+    expect(snapshot.docs.map((doc) => doc.id)).toEqual(['log_item_logistica', 'log_item_sanitario']);
   });
 
-  test('sanitary NO puede crear kitItems', async () => {
+  test('sanitary recibe solo sus propios logs', async () => {
     const db = getAuthContext('sanitary_uid').firestore();
-    await assertFails(
-      db.collection('kitItems').doc('item_san').set({
-        catalogItemId: 'cat_zzz',
-        kitId: 'kit_trauma',
-        quantity: 1,
-        min: 1,
-        max: 1
-      })
-    );
+    const snapshot = await assertSucceeds(getLogs(db, { actorUid: 'sanitary_uid' }));
+    expect(snapshot.docs.map((doc) => doc.id)).toEqual(['log_item_sanitario', 'log_login_sanitario']);
   });
 
-  // UPDATE - Todos autenticados (sanitarios pueden actualizar stock)
-  test('sanitary PUEDE actualizar stock (quantity)', async () => {
+  test('sanitary NO puede leer sus logs sin la policy de audit', async () => {
+    await setPolicy('role_sanitary', 'audit', '');
     const db = getAuthContext('sanitary_uid').firestore();
-    await assertSucceeds(
-      db.collection('kitItems').doc('item_adrenalina').update({
-        quantity: 8
-      })
-    );
+    await assertFails(getLogs(db, { actorUid: 'sanitary_uid' }));
+  });
+
+  // El username se puede cambiar y otro usuario puede estrenarlo después
+  test('sanitary NO lee los logs de otro actorUid aunque lleven su username', async () => {
+    await createWithAdmin('auditLogs', 'log_username_anterior', auditLogData({
+      timestamp: new Date(),
+      actorUid: 'logistics_uid',
+      actorUsername: 'sanitario',
+      actorRole: 'role_logistics',
+      entityRaw: 'user'
+    }));
+    const db = getAuthContext('sanitary_uid').firestore();
+    await assertFails(db.collection('auditLogs').doc('log_username_anterior').get());
   });
 
-  test('logistics PUEDE actualizar umbrales (min/max)', async () => {
+  test('sanitary NO lee sus logs antiguos sin actorUid (hasta el backfill)', async () => {
+    await createWithAdmin('auditLogs', 'log_antiguo', without(auditLogData({
+      timestamp: new Date(),
+      actorUsername: 'sanitario',
+      actorRole: 'role_sanitary',
+      entityRaw: 'user'
+    }), 'actorUid'));
+    const db = getAuthContext('sanitary_uid').firestore();
+    await assertFails(db.collection('auditLogs').doc('log_antiguo').get());
+  });
+});
+
+// ============================================================================
+// TESTS: VALIDACIÓN DE ESQUEMA
+// ============================================================================
+// Cada colección rechaza payloads que no cumplen el modelo Swift (*FS),
+// aunque quien escribe tenga permisos sobre la colección.
+
+describe('Bases Schema Validation', () => {
+  beforeEach(async () => {
+    await setupTestData();
+    // Sin la reserva del code por defecto: los payloads inválidos solo
+    // fallan por el esquema
+    await deleteWithAdmin('codes', codeId('bases', 'BIL001'));
+  });
+
+  test('payload completo de BaseFS es aceptado', async () => {
     const db = getAuthContext('logistics_uid').firestore();
     await assertSucceeds(
-      db.collection('kitItems').doc('item_adrenalina').update({
-        min: 3,
-        max: 25
-      })
+      createDoc(db, 'bases', 'base_valid', baseData({ code: 'VAL001' }))
     );
   });
 
-  test('programmer PUEDE actualizar todo en kitItems', async () => {
-    const db = getAuthContext('programmer_uid').firestore();
-    await assertSucceeds(
-      db.collection('kitItems').doc('item_adrenalina').update({
-        quantity: 15,
-        min: 10,
-        max: 30
-      })
-    );
+  test.each([
+    ['sin code', without(baseData(), 'code')],
+    ['sin address', without(baseData(), 'address')],
+    ['sin createdAt', without(baseData(), 'createdAt')],
+    ['code vacío', baseData({ code: '' })],
+    ['name numérico', baseData({ name: 42 })],
+    ['address vacío', baseData({ address: '' })],
+    ['active como String', baseData({ active: 'true' })],
+    ['vehicleIds como String', baseData({ vehicleIds: 'amb_001' })],
+    ['con vehicleIds del cliente', baseData({ vehicleIds: ['amb_001'] })],
+    ['createdAt como String', baseData({ createdAt: '2025-01-01' })],
+    ['updatedAt como String', baseData({ updatedAt: '2025-01-01' })],
+    ['campo desconocido', baseData({ isAdmin: true })]
+  ])('rechaza base %s', async (_case, payload) => {
+    const db = getAuthContext('logistics_uid').firestore();
+    await assertFails(createDoc(db, 'bases', 'base_bad', payload));
   });
 
-  // DELETE
-  test('programmer PUEDE eliminar kitItems', async () => {
+  test('rechaza update que deja active con tipo incorrecto', async () => {
     const db = getAuthContext('programmer_uid').firestore();
-    await assertSucceeds(
-      db.collection('kitItems').doc('item_adrenalina').delete()
+    await assertFails(
+      db.collection('bases').doc('base_bilbao').update(touch({ active: 'no' }))
     );
   });
+});
+
+describe('Vehicles Schema Validation', () => {
+  beforeEach(async () => {
+    await setupTestData();
+  });
+
+  test.each(['SVB', 'SVA', 'SVAe', 'TSNU', 'VIR', 'HELI'])(
+    'acepta vehicle de tipo %s',
+    async (type) => {
+      const db = getAuthContext('logistics_uid').firestore();
+      await assertSucceeds(
+        db.collection('vehicles').doc(`amb_${type}`).set(vehicleData({ type }))
+      );
+    }
+  );
 
-  test('logistics PUEDE eliminar kitItems', async () => {
+  test('acepta vehicle sin plate ni baseId (opcionales)', async () => {
     const db = getAuthContext('logistics_uid').firestore();
     await assertSucceeds(
-      db.collection('kitItems').doc('item_adrenalina').delete()
+      db.collection('vehicles').doc('amb_min').set(
+        without(without(vehicleData(), 'plate'), 'baseId')
+      )
     );
   });
 
-  test('sanitary NO puede eliminar kitItems', async () => {
-    const db = getAuthContext('sanitary_uid').firestore();
+  test.each([
+    ['con type numérico', vehicleData({ type: 42 })],
+    ['con type fuera del enum', vehicleData({ type: 'TANK' })],
+    ['sin type', without(vehicleData(), 'type')],
+    ['sin code', without(vehicleData(), 'code')],
+    ['con code vacío', vehicleData({ code: '' })],
+    ['con plate numérico', vehicleData({ plate: 1234 })],
+    ['con baseId numérico', vehicleData({ baseId: 7 })],
+    ['con kitIds como map', vehicleData({ kitIds: { kit: true } })],
+    ['con kitIds del cliente', vehicleData({ kitIds: ['kit_trauma'] })],
+    ['con campo desconocido', vehicleData({ color: 'red' })]
+  ])('rechaza vehicle %s', async (_case, payload) => {
+    const db = getAuthContext('logistics_uid').firestore();
+    await assertFails(db.collection('vehicles').doc('amb_bad').set(payload));
+  });
+
+  test('rechaza update con active como String', async () => {
+    const db = getAuthContext('programmer_uid').firestore();
     await assertFails(
-      db.collection('kitItems').doc('item_adrenalina').delete()
+      db.collection('vehicles').doc('amb_001').update(touch({ active: 'no' }))
     );
   });
 });
 
-// ============================================================================
-// TESTS: CATALOG ITEMS COLLECTION
-// ============================================================================
-
-describe('CatalogItems Collection Security', () => {
+describe('Kits Schema Validation', () => {
   beforeEach(async () => {
     await setupTestData();
-    await createWithAdmin('catalogItems', 'cat_adrenalina', {
-      code: 'ADR001',
-      name: 'Adrenalina 1mg',
-      critical: true
-    });
+    // Sin la reserva del code por defecto: los payloads inválidos solo
+    // fallan por el esquema
+    await deleteWithAdmin('codes', codeId('kits', 'KIT001'));
+  });
+
+  test.each(['active', 'inactive', 'maintenance', 'expired'])(
+    'acepta kit con status %s',
+    async (status) => {
+      const db = getAuthContext('logistics_uid').firestore();
+      await assertSucceeds(
+        createDoc(db, 'kits', `kit_${status}`, kitData({ code: `KIT-${status}`, status }))
+      );
+    }
+  );
+
+  test.each(['SVB', 'SVAe', 'SVA', 'custom'])(
+    'acepta kit de tipo %s',
+    async (type) => {
+      const db = getAuthContext('logistics_uid').firestore();
+      await assertSucceeds(
+        createDoc(db, 'kits', `kit_${type}`, kitData({ code: `KIT-${type}`, type }))
+      );
+    }
+  );
+
+  test('acepta kit con lastAudit como Timestamp', async () => {
+    const db = getAuthContext('logistics_uid').firestore();
+    await assertSucceeds(
+      createDoc(db, 'kits', 'kit_audited', kitData({ code: 'KIT-AUD', lastAudit: new Date() }))
+    );
   });
 
-  // READ
-  test('todos los autenticados pueden leer catalogItems', async () => {
-    const db = getAuthContext('sanitary_uid').firestore();
-    await assertSucceeds(db.collection('catalogItems').get());
+  test.each([
+    ['con status "banana"', kitData({ status: 'banana' })],
+    ['con type fuera de KitType', kitData({ type: 'general' })],
+    ['sin status', without(kitData(), 'status')],
+    ['sin name', without(kitData(), 'name')],
+    ['con code vacío', kitData({ code: '' })],
+    ['con name vacío', kitData({ name: '' })],
+    ['con lastAudit como String', kitData({ lastAudit: 'ayer' })],
+    ['con vehicleId numérico', kitData({ vehicleId: 1 })],
+    ['con itemIds como String', kitData({ itemIds: 'item_1' })],
+    ['con itemIds del cliente', kitData({ itemIds: ['item_adrenalina'] })],
+    ['con campo desconocido', kitData({ owner: 'logistics_uid' })]
+  ])('rechaza kit %s', async (_case, payload) => {
+    const db = getAuthContext('logistics_uid').firestore();
+    await assertFails(createDoc(db, 'kits', 'kit_bad', payload));
   });
 
-  // CREATE
-  test('programmer PUEDE crear catalogItems', async () => {
+  test('rechaza update con status inválido', async () => {
     const db = getAuthContext('programmer_uid').firestore();
-    await assertSucceeds(
-      db.collection('catalogItems').doc('cat_new').set({
-        code: 'NEW001',
-        name: 'Nuevo Item',
-        critical: false
-      })
+    await assertFails(
+      db.collection('kits').doc('kit_trauma').update(touch({ status: 'banana' }))
     );
   });
+});
+
+describe('KitItems Schema Validation', () => {
+  beforeEach(async () => {
+    await setupTestData();
+    await createWithAdmin('kitItems', 'item_adrenalina', kitItemData());
+  });
 
-  test('logistics PUEDE crear catalogItems', async () => {
+  test('acepta kitItem con campos opcionales', async () => {
     const db = getAuthContext('logistics_uid').firestore();
     await assertSucceeds(
-      db.collection('catalogItems').doc('cat_log').set({
-        code: 'LOG001',
-        name: 'Item Logística',
-        critical: false
-      })
+      db.collection('kitItems').doc('item_full').set(kitItemData({
+        expiry: new Date('2027-01-01'),
+        lot: 'LOT123',
+        notes: 'Revisar'
+      }))
     );
   });
 
-  test('sanitary NO puede crear catalogItems', async () => {
+  test.each([
+    ['con quantity como String', kitItemData({ quantity: '10' })],
+    ['con min como String', kitItemData({ min: '5' })],
+    ['con max como bool', kitItemData({ max: true })],
+    ['sin quantity', without(kitItemData(), 'quantity')],
+    ['sin min', without(kitItemData(), 'min')],
+    ['con expiry como String', kitItemData({ expiry: '2027-01-01' })],
+    ['con lot numérico', kitItemData({ lot: 123 })],
+    ['con notes como lista', kitItemData({ notes: ['Revisar'] })],
+    ['con catalogItemId numérico', kitItemData({ catalogItemId: 5 })],
+    ['con kitId numérico', kitItemData({ kitId: 99 })],
+    ['con campo desconocido', kitItemData({ price: 3.5 })]
+  ])('rechaza kitItem %s', async (_case, payload) => {
+    const db = getAuthContext('logistics_uid').firestore();
+    await assertFails(db.collection('kitItems').doc('item_bad').set(payload));
+  });
+
+  test('sanitary NO puede guardar quantity como String', async () => {
     const db = getAuthContext('sanitary_uid').firestore();
     await assertFails(
-      db.collection('catalogItems').doc('cat_san').set({
-        code: 'SAN001',
-        name: 'Item Sanitario',
-        critical: false
-      })
+      db.collection('kitItems').doc('item_adrenalina').update(touch({ quantity: 'diez' }))
     );
   });
+});
+
+describe('CatalogItems Schema Validation', () => {
+  beforeEach(async () => {
+    await setupTestData();
+    // Sin la reserva del code por defecto: los payloads inválidos solo
+    // fallan por el esquema
+    await deleteWithAdmin('codes', codeId('catalogItems', 'ADR001'));
+  });
 
-  // UPDATE
-  test('logistics PUEDE actualizar catalogItems', async () => {
+  test('acepta catalogItem con campos opcionales', async () => {
+    await createWithAdmin('categories', 'cat_farmacia', categoryData());
+    await createWithAdmin('unitOfMeasures', 'uom_ampolla', unitOfMeasureData({ symbol: 'amp', name: 'ampolla' }));
     const db = getAuthContext('logistics_uid').firestore();
     await assertSucceeds(
-      db.collection('catalogItems').doc('cat_adrenalina').update({
-        name: 'Adrenalina 1mg Updated'
-      })
+      createDoc(db, 'catalogItems', 'cat_full', catalogItemData({
+        code: 'ADR-FULL',
+        itemDescription: 'Ampolla 1mg/1ml',
+        minStock: 5,
+        maxStock: 20,
+        categoryId: 'cat_farmacia',
+        uomId: 'uom_ampolla'
+      }))
     );
   });
 
-  test('sanitary NO puede actualizar catalogItems', async () => {
-    const db = getAuthContext('sanitary_uid').firestore();
+  test.each([
+    ['sin code', without(catalogItemData(), 'code')],
+    ['con code vacío', catalogItemData({ code: '' })],
+    ['con name vacío', catalogItemData({ name: '' })],
+    ['con critical como String', catalogItemData({ critical: 'yes' })],
+    ['con itemDescription numérico', catalogItemData({ itemDescription: 1 })],
+    ['con minStock como String', catalogItemData({ minStock: 'cinco' })],
+    ['con maxStock como String', catalogItemData({ maxStock: 'veinte' })],
+    ['con categoryId numérico', catalogItemData({ categoryId: 3 })],
+    ['con uomId numérico', catalogItemData({ uomId: 4 })],
+    ['con kitItemIds del cliente', catalogItemData({ kitItemIds: ['item_adrenalina'] })],
+    ['con campo desconocido', catalogItemData({ supplier: 'ACME' })]
+  ])('rechaza catalogItem %s', async (_case, payload) => {
+    const db = getAuthContext('logistics_uid').firestore();
+    await assertFails(createDoc(db, 'catalogItems', 'cat_bad', payload));
+  });
+
+  test('rechaza update con critical como String', async () => {
+    const db = getAuthContext('logistics_uid').firestore();
     await assertFails(
-      db.collection('catalogItems').doc('cat_adrenalina').update({
-        critical: false
-      })
+      db.collection('catalogItems').doc('cat_adrenalina').update(touch({ critical: 'no' }))
     );
   });
+});
+
+describe('Users Schema Validation', () => {
+  beforeEach(async () => {
+    await setupTestData();
+  });
 
-  // DELETE - Solo programmer
-  test('programmer PUEDE eliminar catalogItems', async () => {
+  test.each([
+    ['sin uid', without(userData(), 'uid')],
+    ['con uid vacío', userData({ uid: '' })],
+    ['sin email', without(userData(), 'email')],
+    ['con email vacío', userData({ email: '' })],
+    ['con fullName numérico', userData({ fullName: 7 })],
+    ['con username vacío', userData({ username: '' })],
+    ['con active como String', userData({ active: 'true' })],
+    ['con roleId numérico', userData({ roleId: 1 })],
+    ['con baseId como lista', userData({ baseId: ['base_bilbao'] })],
+    ['con campo desconocido', userData({ isAdmin: true })]
+  ])('rechaza user %s', async (_case, payload) => {
     const db = getAuthContext('programmer_uid').firestore();
-    await assertSucceeds(
-      db.collection('catalogItems').doc('cat_adrenalina').delete()
-    );
+    await assertFails(createDoc(db, 'users', 'new_user', payload));
   });
 
-  test('logistics NO puede eliminar catalogItems', async () => {
-    const db = getAuthContext('logistics_uid').firestore();
+  test('rechaza update que desactiva con tipo incorrecto', async () => {
+    const db = getAuthContext('programmer_uid').firestore();
     await assertFails(
-      db.collection('catalogItems').doc('cat_adrenalina').delete()
+      db.collection('users').doc('sanitary_uid').update(touch({ active: 0 }))
     );
   });
 });
 
 // ============================================================================
-// TESTS: AUDIT LOGS COLLECTION (Read-Only)
+// TESTS: TIMESTAMPS DEL SERVIDOR
 // ============================================================================
+// createdAt y updatedAt son request.time al crear; después createdAt no
+// cambia y cada update pone updatedAt = request.time. Con fechas del cliente
+// se podría falsear KitFS.needsAudit o el orden por recencia.
+
+describe('Server Timestamps', () => {
+  const CLIENT_NOW = () => new Date();
+  const BACKDATED = () => new Date('2020-01-01T00:00:00Z');
+
+  /**
+   * Colecciones que escribe la app: [colección, doc existente, payload de
+   * creación, cambios de un update]. Las escribe programmer
+   */
+  const TIMESTAMPED = [
+    ['bases', 'base_bilbao', () => baseData({ code: 'TS001' }), { name: 'Base Renombrada' }],
+    ['vehicles', 'amb_001', () => vehicleData({ code: 'TS001', plate: '0000-TST' }), { active: true }],
+    ['kits', 'kit_trauma', () => kitData({ code: 'TS001' }), { name: 'Kit Renombrado' }],
+    ['kitItems', 'item_adrenalina', () => kitItemData(), { min: 3 }],
+    ['catalogItems', 'cat_adrenalina', () => catalogItemData({ code: 'TS001' }), { name: 'Adrenalina 1mg/ml' }],
+    ['categories', 'cat_farmacia', () => categoryData({ code: 'TS' }), { name: 'Farmacia Central' }],
+    ['unitOfMeasures', 'uom_ml', () => unitOfMeasureData({ symbol: 'ts' }), { name: 'mililitro' }],
+    ['users', 'logistics_uid', () => userData({ uid: 'ts_uid', username: 'ts', email: 'ts@ambukit.com' }), { fullName: 'Nombre Nuevo' }]
+  ];
 
-describe('AuditLogs Collection Security', () => {
   beforeEach(async () => {
     await setupTestData();
-    await createWithAdmin('auditLogs', 'log_001', {
-      action: 'create',
-      entity: 'kit',
-      entityId: 'kit_trauma',
-      userId: 'programmer_uid',
-      timestamp: new Date()
-    });
+    await createWithAdmin('kitItems', 'item_adrenalina', kitItemData());
+    await createWithAdmin('categories', 'cat_farmacia', categoryData());
+    await createWithAdmin('unitOfMeasures', 'uom_ml', unitOfMeasureData());
   });
 
-  // READ
-  test('todos los autenticados pueden leer auditLogs', async () => {
-    const db = getAuthContext('sanitary_uid').firestore();
-    await assertSucceeds(db.collection('auditLogs').get());
-  });
+  /**
+   * Crea el documento nuevo de la colección (users/{uid} usa el uid como id)
+   */
+  function create(collection, data) {
+    const db = getAuthContext('programmer_uid').firestore();
+    const docId = collection === 'users' ? data.uid : 'ts_nuevo';
+    return createDoc(db, collection, docId, data);
+  }
 
-  test('programmer puede leer auditLogs', async () => {
+  function update(collection, docId, changes) {
     const db = getAuthContext('programmer_uid').firestore();
-    await assertSucceeds(db.collection('auditLogs').doc('log_001').get());
+    return db.collection(collection).doc(docId).update(changes);
+  }
+
+  describe.each(TIMESTAMPED)('%s', (collection, docId, payload, changes) => {
+    // CREATE
+    test('PUEDE crear con createdAt y updatedAt del servidor', async () => {
+      await assertSucceeds(create(collection, payload()));
+    });
+
+    test.each([
+      ['createdAt con fecha del cliente', { createdAt: CLIENT_NOW() }],
+      ['createdAt atrasado', { createdAt: BACKDATED() }],
+      ['updatedAt con fecha del cliente', { updatedAt: CLIENT_NOW() }],
+      ['updatedAt atrasado', { updatedAt: BACKDATED() }]
+    ])('NO puede crear con %s', async (_case, dates) => {
+      await assertFails(create(collection, { ...payload(), ...dates }));
+    });
+
+    test.each(['createdAt', 'updatedAt'])('NO puede crear sin %s', async (field) => {
+      await assertFails(create(collection, without(payload(), field)));
+    });
+
+    // UPDATE
+    test('PUEDE actualizar con updatedAt del servidor', async () => {
+      await assertSucceeds(update(collection, docId, touch(changes)));
+    });
+
+    test.each([
+      ['con updatedAt del cliente', touch({ ...changes, updatedAt: CLIENT_NOW() })],
+      ['con updatedAt atrasado', touch({ ...changes, updatedAt: BACKDATED() })],
+      ['sin tocar updatedAt', changes],
+      ['cambiando createdAt al ahora del servidor', touch({ ...changes, createdAt: serverTimestamp() })],
+      ['cambiando createdAt a una fecha atrasada', touch({ ...changes, createdAt: BACKDATED() })]
+    ])('NO puede actualizar %s', async (_case, body) => {
+      await assertFails(update(collection, docId, body));
+    });
   });
 
-  // CREATE - Nadie puede desde cliente
-  test('NI programmer puede crear auditLogs', async () => {
-    const db = getAuthContext('programmer_uid').firestore();
-    await assertFails(
-      db.collection('auditLogs').doc('log_new').set({
-        action: 'delete',
-        entity: 'user',
-        entityId: 'user_xxx',
-        userId: 'programmer_uid',
-        timestamp: new Date()
-      })
-    );
+  // Escrituras de solo alta
+  test('auditLogs: PUEDE crear con timestamps del servidor y NO con fechas del cliente', async () => {
+    const db = getAuthContext('sanitary_uid').firestore();
+    const log = (dates) => auditLogData({
+      actorUid: 'sanitary_uid',
+      actorUsername: 'sanitario',
+      actorRole: 'role_sanitary',
+      ...dates
+    });
+    await assertSucceeds(db.collection('auditLogs').add(log({})));
+    await assertFails(db.collection('auditLogs').add(log({ createdAt: BACKDATED() })));
+    await assertFails(db.collection('auditLogs').add(log({ updatedAt: CLIENT_NOW() })));
   });
 
-  test('logistics NO puede crear auditLogs', async () => {
-    const db = getAuthContext('logistics_uid').firestore();
-    await assertFails(
-      db.collection('auditLogs').doc('log_hack').set({
-        action: 'create',
-        entity: 'base',
-        entityId: 'base_xxx',
-        userId: 'logistics_uid',
-        timestamp: new Date()
-      })
-    );
+  test('kits/{kitId}/audits: NO puede registrar una auditoría con createdAt del cliente', async () => {
+    const db = getAuthContext('sanitary_uid').firestore();
+    const kitRef = db.collection('kits').doc('kit_trauma');
+    const batch = db.batch();
+    batch.update(kitRef, touch({ lastAudit: serverTimestamp() }));
+    batch.set(kitRef.collection('audits').doc('audit_atrasada'), kitAuditData({ createdAt: BACKDATED() }));
+    await assertFails(batch.commit());
   });
+});
 
-  // UPDATE - Nadie puede
-  test('NI programmer puede actualizar auditLogs', async () => {
-    const db = getAuthContext('programmer_uid').firestore();
-    await assertFails(
-      db.collection('auditLogs').doc('log_001').update({
-        action: 'read'
-      })
-    );
+// ============================================================================
+// TESTS: CAMPOS INMUTABLES
+// ============================================================================
+// Los `let` de BaseFS, VehicleFS y KitFS no cambian en ningún update: los
+// códigos son la clave de getBaseByCode, getVehicleByCode, getKitByCode y
+// del rastro de auditoría. Se prueba con cada rol que puede actualizar.
+
+describe('Immutable Fields', () => {
+  const MANAGERS = ['programmer_uid', 'logistics_uid'];
+
+  /**
+   * [colección, campo, doc, otro valor, cambio permitido en el mismo doc]
+   */
+  const IMMUTABLE = [
+    ['bases', 'code', 'base_bilbao', 'BIO999', { name: 'Base Renombrada' }],
+    ['vehicles', 'code', 'amb_001', 'AMB999', { active: true }],
+    ['vehicles', 'plate', 'amb_001', '9999-ZZZ', { active: true }],
+    ['vehicles', 'type', 'amb_001', 'SVB', { active: true }],
+    ['vehicles', 'createdAt', 'amb_001', new Date('2020-01-01T00:00:00Z'), { active: true }],
+    ['kits', 'code', 'kit_trauma', 'KIT999', { name: 'Kit Renombrado' }]
+  ];
+
+  beforeEach(async () => {
+    await setupTestData();
   });
 
-  // DELETE - Nadie puede
-  test('NI programmer puede eliminar auditLogs', async () => {
-    const db = getAuthContext('programmer_uid').firestore();
-    await assertFails(
-      db.collection('auditLogs').doc('log_001').delete()
-    );
+  function docRef(uid, collection, docId) {
+    return getAuthContext(uid).firestore().collection(collection).doc(docId);
+  }
+
+  describe.each(MANAGERS)('%s', (uid) => {
+    describe.each(IMMUTABLE)('%s.%s', (collection, field, docId, value, allowed) => {
+      test('PUEDE actualizar el resto del documento', async () => {
+        await assertSucceeds(docRef(uid, collection, docId).update(touch(allowed)));
+      });
+
+      test(`PUEDE reenviar ${field} sin cambiarlo (setData con merge)`, async () => {
+        const ref = docRef(uid, collection, docId);
+        const current = (await ref.get()).data();
+        await assertSucceeds(ref.set(touch({ ...allowed, [field]: current[field] }), { merge: true }));
+      });
+
+      test(`NO puede cambiar ${field}`, async () => {
+        await assertFails(docRef(uid, collection, docId).update(touch({ [field]: value })));
+      });
+
+      test(`NO puede cambiar ${field} junto a un cambio permitido`, async () => {
+        await assertFails(docRef(uid, collection, docId).update(touch({ ...allowed, [field]: value })));
+      });
+    });
+
+    test('NO puede quitar la plate de un vehículo', async () => {
+      await assertFails(
+        docRef(uid, 'vehicles', 'amb_001').update(touch({ plate: deleteField() }))
+      );
+    });
+
+    test('NO puede poner plate a un vehículo que no tenía', async () => {
+      await createWithAdmin('vehicles', 'amb_sin_plate', without(vehicleData({ code: 'AMB003' }), 'plate'));
+      await assertFails(
+        docRef(uid, 'vehicles', 'amb_sin_plate').update(touch({ plate: '9999-ZZZ' }))
+      );
+    });
   });
 
-  test('sanitary NO puede eliminar auditLogs', async () => {
+  test('sanitary NO puede cambiar el code de un kit al registrar una auditoría', async () => {
     const db = getAuthContext('sanitary_uid').firestore();
-    await assertFails(
-      db.collection('auditLogs').doc('log_001').delete()
-    );
+    const kitRef = db.collection('kits').doc('kit_trauma');
+    const batch = db.batch();
+    batch.update(kitRef, touch({ lastAudit: serverTimestamp(), code: 'KIT999' }));
+    batch.set(kitRef.collection('audits').doc('audit_code'), kitAuditData());
+    await assertFails(batch.commit());
   });
 });
 
 // ============================================================================
-// TESTS: EDGE CASES Y SEGURIDAD
+// TESTS: CÓDIGOS ÚNICOS
 // ============================================================================
+// Cada code de bases, kits, catalogItems y categories tiene su reserva en
+// codes/{collection}_{code}, escrita en el mismo batch que el documento.
+// Una reserva no se sobrescribe: dos altas con el mismo code no pueden
+// completarse las dos, aunque lleguen a la vez.
+
+describe('Unique Codes', () => {
+  /**
+   * [colección, doc existente, su code, payload con otro code]
+   */
+  const CODED = [
+    ['bases', 'base_bilbao', 'BIL001', (code) => baseData({ code })],
+    ['kits', 'kit_trauma', 'KIT001', (code) => kitData({ code })],
+    ['catalogItems', 'cat_adrenalina', 'ADR001', (code) => catalogItemData({ code })],
+    ['categories', 'cat_farmacia', 'FARM', (code) => categoryData({ code })]
+  ];
 
-describe('Security Edge Cases', () => {
   beforeEach(async () => {
     await setupTestData();
+    await createWithAdmin('categories', 'cat_farmacia', categoryData());
+    await createWithAdmin('codes', codeId('categories', 'FARM'), codeReservationData('categories', 'FARM', 'cat_farmacia'));
+    // Sin vehículos, base_bilbao se puede borrar (ver Delete Guards)
+    await setChildList('bases', 'base_bilbao', 'vehicleIds', []);
   });
 
-  test('usuario con roleId inválido NO puede hacer nada', async () => {
-    // Crear usuario con rol inexistente
-    await createWithAdmin('users', 'invalid_user', {
-      uid: 'invalid_user',
-      username: 'hacker',
-      email: 'hacker@evil.com',
-      roleId: 'role_nonexistent',
-      active: true
+  function dbOf(uid) {
+    return getAuthContext(uid).firestore();
+  }
+
+  async function readWithAdmin(collection, docId) {
+    let snapshot;
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      snapshot = await context.firestore().collection(collection).doc(docId).get();
     });
+    return snapshot;
+  }
 
-    const db = getAuthContext('invalid_user').firestore();
-    
-    // Debería fallar porque el rol no existe
-    await assertFails(
-      db.collection('bases').doc('hack_base').set({
-        code: 'HACK',
-        name: 'Hacked Base',
-        vehicleIds: []
-      })
-    );
-  });
+  describe.each(CODED)('%s', (collection, docId, code, payload) => {
+    test('PUEDE crear con la reserva de un code libre en el mismo batch', async () => {
+      await assertSucceeds(createDoc(dbOf('logistics_uid'), collection, 'nuevo', payload('NEW001')));
+      const reservation = await readWithAdmin('codes', codeId(collection, 'NEW001'));
+      expect(reservation.data()).toMatchObject({ collection, code: 'NEW001', docId: 'nuevo' });
+    });
 
-  test('usuario desactivado todavía puede leer (reglas no verifican active)', async () => {
-    // Nota: Las reglas actuales no verifican el campo 'active'
-    await testEnv.withSecurityRulesDisabled(async (context) => {
-      await context.firestore().collection('users').doc('sanitary_uid').update({
-        active: false
-      });
+    test('NO puede crear sin reservar el code', async () => {
+      await assertFails(dbOf('logistics_uid').collection(collection).doc('nuevo').set(payload('NEW001')));
     });
 
-    const db = getAuthContext('sanitary_uid').firestore();
-    // Todavía puede leer porque las reglas solo verifican autenticación y rol
-    await assertSucceeds(db.collection('bases').get());
-  });
-});
\ No newline at end of file
+    test('NO puede crear con un code ya reservado', async () => {
+      await assertFails(createDoc(dbOf('logistics_uid'), collection, 'nuevo', payload(code)));
+    });
+
+    test('NO puede reservar el code a nombre de otro documento', async () => {
+      const db = dbOf('logistics_uid');
+      const batch = db.batch();
+      batch.set(db.collection(collection).doc('nuevo'), payload('NEW001'));
+      reserveCode(batch, db, collection, 'otro', 'NEW001');
+      await assertFails(batch.commit());
+    });
+
+    test('NO puede reservar un code que ningún documento usa', async () => {
+      const db = dbOf('logistics_uid');
+      await assertFails(
+        db.collection('codes').doc(codeId(collection, 'NEW001'))
+          .set(codeReservationData(collection, 'NEW001', docId))
+      );
+    });
+
+    test('NO puede quedarse con la reserva de otro documento', async () => {
+      const db = dbOf('programmer_uid');
+      await assertFails(
+        db.collection('codes').doc(codeId(collection, code))
+          .set(codeReservationData(collection, code, 'nuevo'))
+      );
+    });
+
+    test('de dos altas simultáneas con el mismo code solo una se completa', async () => {
+      const results = await Promise.allSettled([
+        createDoc(dbOf('logistics_uid'), collection, 'alta_logistica', payload('SVA-01')),
+        createDoc(dbOf('programmer_uid'), collection, 'alta_programador', payload('SVA-01'))
+      ]);
+      const created = ['alta_logistica', 'alta_programador']
+        .filter((_id, index) => results[index].status === 'fulfilled');
+      expect(created).toHaveLength(1);
+
+      const reservation = await readWithAdmin('codes', codeId(collection, 'SVA-01'));
+      expect(reservation.data().docId).toBe(created[0]);
+    });
+
+    test('NO puede borrar el documento sin liberar su code', async () => {
+      await assertFails(dbOf('programmer_uid').collection(collection).doc(docId).delete());
+    });
+
+    test('NO puede liberar el code de un documento que lo sigue usando', async () => {
+      await assertFails(dbOf('programmer_uid').collection('codes').doc(codeId(collection, code)).delete());
+    });
+
+    test('PUEDE reutilizar el code después de borrar el documento', async () => {
+      await assertFails(createDoc(dbOf('logistics_uid'), collection, 'sustituto', payload(code)));
+      await assertSucceeds(deleteWithCode(dbOf('programmer_uid'), collection, docId, code));
+      await assertSucceeds(createDoc(dbOf('logistics_uid'), collection, 'sustituto', payload(code)));
+    });
+  });
+
+  // catalogItems y categories pueden cambiar de code (en bases y kits es
+  // inmutable): la reserva nueva y la liberación de la anterior van en el
+  // mismo batch que el update
+  describe.each(CODED.filter(([collection]) => ['catalogItems', 'categories'].includes(collection)))(
+    '%s: cambio de code',
+    (collection, docId, code, payload) => {
+      function changeCode(newCode, { reserve = true, release = true } = {}) {
+        const db = dbOf('logistics_uid');
+        const batch = db.batch();
+        batch.update(db.collection(collection).doc(docId), touch({ code: newCode }));
+        if (reserve) {
+          reserveCode(batch, db, collection, docId, newCode);
+        }
+        if (release) {
+          releaseCode(batch, db, collection, code);
+        }
+        return batch.commit();
+      }
+
+      test('PUEDE cambiar el code reservando el nuevo y liberando el anterior', async () => {
+        await assertSucceeds(changeCode('NEW001'));
+        await assertSucceeds(createDoc(dbOf('logistics_uid'), collection, 'sustituto', payload(code)));
+      });
+
+      test('NO puede cambiar el code sin reservar el nuevo', async () => {
+        await assertFails(changeCode('NEW001', { reserve: false }));
+      });
+
+      test('NO puede cambiar el code sin liberar el anterior', async () => {
+        await assertFails(changeCode('NEW001', { release: false }));
+      });
+
+      test('NO puede cambiar a un code reservado por otro documento', async () => {
+        await assertSucceeds(createDoc(dbOf('logistics_uid'), collection, 'otro', payload('OTRO01')));
+        await assertFails(changeCode('OTRO01'));
+      });
+    }
+  );
+});
+
+// ============================================================================
+// TESTS: BORRADO DE PADRES CON HIJOS Y ARCHIVADO
+// ============================================================================
+// Un padre solo se borra sin hijos; con hijos se archiva. Las listas de
+// hijos solo las escriben los triggers (aquí setChildList con admin): un id
+// que siga en la lista no bloquea el borrado si ese hijo ya no existe o ya
+// apunta a otro padre. El escenario mínimo ya enlaza base_bilbao → amb_001
+// → kit_trauma; aquí se añade item_adrenalina a kit_trauma y a cat_adrenalina.
+
+describe('Delete Guards', () => {
+  /**
+   * [colección, entidad de la policy, doc, lista de hijos, colección del
+   * hijo, hijo, clave foránea del hijo, code, archivado]
+   */
+  const PARENTS = [
+    ['bases', 'base', 'base_bilbao', 'vehicleIds', 'vehicles', 'amb_001', 'baseId', 'BIL001', { active: false }],
+    ['vehicles', 'vehicle', 'amb_001', 'kitIds', 'kits', 'kit_trauma', 'vehicleId', null, { active: false }],
+    ['kits', 'kit', 'kit_trauma', 'itemIds', 'kitItems', 'item_adrenalina', 'kitId', 'KIT001', { status: 'inactive' }],
+    ['catalogItems', 'catalogItem', 'cat_adrenalina', 'kitItemIds', 'kitItems', 'item_adrenalina', 'catalogItemId', 'ADR001', { active: false }]
+  ];
+
+  beforeEach(async () => {
+    await setupTestData();
+    await createWithAdmin('kitItems', 'item_adrenalina', kitItemData());
+    await setChildList('kits', 'kit_trauma', 'itemIds', ['item_adrenalina']);
+    await setChildList('catalogItems', 'cat_adrenalina', 'kitItemIds', ['item_adrenalina']);
+  });
+
+  function remove(db, collection, docId, code) {
+    return code
+      ? deleteWithCode(db, collection, docId, code)
+      : db.collection(collection).doc(docId).delete();
+  }
+
+  describe.each(PARENTS)('%s', (collection, entity, docId, listField, childCollection, childId, foreignKey, code, archive) => {
+    test(`NO puede borrarse con ${childId} en ${listField}`, async () => {
+      const db = getAuthContext('programmer_uid').firestore();
+      await assertFails(remove(db, collection, docId, code));
+    });
+
+    test(`PUEDE borrarse con ${listField} vacío`, async () => {
+      await setChildList(collection, docId, listField, []);
+      const db = getAuthContext('programmer_uid').firestore();
+      await assertSucceeds(remove(db, collection, docId, code));
+    });
+
+    test(`PUEDE borrarse si ${childId} existe pero el trigger aún no lo ha añadido a ${listField}`, async () => {
+      // Las reglas no pueden buscar hijos por clave foránea: el hijo queda
+      // huérfano hasta que detachChildren le quita ${foreignKey}
+      await setChildList(collection, docId, listField, []);
+      const db = getAuthContext('programmer_uid').firestore();
+      await assertSucceeds(remove(db, collection, docId, code));
+      await testEnv.withSecurityRulesDisabled(async (context) => {
+        const child = await context.firestore().collection(childCollection).doc(childId).get();
+        expect(child.get(foreignKey)).toBe(docId);
+      });
+    });
+
+    test(`PUEDE borrarse si ${childId} ya no existe (el trigger aún no lo ha quitado)`, async () => {
+      await deleteWithAdmin(childCollection, childId);
+      const db = getAuthContext('programmer_uid').firestore();
+      await assertSucceeds(remove(db, collection, docId, code));
+    });
+
+    test(`PUEDE borrarse si ${childId} ya no apunta a él`, async () => {
+      await testEnv.withSecurityRulesDisabled(async (context) => {
+        await context.firestore().collection(childCollection).doc(childId).update({ [foreignKey]: deleteField() });
+      });
+      const db = getAuthContext('programmer_uid').firestore();
+      await assertSucceeds(remove(db, collection, docId, code));
+    });
+
+    test(`NO puede vaciar ${listField} desde el cliente`, async () => {
+      const db = getAuthContext('programmer_uid').firestore();
+      await assertFails(db.collection(collection).doc(docId).update(touch({ [listField]: [] })));
+    });
+
+    test(`NO puede vaciar ${listField} y después borrarse`, async () => {
+      const db = getAuthContext('programmer_uid').firestore();
+      await assertFails(db.collection(collection).doc(docId).update(touch({ [listField]: [] })));
+      await assertFails(remove(db, collection, docId, code));
+    });
+
+    test(`NO puede añadir ids a ${listField} desde el cliente`, async () => {
+      const db = getAuthContext('logistics_uid').firestore();
+      await assertFails(
+        db.collection(collection).doc(docId).update(touch({ [listField]: [childId, 'hijo_falso'] }))
+      );
+    });
+
+    test('PUEDE archivarse con hijos', async () => {
+      const db = getAuthContext('logistics_uid').firestore();
+      await assertSucceeds(db.collection(collection).doc(docId).update(touch(archive)));
+    });
+
+    test('un rol con solo canDelete PUEDE archivar', async () => {
+      await setPolicy('role_sanitary', entity, 'RD');
+      const db = getAuthContext('sanitary_uid').firestore();
+      await assertSucceeds(db.collection(collection).doc(docId).update(touch(archive)));
+    });
+
+    test('un rol con solo canDelete NO puede cambiar otros campos al archivar', async () => {
+      await setPolicy('role_sanitary', entity, 'RD');
+      const db = getAuthContext('sanitary_uid').firestore();
+      await assertFails(
+        db.collection(collection).doc(docId).update(touch({ ...archive, [listField]: [] }))
+      );
+    });
+
+    test('un rol con solo canDelete NO puede archivar sin updatedAt del servidor', async () => {
+      await setPolicy('role_sanitary', entity, 'RD');
+      const db = getAuthContext('sanitary_uid').firestore();
+      await assertFails(db.collection(collection).doc(docId).update(archive));
+    });
+
+    test('un rol sin canDelete ni canUpdate NO puede archivar', async () => {
+      const db = getAuthContext('sanitary_uid').firestore();
+      await assertFails(db.collection(collection).doc(docId).update(touch(archive)));
+    });
+  });
+
+  test('PUEDE borrarse junto a su último hijo en el mismo batch', async () => {
+    const db = getAuthContext('programmer_uid').firestore();
+    const batch = db.batch();
+    batch.delete(db.collection('kitItems').doc('item_adrenalina'));
+    batch.delete(db.collection('kits').doc('kit_trauma'));
+    await assertSucceeds(releaseCode(batch, db, 'kits', 'KIT001').commit());
+  });
+
+  // Las reglas solo comprueban un id de la lista (límite de accesos): con
+  // más, hay que esperar a que los triggers la vacíen
+  test('NO puede borrarse con más de un id en la lista aunque esos hijos ya no existan', async () => {
+    await setChildList('kits', 'kit_trauma', 'itemIds', ['item_adrenalina', 'item_suero']);
+    await deleteWithAdmin('kitItems', 'item_adrenalina');
+    const db = getAuthContext('programmer_uid').firestore();
+    await assertFails(deleteWithCode(db, 'kits', 'kit_trauma', 'KIT001'));
+  });
+});
+
+// ============================================================================
+// TESTS: ESCALADA DE PRIVILEGIOS EN USERS
+// ============================================================================
+// uid == id del documento, roleId de un rol existente, nadie cambia su
+// propio roleId y cada usuario solo edita su perfil (username, fullName).
+// El username es único: un cambio reserva el nuevo en codes y libera el
+// anterior en el mismo batch.
+
+describe('Users Privilege Escalation', () => {
+  beforeEach(async () => {
+    await setupTestData();
+  });
+
+  /**
+   * Cambia el username de users/{uid} con el cliente de `actorUid`, como
+   * UserService.update
+   */
+  function renameUser(actorUid, uid, username, { reserve = true, release = true } = {}) {
+    const db = getAuthContext(actorUid).firestore();
+    const batch = db.batch();
+    batch.update(db.collection('users').doc(uid), touch({ username }));
+    if (reserve) {
+      reserveCode(batch, db, 'users', uid, username);
+    }
+    if (release) {
+      releaseCode(batch, db, 'users', TEST_USERS[uid].username);
+    }
+    return batch.commit();
+  }
+
+  // Programador
+  test('programmer PUEDE cambiar el roleId de otro usuario a un rol existente', async () => {
+    const db = getAuthContext('programmer_uid').firestore();
+    await assertSucceeds(
+      db.collection('users').doc('sanitary_uid').update(touch({ roleId: 'role_logistics' }))
+    );
+  });
+
+  test('programmer PUEDE renombrar a otro usuario con la reserva del username', async () => {
+    await assertSucceeds(renameUser('programmer_uid', 'sanitary_uid', 'sanitario2'));
+  });
+
+  test('programmer NO puede crear un usuario con un username ya reservado', async () => {
+    const db = getAuthContext('programmer_uid').firestore();
+    await assertFails(createDoc(db, 'users', 'new_user', userData({ username: 'sanitario' })));
+  });
+
+  test('programmer NO puede crear un usuario sin reservar su username', async () => {
+    const db = getAuthContext('programmer_uid').firestore();
+    await assertFails(db.collection('users').doc('new_user').set(userData()));
+  });
+
+  test('programmer NO puede borrar un usuario sin liberar su username', async () => {
+    const db = getAuthContext('programmer_uid').firestore();
+    await assertFails(db.collection('users').doc('sanitary_uid').delete());
+    await assertSucceeds(deleteWithCode(db, 'users', 'sanitary_uid', 'sanitario'));
+  });
+
+  test('programmer PUEDE crear un usuario sin roleId', async () => {
+    const db = getAuthContext('programmer_uid').firestore();
+    await assertSucceeds(
+      createDoc(db, 'users', 'new_user', without(userData(), 'roleId'))
+    );
+  });
+
+  test('programmer NO puede cambiar su propio roleId', async () => {
+    const db = getAuthContext('programmer_uid').firestore();
+    await assertFails(
+      db.collection('users').doc('programmer_uid').update(touch({ roleId: 'role_logistics' }))
+    );
+  });
+
+  test('programmer NO puede quitarse su propio roleId', async () => {
+    const db = getAuthContext('programmer_uid').firestore();
+    await assertFails(
+      db.collection('users').doc('programmer_uid').update(touch({ roleId: null }))
+    );
+  });
+
+  test('programmer PUEDE editar su propio perfil sin tocar el roleId', async () => {
+    const db = getAuthContext('programmer_uid').firestore();
+    await assertSucceeds(
+      db.collection('users').doc('programmer_uid').update(touch({ email: 'root@ambukit.com' }))
+    );
+  });
+
+  test('programmer NO puede asignar un roleId inexistente al crear', async () => {
+    const db = getAuthContext('programmer_uid').firestore();
+    await assertFails(
+      createDoc(db, 'users', 'new_user', userData({ roleId: 'role_superadmin' }))
+    );
+  });
+
+  test('programmer NO puede asignar un roleId inexistente al actualizar', async () => {
+    const db = getAuthContext('programmer_uid').firestore();
+    await assertFails(
+      db.collection('users').doc('sanitary_uid').update(touch({ roleId: 'role_superadmin' }))
+    );
+  });
+
+  test('programmer NO puede crear un usuario cuyo uid no es el id del documento', async () => {
+    const db = getAuthContext('programmer_uid').firestore();
+    await assertFails(
+      createDoc(db, 'users', 'new_user', userData({ uid: 'sanitary_uid' }))
+    );
+  });
+
+  test('programmer NO puede cambiar el uid de un usuario', async () => {
+    const db = getAuthContext('programmer_uid').firestore();
+    await assertFails(
+      db.collection('users').doc('sanitary_uid').update(touch({ uid: 'programmer_uid' }))
+    );
+  });
+
+  // Resto de roles
+  test.each(['logistics_uid', 'sanitary_uid'])(
+    '%s PUEDE editar su fullName',
+    async (uid) => {
+      const db = getAuthContext(uid).firestore();
+      await assertSucceeds(db.collection('users').doc(uid).update(touch({ fullName: 'Nombre Nuevo' })));
+    }
+  );
+
+  test.each(['logistics_uid', 'sanitary_uid'])(
+    '%s PUEDE cambiar su username reservando el nuevo y liberando el anterior',
+    async (uid) => {
+      await assertSucceeds(renameUser(uid, uid, `${uid}_nuevo`));
+    }
+  );
+
+  test('sanitary NO puede cambiar su username sin reservar el nuevo', async () => {
+    await assertFails(renameUser('sanitary_uid', 'sanitary_uid', 'sanitario2', { reserve: false }));
+  });
+
+  test('sanitary NO puede cambiar su username sin liberar el anterior', async () => {
+    await assertFails(renameUser('sanitary_uid', 'sanitary_uid', 'sanitario2', { release: false }));
+  });
+
+  test('sanitary NO puede quedarse el username de otro usuario', async () => {
+    await assertFails(renameUser('sanitary_uid', 'sanitary_uid', 'logistica'));
+  });
+
+  test('sanitary NO puede reservar un username a nombre de otro usuario', async () => {
+    const db = getAuthContext('sanitary_uid').firestore();
+    const batch = db.batch();
+    batch.update(db.collection('users').doc('sanitary_uid'), touch({ username: 'sanitario2' }));
+    reserveCode(batch, db, 'users', 'logistics_uid', 'sanitario2');
+    releaseCode(batch, db, 'users', 'sanitario');
+    await assertFails(batch.commit());
+  });
+
+  test('sanitary NO puede liberar el username de otro usuario', async () => {
+    const db = getAuthContext('sanitary_uid').firestore();
+    await assertFails(db.collection('codes').doc(codeId('users', 'logistica')).delete());
+  });
+
+  test('sanitary NO puede reservar el code de un kit', async () => {
+    const db = getAuthContext('sanitary_uid').firestore();
+    const batch = db.batch();
+    batch.set(db.collection('kits').doc('kit_nuevo'), kitData({ code: 'NEW001' }));
+    reserveCode(batch, db, 'kits', 'kit_nuevo', 'NEW001');
+    await assertFails(batch.commit());
+  });
+
+  test.each([
+    ['roleId', { roleId: 'role_programmer' }],
+    ['email', { email: 'otro@ambukit.com' }],
+    ['active', { active: false }],
+    ['baseId', { baseId: 'base_vitoria' }],
+    ['uid', { uid: 'programmer_uid' }]
+  ])('sanitary NO puede cambiar su propio %s', async (_field, changes) => {
+    const db = getAuthContext('sanitary_uid').firestore();
+    await assertFails(
+      db.collection('users').doc('sanitary_uid').update(touch(changes))
+    );
+  });
+
+  test('logistics NO puede cambiar el roleId de otro usuario', async () => {
+    const db = getAuthContext('logistics_uid').firestore();
+    await assertFails(
+      db.collection('users').doc('sanitary_uid').update(touch({ roleId: 'role_programmer' }))
+    );
+  });
+
+  test('sanitary NO puede editar el perfil de otro usuario', async () => {
+    const db = getAuthContext('sanitary_uid').firestore();
+    await assertFails(
+      db.collection('users').doc('logistics_uid').update(touch({ fullName: 'Hackeado' }))
+    );
+  });
+
+  test('sanitary NO puede crear su propio documento con otro rol', async () => {
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      await context.firestore().collection('users').doc('sanitary_uid').delete();
+    });
+    const db = getAuthContext('sanitary_uid').firestore();
+    await assertFails(
+      createDoc(db, 'users', 'sanitary_uid', userData({
+        uid: 'sanitary_uid',
+        roleId: 'role_programmer'
+      }))
+    );
+  });
+
+  test('usuarios no autenticados NO pueden editar perfiles', async () => {
+    const db = getUnauthContext().firestore();
+    await assertFails(
+      db.collection('users').doc('sanitary_uid').update(touch({ fullName: 'Anónimo' }))
+    );
+  });
+});
+
+// ============================================================================
+// TESTS: INTEGRIDAD REFERENCIAL
+// ============================================================================
+// Las claves foráneas de VehicleFS, KitFS, KitItemFS y CatalogItemFS deben
+// apuntar a documentos existentes (también si se crean en el mismo batch).
+
+describe('Referential Integrity', () => {
+  beforeEach(async () => {
+    await setupTestData();
+    await createWithAdmin('categories', 'cat_farmacia', categoryData());
+    await createWithAdmin('unitOfMeasures', 'uom_ml', unitOfMeasureData());
+    await createWithAdmin('kitItems', 'item_adrenalina', kitItemData());
+  });
+
+  test.each([
+    ['kitItems', kitItemData()],
+    ['vehicles', vehicleData({ code: 'AMB002', baseId: 'base_bilbao' })],
+    ['kits', kitData({ code: 'KIT002', vehicleId: 'amb_001' })],
+    ['catalogItems', catalogItemData({ code: 'ADR002', categoryId: 'cat_farmacia', uomId: 'uom_ml' })]
+  ])('PUEDE crear %s con referencias existentes', async (collection, payload) => {
+    const db = getAuthContext('logistics_uid').firestore();
+    await assertSucceeds(createDoc(db, collection, 'ref_ok', payload));
+  });
+
+  test.each([
+    ['kitItems', 'kitId', kitItemData({ kitId: 'kit_fantasma' })],
+    ['kitItems', 'catalogItemId', kitItemData({ catalogItemId: 'cat_fantasma' })],
+    ['vehicles', 'baseId', vehicleData({ code: 'AMB002', baseId: 'base_fantasma' })],
+    ['kits', 'vehicleId', kitData({ code: 'KIT002', vehicleId: 'amb_fantasma' })],
+    ['catalogItems', 'categoryId', catalogItemData({ code: 'ADR002', categoryId: 'cat_fantasma' })],
+    ['catalogItems', 'uomId', catalogItemData({ code: 'ADR002', uomId: 'uom_fantasma' })]
+  ])('NO puede crear %s con %s inexistente', async (collection, _field, payload) => {
+    const db = getAuthContext('logistics_uid').firestore();
+    await assertFails(createDoc(db, collection, 'ref_bad', payload));
+  });
+
+  test.each([
+    ['kitItems', 'item_adrenalina', { kitId: 'kit_fantasma' }],
+    ['kitItems', 'item_adrenalina', { catalogItemId: 'cat_fantasma' }],
+    ['vehicles', 'amb_001', { baseId: 'base_fantasma' }],
+    ['kits', 'kit_trauma', { vehicleId: 'amb_fantasma' }],
+    ['catalogItems', 'cat_adrenalina', { categoryId: 'cat_fantasma' }],
+    ['catalogItems', 'cat_adrenalina', { uomId: 'uom_fantasma' }]
+  ])('NO puede actualizar %s/%s con una referencia inexistente', async (collection, docId, changes) => {
+    const db = getAuthContext('logistics_uid').firestore();
+    await assertFails(db.collection(collection).doc(docId).update(touch(changes)));
+  });
+
+  test('PUEDE quitar una referencia (null)', async () => {
+    const db = getAuthContext('logistics_uid').firestore();
+    await assertSucceeds(
+      db.collection('kits').doc('kit_trauma').update(touch({ vehicleId: null }))
+    );
+  });
+
+  test('una referencia existente que no cambia no se vuelve a comprobar', async () => {
+    await createWithAdmin('kitItems', 'item_huerfano', kitItemData({ kitId: 'kit_borrado' }));
+    await assertSucceeds(
+      updateStock('logistics_uid', 'item_huerfano', { quantity: 3 })
+    );
+  });
+
+  test('PUEDE crear base, vehículo, kit, catálogo y kitItem en el mismo batch', async () => {
+    const db = getAuthContext('logistics_uid').firestore();
+    const batch = db.batch();
+    batch.set(db.collection('bases').doc('base_vitoria'), baseData({ code: 'VIT001', name: 'Base Vitoria' }));
+    batch.set(db.collection('vehicles').doc('amb_vit'), vehicleData({ code: 'VIT-AMB', baseId: 'base_vitoria' }));
+    batch.set(db.collection('kits').doc('kit_vit'), kitData({ code: 'VIT-KIT', vehicleId: 'amb_vit' }));
+    batch.set(db.collection('catalogItems').doc('cat_suero'), catalogItemData({
+      code: 'SUE001',
+      name: 'Suero fisiológico',
+      categoryId: 'cat_farmacia',
+      uomId: 'uom_ml'
+    }));
+    batch.set(db.collection('kitItems').doc('item_suero'), kitItemData({
+      kitId: 'kit_vit',
+      catalogItemId: 'cat_suero'
+    }));
+    reserveCode(batch, db, 'bases', 'base_vitoria', 'VIT001');
+    reserveCode(batch, db, 'kits', 'kit_vit', 'VIT-KIT');
+    reserveCode(batch, db, 'catalogItems', 'cat_suero', 'SUE001');
+    await assertSucceeds(batch.commit());
+  });
+
+  test('NO puede apuntar a un documento que se borra en el mismo batch', async () => {
+    const db = getAuthContext('programmer_uid').firestore();
+    const batch = db.batch();
+    batch.delete(db.collection('kits').doc('kit_trauma'));
+    releaseCode(batch, db, 'kits', 'KIT001');
+    batch.set(db.collection('kitItems').doc('item_nuevo'), kitItemData({ kitId: 'kit_trauma' }));
+    await assertFails(batch.commit());
+  });
+});
+
+// ============================================================================
+// TESTS: ESCENARIO SEMILLA
+// ============================================================================
+// fullScenario es el dataset que `npm run seed:emulator` carga para la app
+// iOS: cada documento tiene que pasar las reglas tal y como lo escribiría
+// un cliente, con las listas de hijos vacías (las rellenan los triggers) y
+// las reservas de codes en el mismo batch (createDoc), no por separado.
+
+describe('Seed Scenario', () => {
+  const ACCESS_CONTROL = ['roles', 'policies', 'users'];
+  const scenario = fullScenario();
+
+  /**
+   * Payload de creación del cliente: timestamps del servidor y listas de
+   * hijos vacías
+   */
+  function clientPayload(collection, data) {
+    const lists = CHILD_LISTS.filter((relation) => relation.parent === collection);
+    return {
+      ...data,
+      ...Object.fromEntries(lists.map(({ listField }) => [listField, []])),
+      ...serverTimestamps()
+    };
+  }
+
+  beforeEach(async () => {
+    const accessControl = Object.fromEntries(ACCESS_CONTROL.map((collection) => [collection, scenario[collection]]));
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      await loadScenario(context.firestore(), accessControl);
+    });
+  });
+
+  test('programmer PUEDE crear cada documento del escenario en orden', async () => {
+    const db = getAuthContext('programmer_uid').firestore();
+    const created = SCENARIO_ORDER.filter((c) => !ACCESS_CONTROL.includes(c) && c !== 'codes');
+    for (const collection of created) {
+      for (const [id, data] of Object.entries(scenario[collection])) {
+        await assertSucceeds(createDoc(db, collection, id, clientPayload(collection, data)));
+      }
+    }
+  });
+
+  test('sanitary PUEDE ajustar stock en su base y NO en otra', async () => {
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      await loadScenario(context.firestore(), scenario);
+    });
+
+    await assertSucceeds(updateStock('sanitary_uid', 'item_venda_bilbao', { quantity: 7 }));
+    await assertFails(updateStock('sanitary_uid', 'item_gasas_vit', { quantity: 29 }));
+  });
+});
+
+// ============================================================================
+// TESTS: CUSTOM CLAIMS (camino rápido de roles)
+// ============================================================================
+// Con el claim `role` las reglas no leen roles/{roleId}; sin claim se
+// consulta el documento. En ambos casos un batch grande no debe superar
+// el límite de accesos a documentos (20 por batch). Los cambios de quantity
+// leen además su movimiento (uno distinto por item), así que el batch
+// grande del sanitario toca las notas.
+
+describe('Role Custom Claims', () => {
+  const ITEM_COUNT = 30;
+  const itemIds = Array.from({ length: ITEM_COUNT }, (_, i) => `item_${i}`);
+
+  /**
+   * Borra roles/{roleId} para demostrar que el claim no lo lee
+   */
+  async function deleteRole(roleId) {
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      await context.firestore().collection('roles').doc(roleId).delete();
+    });
+  }
+
+  beforeEach(async () => {
+    await setupTestData();
+    await createWithAdmin('kitItems', 'item_adrenalina', kitItemData());
+  });
+
+  test.each([
+    ['con claim', { role: 'logistics' }],
+    ['sin claim', undefined]
+  ])('logistics %s PUEDE actualizar umbrales de kitItems', async (_case, claims) => {
+    const db = getAuthContext('logistics_uid', claims).firestore();
+    await assertSucceeds(
+      db.collection('kitItems').doc('item_adrenalina').update(touch({ min: 1 }))
+    );
+  });
+
+  test.each([
+    ['con claim', { role: 'sanitary' }],
+    ['sin claim', undefined]
+  ])('sanitary %s NO puede actualizar umbrales de kitItems', async (_case, claims) => {
+    const db = getAuthContext('sanitary_uid', claims).firestore();
+    await assertFails(
+      db.collection('kitItems').doc('item_adrenalina').update(touch({ min: 1 }))
+    );
+  });
+
+  // La auditoría de kits de un sanitario es la única comprobación de rol
+  // (ROLE_EXCEPTIONS): el resto de reglas no leen roles/{roleId}
+  test('con claim no se lee roles/{roleId}', async () => {
+    await deleteRole('role_sanitary');
+    const audit = (claims) => {
+      const db = getAuthContext('sanitary_uid', claims).firestore();
+      const kitRef = db.collection('kits').doc('kit_trauma');
+      const batch = db.batch();
+      batch.update(kitRef, touch({ lastAudit: serverTimestamp() }));
+      batch.set(kitRef.collection('audits').doc('audit_claim'), kitAuditData({
+        auditorUid: 'sanitary_uid',
+        auditorUsername: 'sanitario'
+      }));
+      return batch.commit();
+    };
+
+    await assertFails(audit(undefined));
+    await assertSucceeds(audit({ role: 'sanitary' }));
+  });
+
+  test('el claim no sustituye a las policies', async () => {
+    await setChildList('bases', 'base_bilbao', 'vehicleIds', []);
+    const db = getAuthContext('sanitary_uid', { role: 'programmer' }).firestore();
+    await assertFails(deleteWithCode(db, 'bases', 'base_bilbao', 'BIL001'));
+  });
+
+  test('el claim no evita el bloqueo de usuarios desactivados', async () => {
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      await context.firestore().collection('users').doc('logistics_uid').update({ active: false });
+    });
+    const db = getAuthContext('logistics_uid', { role: 'logistics' }).firestore();
+    await assertFails(db.collection('kitItems').doc('item_adrenalina').get());
+    await assertFails(
+      db.collection('kitItems').doc('item_adrenalina').update(touch({ min: 1 }))
+    );
+  });
+
+  describe(`batch de ${ITEM_COUNT} kitItems en un solo commit`, () => {
+    beforeEach(async () => {
+      await testEnv.withSecurityRulesDisabled(async (context) => {
+        const batch = context.firestore().batch();
+        itemIds.forEach((id) => {
+          batch.set(context.firestore().collection('kitItems').doc(id), kitItemData());
+        });
+        await batch.commit();
+      });
+    });
+
+    test.each([
+      ['logistics_uid', 'con claim', { role: 'logistics' }, { min: 1 }],
+      ['logistics_uid', 'sin claim', undefined, { min: 1 }],
+      ['sanitary_uid', 'con claim', { role: 'sanitary' }, { notes: 'Revisado' }],
+      ['sanitary_uid', 'sin claim', undefined, { notes: 'Revisado' }]
+    ])('%s %s NO supera el límite de accesos', async (uid, _case, claims, changes) => {
+      const db = getAuthContext(uid, claims).firestore();
+      const batch = db.batch();
+      itemIds.forEach((id) => {
+        batch.update(db.collection('kitItems').doc(id), touch(changes));
+      });
+      await assertSucceeds(batch.commit());
+    });
+
+    test('logistics PUEDE crear kitItems en batch', async () => {
+      const db = getAuthContext('logistics_uid', { role: 'logistics' }).firestore();
+      const batch = db.batch();
+      itemIds.forEach((id) => {
+        batch.set(db.collection('kitItems').doc(`${id}_new`), kitItemData());
+      });
+      await assertSucceeds(batch.commit());
+    });
+  });
+});
+
+// ============================================================================
+// TESTS: EDGE CASES Y SEGURIDAD
+// ============================================================================
+
+describe('Security Edge Cases', () => {
+  beforeEach(async () => {
+    await setupTestData();
+  });
+
+  test('usuario con roleId inválido NO puede hacer nada', async () => {
+    // Crear usuario con rol inexistente
+    await createWithAdmin('users', 'invalid_user', userData({
+      uid: 'invalid_user',
+      username: 'hacker',
+      email: 'hacker@evil.com',
+      roleId: 'role_nonexistent'
+    }));
+
+    const db = getAuthContext('invalid_user').firestore();
+    
+    // Debería fallar porque el rol no existe
+    await assertFails(
+      createDoc(db, 'bases', 'hack_base', baseData({
+        code: 'HACK',
+        name: 'Hacked Base'
+      }))
+    );
+  });
+});
+
+// ============================================================================
+// TESTS: USUARIOS DESACTIVADOS
+// ============================================================================
+// UserFS.active == false bloquea cualquier lectura o escritura,
+// independientemente del rol.
+
+describe('Deactivated Users', () => {
+  const readableCollections = [
+    'users', 'roles', 'policies', 'bases', 'vehicles', 'kits',
+    'kitItems', 'catalogItems', 'categories', 'unitOfMeasures', 'auditLogs', 'alerts'
+  ];
+
+  const users = [
+    ['programmer_uid', 'admin', 'role_programmer'],
+    ['logistics_uid', 'logistica', 'role_logistics'],
+    ['sanitary_uid', 'sanitario', 'role_sanitary']
+  ];
+
+  /**
+   * Cambia UserFS.active saltándose las reglas
+   */
+  async function setActive(uid, active) {
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      await context.firestore().collection('users').doc(uid).update({ active });
+    });
+  }
+
+  /**
+   * Escrituras que cada rol puede hacer cuando está activo.
+   * Se devuelven como funciones para lanzarlas una a una.
+   */
+  function allowedWrites(db, uid, username, roleId) {
+    const writes = [
+      () => db.collection('auditLogs').add(auditLogData({
+        actorUid: uid,
+        actorUsername: username,
+        actorRole: roleId
+      })),
+      () => db.collection('users').doc(uid).update(touch({ fullName: 'Nombre Nuevo' }))
+    ];
+    if (uid === 'sanitary_uid') {
+      writes.push(
+        () => commitStockUpdate(db, 'item_adrenalina', { quantity: 8 })
+      );
+    } else {
+      writes.push(
+        () => createDoc(db, 'bases', `base_${uid}`, baseData({ code: uid })),
+        () => db.collection('kitItems').doc('item_adrenalina').update(touch({ min: 1 }))
+      );
+    }
+    if (uid === 'programmer_uid') {
+      writes.push(
+        () => db.collection('users').doc('logistics_uid').update(touch({ fullName: 'Logística 2' })),
+        () => deleteWithCode(db, 'kits', 'kit_trauma', 'KIT001')
+      );
+    }
+    return writes;
+  }
+
+  beforeEach(async () => {
+    await setupTestData();
+    await createWithAdmin('kitItems', 'item_adrenalina', kitItemData());
+  });
+
+  describe.each(users)('%s desactivado', (uid, username, roleId) => {
+    beforeEach(async () => {
+      await setActive(uid, false);
+    });
+
+    test.each(readableCollections)('NO puede leer %s', async (collection) => {
+      const db = getAuthContext(uid).firestore();
+      await assertFails(db.collection(collection).get());
+    });
+
+    test('NO puede leer su propio documento de users', async () => {
+      const db = getAuthContext(uid).firestore();
+      await assertFails(db.collection('users').doc(uid).get());
+    });
+
+    test('NO puede hacer ninguna de las escrituras de su rol', async () => {
+      const db = getAuthContext(uid).firestore();
+      for (const write of allowedWrites(db, uid, username, roleId)) {
+        await assertFails(write());
+      }
+    });
+
+    test('recupera el acceso al reactivarse', async () => {
+      await setActive(uid, true);
+      const db = getAuthContext(uid).firestore();
+      for (const collection of readableCollections) {
+        await assertSucceeds(db.collection(collection).get());
+      }
+      for (const write of allowedWrites(db, uid, username, roleId)) {
+        await assertSucceeds(write());
+      }
+    });
+  });
+
+  test('usuario autenticado sin documento en users NO puede leer', async () => {
+    const db = getAuthContext('ghost_uid').firestore();
+    await assertFails(db.collection('bases').get());
+  });
+});
+
+// ============================================================================
+// TESTS: PERMISOS DESDE POLICIES
+// ============================================================================
+// La misma operación pasa de permitida a denegada (y al revés) cambiando
+// solo el documento policies/{roleId}_{entity}.
+
+describe('Policy-Driven Permissions', () => {
+  beforeEach(async () => {
+    await setupTestData();
+    await createWithAdmin('kitItems', 'item_adrenalina', kitItemData());
+    // Sin vehículos, borrar base_bilbao solo depende de la policy
+    await setChildList('bases', 'base_bilbao', 'vehicleIds', []);
+  });
+
+  test('logistics PUEDE eliminar bases si su policy lo permite', async () => {
+    const db = getAuthContext('logistics_uid').firestore();
+    await assertFails(deleteWithCode(db, 'bases', 'base_bilbao', 'BIL001'));
+
+    await setPolicy('role_logistics', 'base', 'CRUD');
+    await assertSucceeds(deleteWithCode(db, 'bases', 'base_bilbao', 'BIL001'));
+  });
+
+  test('sanitary PUEDE actualizar kits si su policy lo permite', async () => {
+    const db = getAuthContext('sanitary_uid').firestore();
+    const update = () => db.collection('kits').doc('kit_trauma').update(touch({ name: 'Kit Revisado' }));
+    await assertFails(update());
+
+    await setPolicy('role_sanitary', 'kit', 'RU');
+    await assertSucceeds(update());
+  });
+
+  test('sanitary NO puede actualizar stock si se retira canUpdate', async () => {
+    const update = (quantity) => updateStock('sanitary_uid', 'item_adrenalina', { quantity });
+    await assertSucceeds(update(8));
+
+    await setPolicy('role_sanitary', 'kitItem', 'R');
+    await assertFails(update(6));
+  });
+
+  test('policy con canUpdate NO amplía los campos de kitItems que puede tocar sanitary', async () => {
+    await setPolicy('role_sanitary', 'kitItem', 'RUD');
+    const db = getAuthContext('sanitary_uid').firestore();
+    await assertFails(
+      db.collection('kitItems').doc('item_adrenalina').update(touch({ min: 0 }))
+    );
+  });
+
+  // Quien puede crear kitItems gestiona el inventario: edita cualquier campo
+  // en cualquier base y lee los logs de inventario
+  test('sanitary PUEDE editar cualquier campo de kitItems si su policy le deja crearlos', async () => {
+    const db = getAuthContext('sanitary_uid').firestore();
+    const update = () => db.collection('kitItems').doc('item_adrenalina').update(touch({ min: 0 }));
+    await assertFails(update());
+
+    await setPolicy('role_sanitary', 'kitItem', 'CRU');
+    await assertSucceeds(update());
+  });
+
+  test('logistics solo puede tocar los campos de stock si se retira canCreate de kitItem', async () => {
+    const db = getAuthContext('logistics_uid').firestore();
+    const update = (min) => db.collection('kitItems').doc('item_adrenalina').update(touch({ min }));
+    await assertSucceeds(update(1));
+
+    await setPolicy('role_logistics', 'kitItem', 'RUD');
+    await assertFails(update(0));
+  });
+
+  test('sanitary PUEDE leer los logs de inventario si su policy le deja crear kitItems', async () => {
+    const db = getAuthContext('sanitary_uid').firestore();
+    const query = () => db.collection('auditLogs').where('entityRaw', '==', 'kit').get();
+    await assertFails(query());
+
+    await setPolicy('role_sanitary', 'kitItem', 'CRU');
+    await assertSucceeds(query());
+  });
+
+  test('logistics PUEDE leer todos los logs si su policy le deja crear users', async () => {
+    const db = getAuthContext('logistics_uid').firestore();
+    await assertFails(db.collection('auditLogs').get());
+
+    await setPolicy('role_logistics', 'user', 'CRUD');
+    await assertSucceeds(db.collection('auditLogs').get());
+  });
+
+  test('programmer NO puede crear bases si se retira canCreate', async () => {
+    const db = getAuthContext('programmer_uid').firestore();
+    const create = () => createDoc(db, 'bases', 'base_new', baseData({ code: 'NEW001' }));
+
+    await setPolicy('role_programmer', 'base', 'RUD');
+    await assertFails(create());
+
+    await setPolicy('role_programmer', 'base', 'CRUD');
+    await assertSucceeds(create());
+  });
+
+  test('sanitary NO puede leer kits si se retira canRead', async () => {
+    const db = getAuthContext('sanitary_uid').firestore();
+    await assertSucceeds(db.collection('kits').get());
+
+    await setPolicy('role_sanitary', 'kit', '');
+    await assertFails(db.collection('kits').get());
+    await assertFails(db.collection('kits').doc('kit_trauma').get());
+  });
+
+  test('sin policy para la entidad se deniega todo', async () => {
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      await context.firestore().collection('policies').doc('role_logistics_kit').delete();
+    });
+
+    const db = getAuthContext('logistics_uid').firestore();
+    await assertFails(db.collection('kits').get());
+    await assertFails(
+      createDoc(db, 'kits', 'kit_new', kitData({ code: 'KIT002' }))
+    );
+  });
+
+  test('policy cuyo roleId no coincide con el id del documento se ignora', async () => {
+    await createWithAdmin('policies', 'role_sanitary_base',
+      policyData('role_programmer', 'base', 'CRUD'));
+
+    const db = getAuthContext('sanitary_uid').firestore();
+    await assertFails(
+      createDoc(db, 'bases', 'base_new', baseData({ code: 'NEW001' }))
+    );
+  });
+
+  test('policy cuyo entityRaw no coincide con el id del documento se ignora', async () => {
+    await createWithAdmin('policies', 'role_sanitary_base',
+      policyData('role_sanitary', 'kit', 'CRUD'));
+
+    const db = getAuthContext('sanitary_uid').firestore();
+    await assertFails(db.collection('bases').get());
+  });
+
+  test('las policies de un rol no afectan a los demás', async () => {
+    await setPolicy('role_sanitary', 'base', 'CRUD');
+
+    const logisticsDb = getAuthContext('logistics_uid').firestore();
+    await assertFails(deleteWithCode(logisticsDb, 'bases', 'base_bilbao', 'BIL001'));
+
+    const sanitaryDb = getAuthContext('sanitary_uid').firestore();
+    await assertSucceeds(deleteWithCode(sanitaryDb, 'bases', 'base_bilbao', 'BIL001'));
+  });
+});
@@ -0,0 +1,410 @@
+/**
+ * AmbuKit - Fixtures para los tests de Security Rules
+ *
+ * Payloads válidos que reflejan los modelos Swift (*FS) y los usuarios
+ * de prueba. Cada factory acepta `overrides` para sustituir solo el
+ * campo que se quiere probar. Los modelos que escribe la app llevan
+ * createdAt/updatedAt del servidor (serverTimestamps()).
+ */
+
+const firebase = require('firebase/compat/app');
+require('firebase/compat/firestore');
+const { CODED_COLLECTIONS, codeField, codeId } = require('./codes');
+
+// ============================================================================
+// USUARIOS Y ROLES DE PRUEBA
+// ============================================================================
+
+/**
+ * Roles (roles/{roleId})
+ */
+const TEST_ROLES = {
+  role_programmer: roleData('programmer', 'Programador'),
+  role_logistics: roleData('logistics', 'Logística'),
+  role_sanitary: roleData('sanitary', 'Sanitario')
+};
+
+/**
+ * Usuarios (users/{uid}), uno por rol. El sanitario trabaja en base_bilbao
+ */
+const TEST_USERS = {
+  programmer_uid: {
+    username: 'admin',
+    fullName: 'Administrador',
+    email: 'admin@ambukit.com',
+    roleId: 'role_programmer'
+  },
+  logistics_uid: {
+    username: 'logistica',
+    fullName: 'Equipo Logística',
+    email: 'logistica@ambukit.com',
+    roleId: 'role_logistics'
+  },
+  sanitary_uid: {
+    username: 'sanitario',
+    fullName: 'Técnico Sanitario',
+    email: 'sanitario@ambukit.com',
+    roleId: 'role_sanitary',
+    baseId: 'base_bilbao'
+  }
+};
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Sentinel de timestamp del servidor (equivale a request.time en las reglas)
+ */
+function serverTimestamp() {
+  return firebase.firestore.FieldValue.serverTimestamp();
+}
+
+/**
+ * Sentinel que borra un campo en un update
+ */
+function deleteField() {
+  return firebase.firestore.FieldValue.delete();
+}
+
+/**
+ * createdAt y updatedAt de un documento nuevo: las reglas exigen la hora
+ * del servidor al crear
+ */
+function serverTimestamps() {
+  return { createdAt: serverTimestamp(), updatedAt: serverTimestamp() };
+}
+
+/**
+ * Cambios de un update tal y como los mandan los servicios, con updatedAt
+ * del servidor. Un `updatedAt` en `changes` lo sustituye
+ */
+function touch(changes = {}) {
+  return { updatedAt: serverTimestamp(), ...changes };
+}
+
+/**
+ * Devuelve una copia del payload sin el campo indicado
+ */
+function without(data, field) {
+  const copy = { ...data };
+  delete copy[field];
+  return copy;
+}
+
+// ============================================================================
+// PAYLOADS VÁLIDOS (reflejan los modelos Swift *FS)
+// ============================================================================
+
+/**
+ * Payload válido de RoleFS
+ */
+function roleData(kind, displayName, overrides = {}) {
+  return {
+    kindRaw: kind,
+    displayName,
+    createdAt: new Date(),
+    updatedAt: new Date(),
+    ...overrides
+  };
+}
+
+/**
+ * Payload válido de BaseFS
+ */
+function baseData(overrides = {}) {
+  return {
+    code: 'BIL001',
+    name: 'Base Bilbao',
+    address: 'Calle Autonomía 1, Bilbao',
+    active: true,
+    vehicleIds: [],
+    ...serverTimestamps(),
+    ...overrides
+  };
+}
+
+/**
+ * Payload válido de VehicleFS
+ */
+function vehicleData(overrides = {}) {
+  return {
+    code: 'AMB001',
+    plate: '1234-BCD',
+    type: 'SVA',
+    baseId: 'base_bilbao',
+    kitIds: [],
+    ...serverTimestamps(),
+    ...overrides
+  };
+}
+
+/**
+ * Payload válido de KitFS
+ */
+function kitData(overrides = {}) {
+  return {
+    code: 'KIT001',
+    name: 'Kit Trauma',
+    type: 'SVA',
+    status: 'active',
+    vehicleId: 'amb_001',
+    itemIds: [],
+    ...serverTimestamps(),
+    ...overrides
+  };
+}
+
+/**
+ * Payload válido de KitItemFS
+ */
+function kitItemData(overrides = {}) {
+  return {
+    catalogItemId: 'cat_adrenalina',
+    kitId: 'kit_trauma',
+    quantity: 10,
+    min: 5,
+    max: 20,
+    ...serverTimestamps(),
+    ...overrides
+  };
+}
+
+/**
+ * Payload válido de CatalogItemFS
+ */
+function catalogItemData(overrides = {}) {
+  return {
+    code: 'ADR001',
+    name: 'Adrenalina 1mg',
+    critical: true,
+    ...serverTimestamps(),
+    ...overrides
+  };
+}
+
+/**
+ * Payload válido de CategoryFS
+ */
+function categoryData(overrides = {}) {
+  return {
+    code: 'FARM',
+    name: 'Farmacia',
+    icon: 'cross.case.fill',
+    ...serverTimestamps(),
+    ...overrides
+  };
+}
+
+/**
+ * Payload válido de UnitOfMeasureFS
+ */
+function unitOfMeasureData(overrides = {}) {
+  return {
+    symbol: 'ml',
+    name: 'mililitro',
+    ...serverTimestamps(),
+    ...overrides
+  };
+}
+
+/**
+ * Payload válido de UserFS
+ */
+function userData(overrides = {}) {
+  return {
+    uid: 'new_user',
+    username: 'nuevo',
+    fullName: 'Usuario Nuevo',
+    email: 'nuevo@ambukit.com',
+    roleId: 'role_sanitary',
+    active: true,
+    ...serverTimestamps(),
+    ...overrides
+  };
+}
+
+/**
+ * Payload válido de AuditLogFS tal y como lo escribe AuditServiceFS.
+ * Por defecto el actor es programmer_uid y el timestamp lo fija el servidor.
+ */
+function auditLogData(overrides = {}) {
+  return {
+    timestamp: serverTimestamp(),
+    actorUid: 'programmer_uid',
+    actorUsername: 'admin',
+    actorRole: 'role_programmer',
+    actionRaw: 'update',
+    entityRaw: 'kitItem',
+    entityId: 'item_adrenalina',
+    details: 'Stock actualizado: 10 → 8',
+    ...serverTimestamps(),
+    ...overrides
+  };
+}
+
+/**
+ * Payload válido de KitAuditFS (kits/{kitId}/audits) tal y como lo escribe
+ * KitService.auditKit. Por defecto el auditor es sanitary_uid.
+ */
+function kitAuditData(overrides = {}) {
+  return {
+    auditorUid: 'sanitary_uid',
+    auditorUsername: 'sanitario',
+    notes: 'Revisión semanal',
+    findings: [
+      { kitItemId: 'item_adrenalina', expectedQuantity: 10, countedQuantity: 9, notes: 'Falta una ampolla' }
+    ],
+    performedAt: serverTimestamp(),
+    ...serverTimestamps(),
+    ...overrides
+  };
+}
+
+/**
+ * Payload válido de StockMovementFS (kitItems/{itemId}/movements). Por
+ * defecto sanitary_uid usa 2 unidades
+ */
+function stockMovementData(overrides = {}) {
+  return {
+    delta: -2,
+    reason: 'use',
+    actorUid: 'sanitary_uid',
+    actorUsername: 'sanitario',
+    timestamp: serverTimestamp(),
+    ...overrides
+  };
+}
+
+/**
+ * Batch de KitService.updateKitItem: update del kitItem con `changes` y, en
+ * el mismo commit, un movimiento nuevo al que apunta lastMovementId
+ */
+function commitStockUpdate(db, itemId, changes, movement = {}) {
+  const itemRef = db.collection('kitItems').doc(itemId);
+  const movementRef = itemRef.collection('movements').doc();
+  const batch = db.batch();
+  batch.update(itemRef, touch({ ...changes, lastMovementId: movementRef.id }));
+  batch.set(movementRef, stockMovementData(movement));
+  return batch.commit();
+}
+
+/**
+ * Payload válido de una reserva de código (codes/{collection}_{code})
+ */
+function codeReservationData(collection, code, docId, overrides = {}) {
+  return {
+    collection,
+    code,
+    docId,
+    createdAt: serverTimestamp(),
+    ...overrides
+  };
+}
+
+/**
+ * Añade al batch la reserva de `code` para collection/{docId}
+ */
+function reserveCode(batch, db, collection, docId, code) {
+  const ref = db.collection('codes').doc(codeId(collection, code));
+  return batch.set(ref, codeReservationData(collection, code, docId));
+}
+
+/**
+ * Añade al batch el borrado de la reserva de `code` en `collection`
+ */
+function releaseCode(batch, db, collection, code) {
+  return batch.delete(db.collection('codes').doc(codeId(collection, code)));
+}
+
+/**
+ * Alta de collection/{docId} como la hace la app: en las colecciones con
+ * code único, con su reserva en el mismo batch (code null si el payload no
+ * lo trae, para los casos de payload inválido)
+ */
+function createDoc(db, collection, docId, data) {
+  const ref = db.collection(collection).doc(docId);
+  if (!CODED_COLLECTIONS.includes(collection)) {
+    return ref.set(data);
+  }
+  const batch = db.batch();
+  batch.set(ref, data);
+  return reserveCode(batch, db, collection, docId, data[codeField(collection)] ?? null).commit();
+}
+
+/**
+ * Borrado del documento y de la reserva de su `code` en el mismo batch
+ */
+function deleteWithCode(db, collection, docId, code) {
+  const batch = db.batch();
+  batch.delete(db.collection(collection).doc(docId));
+  return releaseCode(batch, db, collection, code).commit();
+}
+
+/**
+ * Resumen de alerts/{id} tal y como lo escribe la función aggregateAlerts
+ */
+function alertData(overrides = {}) {
+  return {
+    scope: 'kit',
+    kitId: 'kit_trauma',
+    baseId: 'base_bilbao',
+    totalItems: 1,
+    lowStockCount: 1,
+    highStockCount: 0,
+    expiringCount: 0,
+    expiredCount: 0,
+    lowStockItemIds: ['item_adrenalina'],
+    highStockItemIds: [],
+    expiringItemIds: [],
+    expiredItemIds: [],
+    computedAt: new Date(),
+    ...overrides
+  };
+}
+
+/**
+ * Payload de PolicyFS a partir de los flags en formato 'CRUD'
+ */
+function policyData(roleId, entity, flags) {
+  return {
+    entityRaw: entity,
+    roleId,
+    canCreate: flags.includes('C'),
+    canRead: flags.includes('R'),
+    canUpdate: flags.includes('U'),
+    canDelete: flags.includes('D'),
+    createdAt: new Date(),
+    updatedAt: new Date()
+  };
+}
+
+module.exports = {
+  TEST_ROLES,
+  TEST_USERS,
+  serverTimestamp,
+  deleteField,
+  serverTimestamps,
+  touch,
+  without,
+  roleData,
+  baseData,
+  vehicleData,
+  kitData,
+  kitItemData,
+  catalogItemData,
+  categoryData,
+  unitOfMeasureData,
+  userData,
+  auditLogData,
+  kitAuditData,
+  stockMovementData,
+  commitStockUpdate,
+  codeReservationData,
+  reserveCode,
+  releaseCode,
+  createDoc,
+  deleteWithCode,
+  alertData,
+  policyData
+};
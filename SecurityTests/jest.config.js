@@ -4,6 +4,10 @@ module.exports = {
   testTimeout: 30000,
   verbose: true,
   testMatch: ['**/*.test.js'],
+  // firestore.test.js y authEmulator.test.js comparten el emulador y lo vacían entre tests
+  maxWorkers: 1,
+  // Informe de cobertura de firestore.rules (falla si quedan expresiones sin cubrir)
+  globalTeardown: './scripts/rules-coverage.js',
   // Evitar problemas con handles abiertos del emulador
   forceExit: true,
   detectOpenHandles: true
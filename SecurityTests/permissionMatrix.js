@@ -0,0 +1,393 @@
+/**
+ * AmbuKit - Matriz de Permisos
+ *
+ * Fuente única de verdad de rol × colección × operación → permitido/denegado.
+ * A partir de esta tabla se generan:
+ *   - Los casos de Jest de `firestore.test.js` (describe 'Permission Matrix')
+ *   - Las policies por defecto que se cargan en el emulador
+ *   - La tabla Markdown de `README.md` (npm run docs:matrix)
+ */
+
+const {
+  TEST_USERS,
+  roleData,
+  baseData,
+  vehicleData,
+  kitData,
+  kitItemData,
+  catalogItemData,
+  categoryData,
+  unitOfMeasureData,
+  userData,
+  auditLogData,
+  alertData,
+  policyData,
+  commitStockUpdate,
+  touch,
+  codeReservationData,
+  createDoc,
+  deleteWithCode
+} = require('./fixtures');
+const { CODED_COLLECTIONS, codeField, codeId } = require('./codes');
+
+// ============================================================================
+// ROLES Y OPERACIONES
+// ============================================================================
+
+/**
+ * Roles que se prueban. `uid` null = usuario no autenticado.
+ */
+const ROLES = [
+  { id: 'programmer', uid: 'programmer_uid', roleId: 'role_programmer', label: 'Prog' },
+  { id: 'logistics', uid: 'logistics_uid', roleId: 'role_logistics', label: 'Log' },
+  { id: 'sanitary', uid: 'sanitary_uid', roleId: 'role_sanitary', label: 'San' },
+  { id: 'anonymous', uid: null, roleId: null, label: 'Anon' }
+];
+
+/**
+ * Operaciones de cliente. `get` y `list` se prueban por separado
+ * aunque en las reglas ambas sean `read`.
+ */
+const OPERATIONS = ['get', 'list', 'create', 'update', 'delete'];
+
+/**
+ * Operación de la matriz → flag de PolicyFS
+ */
+const POLICY_FLAGS = {
+  create: 'C',
+  get: 'R',
+  update: 'U',
+  delete: 'D'
+};
+
+const ALL = ['programmer', 'logistics', 'sanitary'];
+const INVENTORY_MANAGERS = ['programmer', 'logistics'];
+const PROGRAMMER = ['programmer'];
+const NOBODY = [];
+
+// ============================================================================
+// MATRIZ
+// ============================================================================
+
+/**
+ * Una entrada por colección:
+ *   - entity: EntityKind de las policies (null si la colección no usa policies)
+ *   - seed: documento que existe antes de cada caso (get, update, delete)
+ *     (ver seedDocs)
+ *   - create/update: payload de ejemplo para cada operación (recibe el rol).
+ *     El update se manda con updatedAt del servidor (touch). En las
+ *     colecciones con code único, create y delete van con la reserva del
+ *     code en el mismo batch
+ *   - movement: movimiento de stock que acompaña al update en el mismo batch
+ *     (recibe el rol). Las reglas no aceptan un cambio de quantity sin él
+ *   - allow: roles que pueden hacer cada operación
+ *   - notes: marcas de nota al pie en la tabla del README
+ *   - rowLevelRead: la lectura depende del contenido del documento, así que
+ *     `list` (consulta sin filtros) puede permitir menos roles que `get`
+ */
+const MATRIX = [
+  {
+    collection: 'users',
+    label: 'Users',
+    entity: 'user',
+    seed: { id: 'target_uid', data: () => userData({ uid: 'target_uid', username: 'objetivo', email: 'objetivo@ambukit.com' }) },
+    create: (role) => userData({ uid: matrixDocId(role) }),
+    update: () => ({ fullName: 'Nombre Cambiado' }),
+    allow: { get: ALL, list: ALL, create: PROGRAMMER, update: PROGRAMMER, delete: PROGRAMMER },
+    notes: { update: '***' }
+  },
+  {
+    collection: 'roles',
+    label: 'Roles',
+    entity: null,
+    seed: { id: 'role_test', data: () => roleData('sanitary', 'Rol de prueba') },
+    create: () => roleData('superadmin', 'Super Admin'),
+    update: () => ({ displayName: 'Hack' }),
+    allow: { get: ALL, list: ALL, create: NOBODY, update: NOBODY, delete: NOBODY }
+  },
+  {
+    collection: 'policies',
+    label: 'Policies',
+    entity: null,
+    seed: { id: 'role_test_kit', data: () => policyData('role_test', 'kit', 'R') },
+    create: () => policyData('role_test', 'base', 'CRUD'),
+    update: () => ({ canCreate: true }),
+    allow: { get: ALL, list: ALL, create: NOBODY, update: NOBODY, delete: NOBODY }
+  },
+  {
+    collection: 'bases',
+    label: 'Bases',
+    entity: 'base',
+    seed: { id: 'base_bilbao', data: () => baseData() },
+    create: () => baseData({ code: 'NEW001', name: 'Nueva Base' }),
+    update: () => ({ name: 'Base Bilbao Updated' }),
+    allow: { get: ALL, list: ALL, create: INVENTORY_MANAGERS, update: INVENTORY_MANAGERS, delete: PROGRAMMER }
+  },
+  {
+    collection: 'vehicles',
+    label: 'Vehicles',
+    entity: 'vehicle',
+    seed: { id: 'amb_001', data: () => vehicleData() },
+    create: () => vehicleData({ code: 'AMB002', plate: '5678-XYZ', type: 'SVB' }),
+    update: () => ({ active: true }),
+    allow: { get: ALL, list: ALL, create: INVENTORY_MANAGERS, update: INVENTORY_MANAGERS, delete: PROGRAMMER }
+  },
+  {
+    collection: 'kits',
+    label: 'Kits',
+    entity: 'kit',
+    seed: { id: 'kit_trauma', data: () => kitData() },
+    create: () => kitData({ code: 'KIT002', name: 'Kit Nuevo' }),
+    update: () => ({ name: 'Kit Trauma Updated' }),
+    allow: { get: ALL, list: ALL, create: INVENTORY_MANAGERS, update: INVENTORY_MANAGERS, delete: PROGRAMMER },
+    notes: { update: '*****' }
+  },
+  {
+    collection: 'kitItems',
+    label: 'KitItems',
+    entity: 'kitItem',
+    seed: { id: 'item_adrenalina', data: () => kitItemData() },
+    create: () => kitItemData({ quantity: 5, min: 2, max: 10 }),
+    update: () => ({ quantity: 8 }),
+    movement: (role) => ({
+      delta: -2,
+      actorUid: role.uid,
+      actorUsername: role.uid ? TEST_USERS[role.uid].username : null
+    }),
+    allow: { get: ALL, list: ALL, create: INVENTORY_MANAGERS, update: ALL, delete: INVENTORY_MANAGERS },
+    notes: { update: '*' }
+  },
+  {
+    collection: 'catalogItems',
+    label: 'CatalogItems',
+    entity: 'catalogItem',
+    seed: { id: 'cat_adrenalina', data: () => catalogItemData() },
+    create: () => catalogItemData({ code: 'NEW001', name: 'Nuevo Item', critical: false }),
+    update: () => ({ name: 'Adrenalina 1mg Updated' }),
+    allow: { get: ALL, list: ALL, create: INVENTORY_MANAGERS, update: INVENTORY_MANAGERS, delete: PROGRAMMER }
+  },
+  {
+    collection: 'categories',
+    label: 'Categories',
+    entity: 'category',
+    seed: { id: 'cat_farmacia', data: () => categoryData() },
+    create: () => categoryData({ code: 'CURAS', name: 'Material de Curas', icon: 'bandage.fill' }),
+    update: () => ({ name: 'Farmacia Updated' }),
+    allow: { get: ALL, list: ALL, create: INVENTORY_MANAGERS, update: INVENTORY_MANAGERS, delete: PROGRAMMER }
+  },
+  {
+    collection: 'unitOfMeasures',
+    label: 'UnitOfMeasures',
+    entity: 'unit',
+    seed: { id: 'uom_ml', data: () => unitOfMeasureData() },
+    create: () => unitOfMeasureData({ symbol: 'mg', name: 'miligramo' }),
+    update: () => ({ name: 'mililitros' }),
+    allow: { get: ALL, list: ALL, create: INVENTORY_MANAGERS, update: INVENTORY_MANAGERS, delete: PROGRAMMER }
+  },
+  {
+    collection: 'auditLogs',
+    label: 'AuditLogs',
+    entity: 'audit',
+    seed: {
+      id: 'log_001',
+      data: () => auditLogData({
+        timestamp: new Date(),
+        actorUid: 'sanitary_uid',
+        actorUsername: 'sanitario',
+        actorRole: 'role_sanitary',
+        entityRaw: 'kitItem',
+        entityId: 'item_adrenalina'
+      })
+    },
+    create: (role) => {
+      const user = TEST_USERS[role.uid] || {};
+      return auditLogData({ actorUid: role.uid, actorUsername: user.username, actorRole: user.roleId });
+    },
+    update: () => ({ actionRaw: 'read' }),
+    allow: { get: ALL, list: PROGRAMMER, create: ALL, update: NOBODY, delete: NOBODY },
+    notes: { get: '****', list: '****', create: '**' },
+    rowLevelRead: true
+  },
+  {
+    collection: 'codes',
+    label: 'Codes',
+    entity: null,
+    seed: { id: 'kits_KIT001', data: () => codeReservationData('kits', 'KIT001', 'kit_trauma') },
+    create: () => codeReservationData('kits', 'KIT999', 'kit_trauma'),
+    update: () => ({ docId: 'kit_otro' }),
+    allow: { get: ALL, list: ALL, create: NOBODY, update: NOBODY, delete: NOBODY },
+    notes: { create: '******', delete: '******' }
+  },
+  {
+    collection: 'alerts',
+    label: 'Alerts',
+    entity: null,
+    seed: { id: 'kit_kit_trauma', data: () => alertData() },
+    create: () => alertData({ kitId: 'kit_falso' }),
+    update: () => ({ lowStockCount: 0 }),
+    allow: { get: ALL, list: ALL, create: NOBODY, update: NOBODY, delete: NOBODY }
+  }
+];
+
+// ============================================================================
+// EXCEPCIONES DE ROL
+// ============================================================================
+
+/**
+ * Comprobaciones de rol (hasRole) que quedan en firestore.rules. Todo lo
+ * demás se decide con las policies; una excepción nueva tiene que estar
+ * aquí con su motivo (lo comprueba permissionMatrix.test.js):
+ *   - function: función de las reglas que llama a hasRole
+ *   - role: kind del rol que comprueba
+ *   - allows: qué permite además de las policies
+ *   - reason: por qué no basta con una policy
+ */
+const ROLE_EXCEPTIONS = [
+  {
+    function: 'isSanitaryOfKitBase',
+    role: 'sanitary',
+    allows: 'Auditar los kits de su base: lastAudit del kit y kits/{kitId}/audits',
+    reason: 'canUpdate en kit le dejaría editar cualquier campo de cualquier kit'
+  }
+];
+
+// ============================================================================
+// CONSULTAS
+// ============================================================================
+
+/**
+ * Id del documento que crea cada rol en el caso `create`
+ */
+function matrixDocId(role) {
+  return `matrix_${role.id}`;
+}
+
+/**
+ * Indica si un rol puede hacer una operación sobre una colección
+ */
+function isAllowed(entry, roleId, operation) {
+  return entry.allow[operation].includes(roleId);
+}
+
+/**
+ * Todos los casos de la matriz como filas planas para test.each
+ */
+function matrixCases() {
+  const cases = [];
+  for (const entry of MATRIX) {
+    for (const role of ROLES) {
+      for (const operation of OPERATIONS) {
+        cases.push({ entry, role, operation, allowed: isAllowed(entry, role.id, operation) });
+      }
+    }
+  }
+  return cases;
+}
+
+/**
+ * Documentos que se guardan antes de cada caso como [colección, id, data]:
+ * el seed de la entrada y, si la colección tiene code único, su reserva
+ */
+function seedDocs(entry) {
+  const data = entry.seed.data();
+  const docs = [[entry.collection, entry.seed.id, data]];
+  if (CODED_COLLECTIONS.includes(entry.collection)) {
+    const code = data[codeField(entry.collection)];
+    docs.push(['codes', codeId(entry.collection, code), codeReservationData(entry.collection, code, entry.seed.id)]);
+  }
+  return docs;
+}
+
+/**
+ * Ejecuta una operación de la matriz con el cliente `db` del rol
+ */
+function runOperation(db, entry, role, operation) {
+  const ref = db.collection(entry.collection);
+  switch (operation) {
+    case 'get':
+      return ref.doc(entry.seed.id).get();
+    case 'list':
+      return ref.get();
+    case 'create':
+      return createDoc(db, entry.collection, matrixDocId(role), entry.create(role));
+    case 'update':
+      if (entry.movement) {
+        return commitStockUpdate(db, entry.seed.id, entry.update(role), entry.movement(role));
+      }
+      return ref.doc(entry.seed.id).update(touch(entry.update(role)));
+    case 'delete':
+      if (CODED_COLLECTIONS.includes(entry.collection)) {
+        return deleteWithCode(db, entry.collection, entry.seed.id, entry.seed.data()[codeField(entry.collection)]);
+      }
+      return ref.doc(entry.seed.id).delete();
+    default:
+      throw new Error(`Operación desconocida: ${operation}`);
+  }
+}
+
+/**
+ * Policies por defecto derivadas de la matriz: { roleId: { entity: 'CRUD' } }
+ */
+function defaultPolicies() {
+  const policies = {};
+  for (const role of ROLES.filter((r) => r.roleId)) {
+    policies[role.roleId] = {};
+    for (const entry of MATRIX.filter((e) => e.entity)) {
+      policies[role.roleId][entry.entity] = Object.entries(POLICY_FLAGS)
+        .filter(([operation]) => isAllowed(entry, role.id, operation))
+        .map(([, flag]) => flag)
+        .join('');
+    }
+  }
+  return policies;
+}
+
+// ============================================================================
+// DOCUMENTACIÓN
+// ============================================================================
+
+/**
+ * Texto de una celda: 'All' si todos los autenticados, '-' si nadie
+ */
+function renderCell(entry, operation) {
+  const allowed = ROLES.filter((role) => isAllowed(entry, role.id, operation));
+  let cell;
+  if (allowed.length === 0) {
+    cell = '-';
+  } else if (allowed.length === ALL.length && allowed.every((role) => role.uid)) {
+    cell = 'All';
+  } else {
+    cell = allowed.map((role) => role.label).join(', ');
+  }
+  const note = (entry.notes || {})[operation];
+  return note ? `${cell}${note}` : cell;
+}
+
+/**
+ * Tabla Markdown de la matriz para README.md
+ */
+function renderMarkdownTable() {
+  const header = ['Entidad', 'Get', 'List', 'Create', 'Update', 'Delete'];
+  const lines = [
+    `| ${header.join(' | ')} |`,
+    `|${header.map(() => '---------').join('|')}|`
+  ];
+  for (const entry of MATRIX) {
+    const cells = OPERATIONS.map((operation) => renderCell(entry, operation));
+    lines.push(`| ${entry.label} | ${cells.join(' | ')} |`);
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  ROLES,
+  OPERATIONS,
+  MATRIX,
+  ROLE_EXCEPTIONS,
+  isAllowed,
+  matrixCases,
+  seedDocs,
+  runOperation,
+  defaultPolicies,
+  renderMarkdownTable
+};
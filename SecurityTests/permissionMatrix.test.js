@@ -0,0 +1,87 @@
+/**
+ * AmbuKit - Tests de la Matriz de Permisos
+ *
+ * Comprueban que permissionMatrix.js está completa y que la tabla de
+ * README.md coincide con ella. No necesitan el emulador.
+ *
+ * Ejecutar: npm test
+ */
+
+const fs = require('fs');
+const {
+  ROLES,
+  OPERATIONS,
+  MATRIX,
+  ROLE_EXCEPTIONS,
+  defaultPolicies
+} = require('./permissionMatrix');
+const { RULES_PATH, enclosingFunction } = require('./rulesCoverage');
+const { README_PATH, renderReadme } = require('./scripts/render-matrix');
+
+describe('Permission Matrix Definition', () => {
+  const roleIds = ROLES.map((role) => role.id);
+
+  test.each(MATRIX.map((entry) => [entry.collection, entry]))(
+    '%s define todas las operaciones con roles conocidos',
+    (_collection, entry) => {
+      expect(Object.keys(entry.allow).sort()).toEqual([...OPERATIONS].sort());
+      for (const operation of OPERATIONS) {
+        for (const roleId of entry.allow[operation]) {
+          expect(roleIds).toContain(roleId);
+        }
+      }
+    }
+  );
+
+  test('usuarios no autenticados no tienen ningún permiso', () => {
+    for (const entry of MATRIX) {
+      for (const operation of OPERATIONS) {
+        expect(entry.allow[operation]).not.toContain('anonymous');
+      }
+    }
+  });
+
+  test('get y list coinciden (las policies solo tienen canRead)', () => {
+    for (const entry of MATRIX.filter((e) => !e.rowLevelRead)) {
+      expect(entry.allow.list).toEqual(entry.allow.get);
+    }
+  });
+
+  test('con lectura por documento, list sin filtros no permite más que get', () => {
+    for (const entry of MATRIX.filter((e) => e.rowLevelRead)) {
+      expect(entry.allow.get).toEqual(expect.arrayContaining(entry.allow.list));
+    }
+  });
+
+  test('las policies por defecto cubren cada rol y entidad', () => {
+    const policies = defaultPolicies();
+    const entities = MATRIX.filter((entry) => entry.entity).map((entry) => entry.entity);
+    for (const role of ROLES.filter((r) => r.roleId)) {
+      expect(Object.keys(policies[role.roleId]).sort()).toEqual([...entities].sort());
+    }
+  });
+});
+
+describe('Role Exceptions', () => {
+  test('las únicas comprobaciones de rol de las reglas son las de ROLE_EXCEPTIONS', () => {
+    const source = fs.readFileSync(RULES_PATH, 'utf8');
+    const checks = [...source.matchAll(/\bhasRole\(\s*'(\w+)'\s*\)/g)]
+      .map((match) => ({ function: enclosingFunction(source, match.index), role: match[1] }));
+    expect(checks).toEqual(ROLE_EXCEPTIONS.map((exception) => ({ function: exception.function, role: exception.role })));
+  });
+
+  test('cada excepción de rol explica qué permite y por qué', () => {
+    for (const exception of ROLE_EXCEPTIONS) {
+      expect(exception.allows).toEqual(expect.any(String));
+      expect(exception.reason).toEqual(expect.any(String));
+    }
+  });
+});
+
+describe('README Permission Table', () => {
+  test('README.md contiene la tabla generada por la matriz', () => {
+    const readme = fs.readFileSync(README_PATH, 'utf8');
+    // Si falla: npm run docs:matrix
+    expect(readme).toBe(renderReadme(readme));
+  });
+});
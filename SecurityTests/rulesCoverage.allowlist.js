@@ -0,0 +1,31 @@
+/**
+ * AmbuKit - Excepciones de cobertura de Security Rules
+ *
+ * Expresiones de firestore.rules que pueden quedarse sin cubrir del todo.
+ * Cada entrada necesita un motivo; `gap` limita la excepción a un tipo
+ * de hueco (never-evaluated, only-true, only-false) y `function`, a las
+ * apariciones dentro de esa función de las reglas.
+ *
+ * Mantener esta lista corta: casi siempre es mejor añadir un test.
+ */
+
+module.exports = [
+  // Un literal `false` nunca puede valer true: son las reglas
+  // `allow ...: if false` que cierran a los clientes roles, policies,
+  // auditLogs, alerts, movimientos, auditorías y reservas de codes. Los tests
+  // comprueban que se deniegan; el otro valor no existe.
+  {
+    expression: 'false',
+    gap: 'only-false',
+    reason: 'literal de las reglas `allow ...: if false`: denegación fija, nunca puede ser true'
+  },
+  // hasRole() se llama siempre detrás de hasPermission() o de otra
+  // comprobación que ya exige isAuthenticated(), así que aquí nunca es false.
+  // Se mantiene como defensa por si una regla nueva usa hasRole() sola.
+  {
+    expression: 'isAuthenticated()',
+    gap: 'only-true',
+    function: 'hasRole',
+    reason: 'guardia defensiva: los llamadores actuales ya exigen isAuthenticated()'
+  }
+];
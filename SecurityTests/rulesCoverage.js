@@ -0,0 +1,207 @@
+/**
+ * AmbuKit - Cobertura de Security Rules
+ *
+ * Descarga del emulador de Firestore la cobertura de `firestore.rules`
+ * acumulada durante los tests, guarda los informes JSON y HTML y detecta
+ * las expresiones que la suite no ejercita:
+ *   - never-evaluated: la expresión nunca se evalúa
+ *   - only-true / only-false: una expresión booleana nunca toma el otro valor
+ *
+ * Las excepciones aceptadas viven en rulesCoverage.allowlist.js.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// ============================================================================
+// CONFIGURACIÓN
+// ============================================================================
+
+const PROJECT_ID = 'demo-ambukit';
+const EMULATOR_HOST = '127.0.0.1';
+const EMULATOR_PORT = 8080;
+const RULES_PATH = path.join(__dirname, '..', 'firestore.rules');
+const REPORT_DIR = path.join(__dirname, 'rules-coverage');
+
+/**
+ * URL del endpoint de cobertura del emulador (`.html` para el informe visual)
+ */
+function coverageUrl(format = 'json') {
+  const suffix = format === 'html' ? '.html' : '';
+  return `http://${EMULATOR_HOST}:${EMULATOR_PORT}/emulator/v1/projects/${PROJECT_ID}:ruleCoverage${suffix}`;
+}
+
+// ============================================================================
+// DESCARGA E INFORMES
+// ============================================================================
+
+/**
+ * Descarga la cobertura del emulador. Devuelve { json, html }.
+ */
+async function fetchCoverage() {
+  const [jsonResponse, htmlResponse] = await Promise.all([
+    fetch(coverageUrl('json')),
+    fetch(coverageUrl('html'))
+  ]);
+  if (!jsonResponse.ok || !htmlResponse.ok) {
+    throw new Error(`El emulador no devolvió la cobertura (HTTP ${jsonResponse.status}/${htmlResponse.status})`);
+  }
+  return {
+    json: await jsonResponse.json(),
+    html: await htmlResponse.text()
+  };
+}
+
+/**
+ * Guarda los informes en SecurityTests/rules-coverage/
+ */
+function writeReports({ json, html }, gaps, dir = REPORT_DIR) {
+  fs.mkdirSync(dir, { recursive: true });
+  const jsonPath = path.join(dir, 'firestore-coverage.json');
+  const htmlPath = path.join(dir, 'firestore-coverage.html');
+  fs.writeFileSync(jsonPath, JSON.stringify({ ...json, uncovered: gaps }, null, 2));
+  fs.writeFileSync(htmlPath, html);
+  return { jsonPath, htmlPath };
+}
+
+// ============================================================================
+// ANÁLISIS
+// ============================================================================
+
+/**
+ * Recorre el árbol de ExpressionReport del emulador (nodos con children)
+ */
+function flattenReport(nodes, out = []) {
+  for (const node of nodes || []) {
+    out.push(node);
+    flattenReport(node.children, out);
+  }
+  return out;
+}
+
+/**
+ * Texto de la expresión en el fichero de reglas, sin saltos ni espacios extra
+ */
+function expressionText(source, position) {
+  const start = position.currentOffset;
+  const end = position.endOffset;
+  if (start == null || end == null) {
+    return '';
+  }
+  return source.slice(start, end).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Tipo de hueco de cobertura de una expresión, o null si está cubierta
+ */
+function coverageGap(node) {
+  const values = (node.values || []).filter((entry) => entry.count > 0);
+  if (values.length === 0) {
+    return 'never-evaluated';
+  }
+  const booleans = values
+    .map((entry) => entry.value || {})
+    .filter((value) => typeof value.boolValue === 'boolean')
+    .map((value) => value.boolValue);
+  if (booleans.length === 0) {
+    return null;
+  }
+  if (!booleans.includes(false)) {
+    return 'only-true';
+  }
+  if (!booleans.includes(true)) {
+    return 'only-false';
+  }
+  return null;
+}
+
+/**
+ * Nombre de la función de las reglas que contiene la posición `offset`
+ * (la última `function` declarada antes, si no hay un match o un allow en
+ * medio), o null fuera de las funciones
+ */
+function enclosingFunction(source, offset) {
+  if (offset == null) {
+    return null;
+  }
+  const before = source.slice(0, offset);
+  const declarations = [...before.matchAll(/function\s+(\w+)\s*\(/g)];
+  const last = declarations[declarations.length - 1];
+  if (!last || /\b(match|allow)\s/.test(before.slice(last.index))) {
+    return null;
+  }
+  return last[1];
+}
+
+/**
+ * Indica si la allowlist acepta el hueco de una expresión. Con `function`,
+ * solo dentro de esa función de las reglas
+ */
+function isAllowlisted(gap, allowlist) {
+  return allowlist.find((entry) =>
+    entry.expression === gap.expression
+      && (!entry.gap || entry.gap === gap.gap)
+      && (!entry.function || entry.function === gap.function)
+  );
+}
+
+/**
+ * Expresiones sin cubrir. Devuelve { uncovered, allowlisted, unusedAllowlist }.
+ */
+function analyzeCoverage(coverage, source, allowlist = []) {
+  const uncovered = [];
+  const allowlisted = [];
+  const used = new Set();
+
+  for (const node of flattenReport(coverage.report)) {
+    const gap = coverageGap(node);
+    if (!gap) {
+      continue;
+    }
+    const position = node.sourcePosition || {};
+    const entry = {
+      line: position.line,
+      column: position.column,
+      expression: expressionText(source, position),
+      gap
+    };
+    const match = isAllowlisted(
+      { ...entry, function: enclosingFunction(source, position.currentOffset) },
+      allowlist
+    );
+    if (match) {
+      used.add(match);
+      allowlisted.push(entry);
+    } else {
+      uncovered.push(entry);
+    }
+  }
+
+  return {
+    uncovered,
+    allowlisted,
+    unusedAllowlist: allowlist.filter((entry) => !used.has(entry))
+  };
+}
+
+/**
+ * Resumen legible para la consola
+ */
+function formatGaps(gaps) {
+  return gaps
+    .map((gap) => `  firestore.rules:${gap.line}:${gap.column} [${gap.gap}] ${gap.expression}`)
+    .join('\n');
+}
+
+module.exports = {
+  RULES_PATH,
+  REPORT_DIR,
+  coverageUrl,
+  fetchCoverage,
+  writeReports,
+  flattenReport,
+  coverageGap,
+  enclosingFunction,
+  analyzeCoverage,
+  formatGaps
+};
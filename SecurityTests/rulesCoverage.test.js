@@ -0,0 +1,121 @@
+/**
+ * AmbuKit - Tests del análisis de cobertura de Security Rules
+ *
+ * Usan un informe de cobertura sintético con la forma del que devuelve
+ * el emulador. No necesitan el emulador.
+ *
+ * Ejecutar: npm test
+ */
+
+const { analyzeCoverage, coverageGap, enclosingFunction, flattenReport } = require('./rulesCoverage');
+
+const SOURCE = 'allow read: if isSignedIn() && isActive();\nallow write: if false;';
+
+/**
+ * Nodo de ExpressionReport para el texto `expression` de SOURCE
+ */
+function node(expression, values, children = []) {
+  const offset = SOURCE.indexOf(expression);
+  return {
+    sourcePosition: {
+      line: SOURCE.slice(0, offset).split('\n').length,
+      column: offset - SOURCE.lastIndexOf('\n', offset - 1),
+      currentOffset: offset,
+      endOffset: offset + expression.length
+    },
+    values: values.map(([value, count]) => ({ value, count })),
+    children
+  };
+}
+
+const TRUE = { boolValue: true };
+const FALSE = { boolValue: false };
+
+describe('Rules Coverage Analysis', () => {
+  test('expresión booleana con ambos valores está cubierta', () => {
+    expect(coverageGap(node('isSignedIn()', [[TRUE, 3], [FALSE, 1]]))).toBeNull();
+  });
+
+  test.each([
+    ['never-evaluated', []],
+    ['never-evaluated', [[TRUE, 0]]],
+    ['only-true', [[TRUE, 5]]],
+    ['only-false', [[FALSE, 2]]]
+  ])('detecta %s', (gap, values) => {
+    expect(coverageGap(node('isActive()', values))).toBe(gap);
+  });
+
+  test('expresión no booleana evaluada está cubierta', () => {
+    expect(coverageGap(node('isActive()', [[{ stringValue: 'x' }, 1]]))).toBeNull();
+  });
+
+  test('recorre los children del informe', () => {
+    const report = [node('isSignedIn() && isActive()', [], [node('isSignedIn()', []), node('isActive()', [])])];
+    expect(flattenReport(report)).toHaveLength(3);
+  });
+
+  test('informa línea, columna y texto de cada expresión sin cubrir', () => {
+    const coverage = {
+      report: [
+        node('isSignedIn() && isActive()', [[TRUE, 1], [FALSE, 1]], [
+          node('isSignedIn()', [[TRUE, 2]]),
+          node('isActive()', [[TRUE, 1], [FALSE, 1]])
+        ])
+      ]
+    };
+    const { uncovered } = analyzeCoverage(coverage, SOURCE);
+    expect(uncovered).toEqual([
+      { line: 1, column: 16, expression: 'isSignedIn()', gap: 'only-true' }
+    ]);
+  });
+
+  test('la allowlist acepta la expresión y el tipo de hueco indicados', () => {
+    const coverage = { report: [node('false', [[FALSE, 4]])] };
+    const allowlist = [{ expression: 'false', gap: 'only-false', reason: 'denegación fija' }];
+    const result = analyzeCoverage(coverage, SOURCE, allowlist);
+    expect(result.uncovered).toEqual([]);
+    expect(result.allowlisted).toHaveLength(1);
+    expect(result.unusedAllowlist).toEqual([]);
+  });
+
+  test('la allowlist no acepta otro tipo de hueco', () => {
+    const coverage = { report: [node('false', [])] };
+    const allowlist = [{ expression: 'false', gap: 'only-false', reason: 'denegación fija' }];
+    const result = analyzeCoverage(coverage, SOURCE, allowlist);
+    expect(result.uncovered).toHaveLength(1);
+    expect(result.unusedAllowlist).toEqual(allowlist);
+  });
+
+  test('la allowlist con function solo acepta la expresión dentro de esa función', () => {
+    const source = [
+      'function hasRole(kind) {',
+      '  return isSignedIn() && kind == "x";',
+      '}',
+      'allow read: if isSignedIn();'
+    ].join('\n');
+    const at = (index) => {
+      const offset = index === 0 ? source.indexOf('isSignedIn()') : source.lastIndexOf('isSignedIn()');
+      return {
+        sourcePosition: { line: index === 0 ? 2 : 4, column: 1, currentOffset: offset, endOffset: offset + 12 },
+        values: [{ value: TRUE, count: 1 }]
+      };
+    };
+    const allowlist = [{ expression: 'isSignedIn()', gap: 'only-true', function: 'hasRole', reason: 'guardia' }];
+    const result = analyzeCoverage({ report: [at(0), at(1)] }, source, allowlist);
+    expect(result.allowlisted.map((gap) => gap.line)).toEqual([2]);
+    expect(result.uncovered.map((gap) => gap.line)).toEqual([4]);
+  });
+
+  test('enclosingFunction ignora las reglas que siguen a una función', () => {
+    const source = 'function f() {\n  return true;\n}\nmatch /x/{id} {\n  allow read: if g();\n}';
+    expect(enclosingFunction(source, source.indexOf('true'))).toBe('f');
+    expect(enclosingFunction(source, source.indexOf('g()'))).toBeNull();
+  });
+
+  test('cada entrada de la allowlist del repo tiene motivo', () => {
+    for (const entry of require('./rulesCoverage.allowlist')) {
+      expect(entry.expression).toEqual(expect.any(String));
+      expect(entry.reason).toEqual(expect.any(String));
+    }
+  });
+});
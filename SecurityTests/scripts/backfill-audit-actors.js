@@ -0,0 +1,95 @@
+/**
+ * AmbuKit - Backfill de actorUid en auditLogs
+ *
+ * Añade actorUid a los logs que solo llevan actorUsername, buscando el uid
+ * en users. Se ejecuta una vez por proyecto, justo después de desplegar las
+ * reglas que leen los logs propios por actorUid: cuanto más tarde, más
+ * usernames pueden haber cambiado.
+ *
+ * Sin --apply solo muestra el plan.
+ *
+ * Ejecutar (credenciales de gcloud con acceso al proyecto):
+ *   npm run backfill:audit-actors -- --project <id>           # plan
+ *   npm run backfill:audit-actors -- --project <id> --apply   # escribe
+ * Con FIRESTORE_EMULATOR_HOST definida trabaja contra el emulador.
+ */
+
+const { initializeApp, deleteApp } = require('firebase-admin/app');
+const { getFirestore } = require('firebase-admin/firestore');
+const { planActorBackfill, formatActorPlan } = require('../auditBackfill');
+
+/**
+ * Máximo de operaciones por batch de Firestore
+ */
+const BATCH_SIZE = 500;
+
+/**
+ * Valor de `--name <valor>` en la línea de comandos
+ */
+function argValue(name) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index === -1 ? undefined : process.argv[index + 1];
+}
+
+/**
+ * Lee { id, actorUid, actorUsername } de cada log y { id, username } de
+ * cada usuario
+ */
+async function readState(db) {
+  const logSnapshot = await db.collection('auditLogs').select('actorUid', 'actorUsername').get();
+  const logs = logSnapshot.docs.map((doc) => ({
+    id: doc.id,
+    actorUid: doc.get('actorUid'),
+    actorUsername: doc.get('actorUsername')
+  }));
+  const userSnapshot = await db.collection('users').select('username').get();
+  const users = userSnapshot.docs.map((doc) => ({ id: doc.id, username: doc.get('username') }));
+  return { logs, users };
+}
+
+/**
+ * Escribe los actorUid en batches. Los logs son inmutables para el cliente,
+ * así que solo el Admin SDK puede completarlos
+ */
+async function writeActors(db, updates) {
+  for (let start = 0; start < updates.length; start += BATCH_SIZE) {
+    const batch = db.batch();
+    for (const { id, actorUid } of updates.slice(start, start + BATCH_SIZE)) {
+      batch.update(db.collection('auditLogs').doc(id), { actorUid });
+    }
+    await batch.commit();
+  }
+}
+
+async function main() {
+  const projectId = argValue('project') || process.env.GCLOUD_PROJECT;
+  if (!projectId) {
+    throw new Error('Falta --project <id>');
+  }
+  const app = initializeApp({ projectId }, 'backfill-audit-actors');
+  try {
+    const db = getFirestore(app);
+    const { logs, users } = await readState(db);
+    const plan = planActorBackfill(logs, users);
+    console.log(formatActorPlan(plan));
+
+    if (!process.argv.includes('--apply')) {
+      console.log('Sin --apply: no se ha escrito nada');
+      return;
+    }
+    await writeActors(db, plan.updates);
+    console.log(`✅ ${plan.updates.length} logs completados en ${projectId}`);
+    if (plan.unknown.length > 0) {
+      process.exitCode = 1;
+    }
+  } finally {
+    await deleteApp(app);
+  }
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(`❌ No se pudo completar el backfill: ${error.message}`);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,103 @@
+/**
+ * AmbuKit - Backfill de reservas de códigos únicos
+ *
+ * Crea codes/{collection}_{code} para los documentos de bases, kits,
+ * catalogItems, categories y users (su username) que se guardaron antes de
+ * las reservas. Se
+ * ejecuta una vez por proyecto, después de desplegar las reglas que las
+ * exigen y antes de que la app borre o cambie el code de esos documentos.
+ *
+ * Sin --apply solo muestra el plan. Los codes repetidos se informan y no
+ * se reservan: hay que corregirlos a mano y volver a ejecutarlo.
+ *
+ * Ejecutar (credenciales de gcloud con acceso al proyecto):
+ *   npm run backfill:codes -- --project <id>           # plan
+ *   npm run backfill:codes -- --project <id> --apply   # escribe
+ * Con FIRESTORE_EMULATOR_HOST definida trabaja contra el emulador.
+ */
+
+const { initializeApp, deleteApp } = require('firebase-admin/app');
+const { getFirestore, FieldValue } = require('firebase-admin/firestore');
+const { CODED_COLLECTIONS, codeField } = require('../codes');
+const { planBackfill, formatPlan } = require('../codeBackfill');
+
+/**
+ * Máximo de operaciones por batch de Firestore
+ */
+const BATCH_SIZE = 500;
+
+/**
+ * Valor de `--name <valor>` en la línea de comandos
+ */
+function argValue(name) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index === -1 ? undefined : process.argv[index + 1];
+}
+
+/**
+ * Lee { id, code } de cada documento con code (el username en users) y las
+ * reservas existentes
+ */
+async function readState(db) {
+  const documents = {};
+  for (const collection of CODED_COLLECTIONS) {
+    const field = codeField(collection);
+    const snapshot = await db.collection(collection).select(field).get();
+    documents[collection] = snapshot.docs.map((doc) => ({ id: doc.id, code: doc.get(field) }));
+  }
+  const codes = await db.collection('codes').get();
+  const reservations = codes.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+  return { documents, reservations };
+}
+
+/**
+ * Crea las reservas en batches. `create` falla si la reserva apareció
+ * después de leer (la ha hecho la app): basta con volver a ejecutar
+ */
+async function writeReservations(db, missing) {
+  for (let start = 0; start < missing.length; start += BATCH_SIZE) {
+    const batch = db.batch();
+    for (const { id, collection, code, docId } of missing.slice(start, start + BATCH_SIZE)) {
+      batch.create(db.collection('codes').doc(id), {
+        collection,
+        code,
+        docId,
+        createdAt: FieldValue.serverTimestamp()
+      });
+    }
+    await batch.commit();
+  }
+}
+
+async function main() {
+  const projectId = argValue('project') || process.env.GCLOUD_PROJECT;
+  if (!projectId) {
+    throw new Error('Falta --project <id>');
+  }
+  const app = initializeApp({ projectId }, 'backfill-codes');
+  try {
+    const db = getFirestore(app);
+    const { documents, reservations } = await readState(db);
+    const plan = planBackfill(documents, reservations);
+    console.log(formatPlan(plan));
+
+    if (!process.argv.includes('--apply')) {
+      console.log('Sin --apply: no se ha escrito nada');
+      return;
+    }
+    await writeReservations(db, plan.missing);
+    console.log(`✅ ${plan.missing.length} reservas creadas en ${projectId}`);
+    if (plan.conflicts.length > 0 || plan.invalid.length > 0) {
+      process.exitCode = 1;
+    }
+  } finally {
+    await deleteApp(app);
+  }
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(`❌ No se pudo completar el backfill: ${error.message}`);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,38 @@
+/**
+ * AmbuKit - Regenera la tabla de permisos de README.md
+ *
+ * Sustituye el bloque entre los marcadores `permission-matrix` por la
+ * tabla que genera permissionMatrix.js.
+ *
+ * Ejecutar: npm run docs:matrix
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { renderMarkdownTable } = require('../permissionMatrix');
+
+const README_PATH = path.join(__dirname, '..', 'README.md');
+const START_MARKER = '<!-- permission-matrix:start -->';
+const END_MARKER = '<!-- permission-matrix:end -->';
+
+/**
+ * Devuelve el README con la tabla de la matriz actualizada
+ */
+function renderReadme(readme) {
+  const start = readme.indexOf(START_MARKER);
+  const end = readme.indexOf(END_MARKER);
+  if (start === -1 || end === -1 || end < start) {
+    throw new Error(`README.md no contiene los marcadores ${START_MARKER} / ${END_MARKER}`);
+  }
+  return readme.slice(0, start + START_MARKER.length)
+    + '\n' + renderMarkdownTable() + '\n'
+    + readme.slice(end);
+}
+
+if (require.main === module) {
+  const readme = fs.readFileSync(README_PATH, 'utf8');
+  fs.writeFileSync(README_PATH, renderReadme(readme));
+  console.log('✅ Tabla de permisos actualizada en README.md');
+}
+
+module.exports = { README_PATH, renderReadme };
@@ -0,0 +1,77 @@
+/**
+ * AmbuKit - Informe de cobertura de Security Rules
+ *
+ * Se ejecuta como globalTeardown de Jest (y con npm run coverage:rules):
+ * guarda los informes en rules-coverage/ y falla si alguna expresión de
+ * firestore.rules no se evalúa o no toma ambos valores, salvo las de
+ * rulesCoverage.allowlist.js.
+ *
+ * Con un filtro de tests (npm test -- kits) solo se guardan los informes:
+ * una ejecución parcial nunca cubre todas las reglas.
+ */
+
+const fs = require('fs');
+const {
+  RULES_PATH,
+  fetchCoverage,
+  writeReports,
+  analyzeCoverage,
+  formatGaps
+} = require('../rulesCoverage');
+const allowlist = require('../rulesCoverage.allowlist');
+
+/**
+ * Indica si la ejecución de Jest incluye toda la suite
+ */
+function isFullRun(globalConfig) {
+  if (!globalConfig) {
+    return true;
+  }
+  return !globalConfig.testPathPattern && !globalConfig.testNamePattern && !globalConfig.onlyChanged;
+}
+
+async function rulesCoverage(globalConfig) {
+  let coverage;
+  try {
+    coverage = await fetchCoverage();
+  } catch (error) {
+    // En CI la suite completa necesita el emulador: sin cobertura, falla
+    if (process.env.CI && isFullRun(globalConfig)) {
+      throw new Error(`❌ Sin cobertura de reglas (¿emulador parado?): ${error.message}`);
+    }
+    console.warn(`\n⚠️  Sin cobertura de reglas (¿emulador parado?): ${error.message}`);
+    return;
+  }
+
+  const source = fs.readFileSync(RULES_PATH, 'utf8');
+  const { uncovered, allowlisted, unusedAllowlist } = analyzeCoverage(coverage.json, source, allowlist);
+  const { jsonPath, htmlPath } = writeReports(coverage, uncovered);
+
+  console.log(`\n📊 Cobertura de reglas: ${htmlPath}`);
+  console.log(`   JSON: ${jsonPath}`);
+  if (allowlisted.length > 0) {
+    console.log(`   ${allowlisted.length} expresiones aceptadas por la allowlist`);
+  }
+  for (const entry of unusedAllowlist) {
+    console.warn(`⚠️  Entrada de allowlist sin uso: ${entry.expression}`);
+  }
+
+  if (!isFullRun(globalConfig)) {
+    return;
+  }
+  if (uncovered.length > 0) {
+    throw new Error(
+      `❌ ${uncovered.length} expresiones de firestore.rules sin cubrir:\n${formatGaps(uncovered)}`
+    );
+  }
+  console.log('✅ Todas las expresiones de firestore.rules están cubiertas');
+}
+
+if (require.main === module) {
+  rulesCoverage().catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = rulesCoverage;
@@ -0,0 +1,78 @@
+/**
+ * AmbuKit - Carga el escenario semilla en los emuladores locales
+ *
+ * Vacía Firestore, guarda fullScenario (seedScenario.js) y crea en el
+ * emulador de Auth una cuenta por usuario de prueba con el mismo uid que
+ * su documento users/{uid}, para poder entrar desde la app iOS.
+ *
+ * Ejecutar: npm run seed:emulator (con los emuladores corriendo)
+ */
+
+process.env.FIRESTORE_EMULATOR_HOST = process.env.FIRESTORE_EMULATOR_HOST || '127.0.0.1:8080';
+process.env.FIREBASE_AUTH_EMULATOR_HOST = process.env.FIREBASE_AUTH_EMULATOR_HOST || '127.0.0.1:9099';
+
+const { initializeApp, deleteApp } = require('firebase-admin/app');
+const { getFirestore } = require('firebase-admin/firestore');
+const { getAuth } = require('firebase-admin/auth');
+const { fullScenario, loadScenario } = require('../seedScenario');
+
+const PROJECT_ID = 'demo-ambukit';
+
+/**
+ * Contraseña de todas las cuentas de prueba (solo emulador)
+ */
+const SEED_PASSWORD = 'ambukit123';
+
+/**
+ * Vacía la base de datos del emulador
+ */
+async function clearFirestore() {
+  const url = `http://${process.env.FIRESTORE_EMULATOR_HOST}/emulator/v1/projects/${PROJECT_ID}/databases/(default)/documents`;
+  const response = await fetch(url, { method: 'DELETE' });
+  if (!response.ok) {
+    throw new Error(`No se pudo vaciar el emulador (HTTP ${response.status})`);
+  }
+}
+
+/**
+ * Crea (o actualiza) la cuenta de Auth de cada usuario { uid: { email, fullName } }
+ * con la contraseña SEED_PASSWORD
+ */
+async function seedAuthAccounts(auth, users) {
+  for (const [uid, user] of Object.entries(users)) {
+    const account = { email: user.email, password: SEED_PASSWORD, displayName: user.fullName };
+    try {
+      await auth.updateUser(uid, account);
+    } catch (error) {
+      if (error.code !== 'auth/user-not-found') {
+        throw error;
+      }
+      await auth.createUser({ uid, ...account });
+    }
+  }
+}
+
+async function main() {
+  const app = initializeApp({ projectId: PROJECT_ID }, 'seed-emulator');
+  try {
+    const scenario = fullScenario();
+
+    await clearFirestore();
+    const count = await loadScenario(getFirestore(app), scenario);
+    console.log(`✅ ${count} documentos cargados en Firestore (${process.env.FIRESTORE_EMULATOR_HOST})`);
+
+    await seedAuthAccounts(getAuth(app), scenario.users);
+    console.log(`✅ ${Object.keys(scenario.users).length} cuentas en Auth (${process.env.FIREBASE_AUTH_EMULATOR_HOST}), contraseña: ${SEED_PASSWORD}`);
+  } finally {
+    await deleteApp(app);
+  }
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(`❌ No se pudo cargar el escenario: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { SEED_PASSWORD, seedAuthAccounts };
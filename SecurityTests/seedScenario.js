@@ -0,0 +1,281 @@
+/**
+ * AmbuKit - Escenario de datos semilla
+ *
+ * Equivalente JS de SeedDataFirebase.swift: roles, policies, usuarios,
+ * catálogo, bases, vehículos, kits SVB/SVA y sus items. Se usa en:
+ *   - `setupTestData()` de firestore.test.js (coreScenario)
+ *   - `npm run seed:emulator`, que carga fullScenario en el emulador para
+ *     que la app iOS y los tests de reglas trabajen con los mismos datos
+ *
+ * Un escenario es { colección: { docId: data } }. Las listas de hijos
+ * (`vehicleIds`, `kitIds`, `itemIds`, `kitItemIds`) se rellenan a partir de las claves
+ * foráneas, igual que hacen los triggers de functions/relationships.js.
+ * Las reservas de `codes` se generan a partir de los documentos con code.
+ * Los documentos llevan fechas fijas en createdAt/updatedAt en vez de los
+ * timestamps del servidor de los fixtures.
+ */
+
+const {
+  TEST_ROLES,
+  TEST_USERS,
+  baseData,
+  vehicleData,
+  kitData,
+  kitItemData,
+  catalogItemData,
+  categoryData,
+  unitOfMeasureData,
+  userData,
+  policyData,
+  codeReservationData
+} = require('./fixtures');
+const { CODED_COLLECTIONS, codeField, codeId } = require('./codes');
+const { defaultPolicies } = require('./permissionMatrix');
+
+// ============================================================================
+// CONFIGURACIÓN
+// ============================================================================
+
+/**
+ * Orden de carga: cada colección solo referencia a las anteriores
+ */
+const SCENARIO_ORDER = [
+  'roles',
+  'policies',
+  'categories',
+  'unitOfMeasures',
+  'catalogItems',
+  'bases',
+  'users',
+  'vehicles',
+  'kits',
+  'kitItems',
+  'codes'
+];
+
+/**
+ * Relaciones hijo → lista del padre. Son las RELATIONSHIPS de
+ * functions/relationships.js; seedScenario.test.js comprueba que coinciden.
+ */
+const CHILD_LISTS = [
+  { child: 'vehicles', foreignKey: 'baseId', parent: 'bases', listField: 'vehicleIds' },
+  { child: 'kits', foreignKey: 'vehicleId', parent: 'vehicles', listField: 'kitIds' },
+  { child: 'kitItems', foreignKey: 'kitId', parent: 'kits', listField: 'itemIds' },
+  { child: 'kitItems', foreignKey: 'catalogItemId', parent: 'catalogItems', listField: 'kitItemIds' }
+];
+
+/**
+ * Máximo de operaciones por batch de Firestore
+ */
+const BATCH_SIZE = 500;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Rellena las listas de hijos de cada padre a partir de las claves foráneas
+ */
+function linkChildren(scenario) {
+  for (const { child, foreignKey, parent, listField } of CHILD_LISTS) {
+    const parents = scenario[parent] || {};
+    for (const data of Object.values(parents)) {
+      data[listField] = [];
+    }
+    for (const [childId, data] of Object.entries(scenario[child] || {})) {
+      const parentId = data[foreignKey];
+      if (parentId && parents[parentId]) {
+        parents[parentId][listField].push(childId);
+      }
+    }
+  }
+  return scenario;
+}
+
+/**
+ * Genera codes/{collection}_{code} para cada documento con code único
+ */
+function withCodes(scenario) {
+  scenario.codes = {};
+  for (const collection of CODED_COLLECTIONS) {
+    for (const [docId, data] of Object.entries(scenario[collection] || {})) {
+      const code = data[codeField(collection)];
+      scenario.codes[codeId(collection, code)] = codeReservationData(collection, code, docId);
+    }
+  }
+  return scenario;
+}
+
+/**
+ * Pone `now` en createdAt/updatedAt de todos los documentos. El escenario se
+ * carga saltándose las reglas, también con el Admin SDK, que no admite los
+ * serverTimestamp() del SDK cliente de los fixtures
+ */
+function withDates(scenario, now) {
+  for (const docs of Object.values(scenario)) {
+    for (const data of Object.values(docs)) {
+      for (const field of ['createdAt', 'updatedAt']) {
+        if (field in data) {
+          data[field] = now;
+        }
+      }
+    }
+  }
+  return scenario;
+}
+
+/**
+ * Roles, policies (de la matriz de permisos) y usuarios de prueba
+ */
+function accessControl() {
+  const policies = {};
+  for (const [roleId, entities] of Object.entries(defaultPolicies())) {
+    for (const [entity, flags] of Object.entries(entities)) {
+      policies[`${roleId}_${entity}`] = policyData(roleId, entity, flags);
+    }
+  }
+
+  const users = {};
+  for (const [uid, user] of Object.entries(TEST_USERS)) {
+    users[uid] = userData({ uid, ...user });
+  }
+
+  return { roles: { ...TEST_ROLES }, policies, users };
+}
+
+// ============================================================================
+// ESCENARIOS
+// ============================================================================
+
+/**
+ * Escenario mínimo de los tests de reglas: control de acceso y el inventario
+ * al que apuntan las referencias por defecto de los fixtures
+ * (base_bilbao → amb_001 → kit_trauma, más cat_adrenalina)
+ */
+function coreScenario(now = new Date()) {
+  return withDates(withCodes(linkChildren({
+    ...accessControl(),
+    catalogItems: { cat_adrenalina: catalogItemData() },
+    bases: { base_bilbao: baseData() },
+    vehicles: { amb_001: vehicleData() },
+    kits: { kit_trauma: kitData() }
+  })), now);
+}
+
+/**
+ * Escenario completo equivalente a SeedDataFirebase: dos bases con sus
+ * ambulancias, un kit SVA, dos SVB y uno sin asignar, y stock con casos
+ * de stock bajo, exceso y caducidad para las alertas.
+ * Las caducidades y las fechas de alta son relativas a `now`.
+ */
+function fullScenario(now = new Date()) {
+  const inDays = (days) => new Date(now.getTime() + days * DAY_MS);
+  const scenario = coreScenario(now);
+
+  scenario.categories = {
+    cat_farmacia: categoryData(),
+    cat_curas: categoryData({ code: 'CURAS', name: 'Material de Curas', icon: 'bandage.fill' }),
+    cat_via_aerea: categoryData({ code: 'VIA', name: 'Vía Aérea', icon: 'lungs.fill' }),
+    cat_inmovilizacion: categoryData({ code: 'INMOV', name: 'Inmovilización', icon: 'figure.stand' })
+  };
+
+  scenario.unitOfMeasures = {
+    uom_u: unitOfMeasureData({ symbol: 'u', name: 'unidad' }),
+    uom_ml: unitOfMeasureData(),
+    uom_mg: unitOfMeasureData({ symbol: 'mg', name: 'miligramo' }),
+    uom_pza: unitOfMeasureData({ symbol: 'pza', name: 'pieza' })
+  };
+
+  scenario.catalogItems = {
+    cat_adrenalina: catalogItemData({
+      itemDescription: 'Ampolla de adrenalina 1mg/1ml',
+      minStock: 5,
+      maxStock: 20,
+      categoryId: 'cat_farmacia',
+      uomId: 'uom_u'
+    }),
+    cat_amiodarona: catalogItemData({ code: 'AMI001', name: 'Amiodarona 150mg', categoryId: 'cat_farmacia', uomId: 'uom_u' }),
+    cat_suero: catalogItemData({ code: 'SUE001', name: 'Suero Fisiológico 500ml', critical: false, categoryId: 'cat_farmacia', uomId: 'uom_ml' }),
+    cat_gasas: catalogItemData({ code: 'GAS001', name: 'Gasas Estériles', critical: false, categoryId: 'cat_curas', uomId: 'uom_pza' }),
+    cat_venda: catalogItemData({ code: 'VEN001', name: 'Venda Elástica 10cm', critical: false, categoryId: 'cat_curas', uomId: 'uom_u' }),
+    cat_guedel: catalogItemData({ code: 'GUE001', name: 'Cánula Guedel', categoryId: 'cat_via_aerea', uomId: 'uom_u' }),
+    cat_collarin: catalogItemData({ code: 'COL001', name: 'Collarín Cervical', critical: false, categoryId: 'cat_inmovilizacion', uomId: 'uom_u' })
+  };
+
+  scenario.bases = {
+    base_bilbao: baseData(),
+    base_vitoria: baseData({ code: 'VIT001', name: 'Base Vitoria', address: 'Calle Portal de Castilla 2, Vitoria-Gasteiz' })
+  };
+
+  scenario.vehicles = {
+    amb_001: vehicleData(),
+    amb_002: vehicleData({ code: 'AMB002', plate: '5678-XYZ', type: 'SVB' }),
+    amb_vit: vehicleData({ code: 'AMB003', plate: '9012-VIT', type: 'SVB', baseId: 'base_vitoria' })
+  };
+
+  scenario.kits = {
+    kit_trauma: kitData({ lastAudit: inDays(-10) }),
+    kit_svb_bilbao: kitData({ code: 'KIT002', name: 'Kit SVB Bilbao', type: 'SVB', vehicleId: 'amb_002' }),
+    kit_vit: kitData({ code: 'KIT003', name: 'Kit SVB Vitoria', type: 'SVB', vehicleId: 'amb_vit' }),
+    kit_almacen: kitData({ code: 'KIT004', name: 'Kit Reserva', type: 'SVAe', status: 'maintenance', vehicleId: null })
+  };
+
+  scenario.kitItems = {
+    // kit_trauma (SVA): stock bajo de adrenalina y amiodarona a punto de caducar
+    item_adrenalina: kitItemData({ quantity: 3, lot: 'L-ADR-2501', expiry: inDays(180) }),
+    item_amiodarona: kitItemData({ catalogItemId: 'cat_amiodarona', quantity: 4, min: 2, max: 6, lot: 'L-AMI-2502', expiry: inDays(15) }),
+    item_suero: kitItemData({ catalogItemId: 'cat_suero', quantity: 6, min: 4, max: 10 }),
+    item_guedel: kitItemData({ catalogItemId: 'cat_guedel', quantity: 3, min: 3, max: 5 }),
+
+    // kit_svb_bilbao (SVB): exceso de gasas
+    item_gasas_bilbao: kitItemData({ kitId: 'kit_svb_bilbao', catalogItemId: 'cat_gasas', quantity: 60, min: 20, max: 50 }),
+    item_venda_bilbao: kitItemData({ kitId: 'kit_svb_bilbao', catalogItemId: 'cat_venda', quantity: 8, min: 4, max: 12 }),
+    item_collarin_bilbao: kitItemData({ kitId: 'kit_svb_bilbao', catalogItemId: 'cat_collarin', quantity: 2, min: 2, notes: 'Tallas M y L' }),
+
+    // kit_vit (SVB): suero caducado
+    item_suero_vit: kitItemData({ kitId: 'kit_vit', catalogItemId: 'cat_suero', quantity: 5, min: 4, max: 10, lot: 'L-SUE-2412', expiry: inDays(-5) }),
+    item_gasas_vit: kitItemData({ kitId: 'kit_vit', catalogItemId: 'cat_gasas', quantity: 30, min: 20, max: 50 }),
+
+    // kit_almacen (sin vehículo)
+    item_adrenalina_almacen: kitItemData({ kitId: 'kit_almacen', quantity: 10, min: 5, max: 20, expiry: inDays(365) })
+  };
+
+  return withDates(withCodes(linkChildren(scenario)), now);
+}
+
+// ============================================================================
+// CARGA
+// ============================================================================
+
+/**
+ * Guarda un escenario en Firestore en el orden de SCENARIO_ORDER.
+ * `db` puede ser el Firestore del Admin SDK o el de
+ * withSecurityRulesDisabled (ambos tienen batch/collection/doc).
+ */
+async function loadScenario(db, scenario) {
+  const writes = [];
+  for (const collection of SCENARIO_ORDER) {
+    for (const [id, data] of Object.entries(scenario[collection] || {})) {
+      writes.push({ ref: db.collection(collection).doc(id), data });
+    }
+  }
+  for (let start = 0; start < writes.length; start += BATCH_SIZE) {
+    const batch = db.batch();
+    for (const { ref, data } of writes.slice(start, start + BATCH_SIZE)) {
+      batch.set(ref, data);
+    }
+    await batch.commit();
+  }
+  return writes.length;
+}
+
+module.exports = {
+  SCENARIO_ORDER,
+  CHILD_LISTS,
+  linkChildren,
+  coreScenario,
+  fullScenario,
+  loadScenario
+};
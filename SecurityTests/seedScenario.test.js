@@ -0,0 +1,171 @@
+/**
+ * AmbuKit - Tests del escenario semilla
+ *
+ * Comprueban que seedScenario.js es coherente: claves foráneas que
+ * apuntan a documentos del escenario, listas de hijos al día y códigos
+ * únicos. No necesitan el emulador.
+ *
+ * Ejecutar: npm test
+ */
+
+const {
+  SCENARIO_ORDER,
+  CHILD_LISTS,
+  linkChildren,
+  coreScenario,
+  fullScenario
+} = require('./seedScenario');
+const { defaultPolicies } = require('./permissionMatrix');
+const { RELATIONSHIPS } = require('../functions/relationships');
+const { CODED_COLLECTIONS, codeField, codeId } = require('./codes');
+
+const NOW = new Date('2025-12-01T10:00:00.000Z');
+
+/**
+ * Claves foráneas de cada colección: campo → colección referenciada
+ */
+const FOREIGN_KEYS = {
+  users: { roleId: 'roles', baseId: 'bases' },
+  policies: { roleId: 'roles' },
+  catalogItems: { categoryId: 'categories', uomId: 'unitOfMeasures' },
+  vehicles: { baseId: 'bases' },
+  kits: { vehicleId: 'vehicles' },
+  kitItems: { kitId: 'kits', catalogItemId: 'catalogItems' }
+};
+
+/**
+ * Campo con el código único de cada colección
+ */
+const UNIQUE_CODES = {
+  bases: 'code',
+  vehicles: 'code',
+  kits: 'code',
+  catalogItems: 'code',
+  categories: 'code',
+  unitOfMeasures: 'symbol',
+  users: 'username'
+};
+
+describe.each([
+  ['coreScenario', coreScenario()],
+  ['fullScenario', fullScenario(NOW)]
+])('%s', (_name, scenario) => {
+  test('solo usa colecciones de SCENARIO_ORDER', () => {
+    for (const collection of Object.keys(scenario)) {
+      expect(SCENARIO_ORDER).toContain(collection);
+    }
+  });
+
+  test('las claves foráneas apuntan a documentos del escenario', () => {
+    for (const [collection, foreignKeys] of Object.entries(FOREIGN_KEYS)) {
+      for (const [id, data] of Object.entries(scenario[collection] || {})) {
+        for (const [field, target] of Object.entries(foreignKeys)) {
+          if (data[field] != null) {
+            expect({ doc: `${collection}/${id}`, [field]: Object.keys(scenario[target] || {}).includes(data[field]) })
+              .toEqual({ doc: `${collection}/${id}`, [field]: true });
+          }
+        }
+      }
+    }
+  });
+
+  test('las colecciones se cargan después de las que referencian', () => {
+    for (const [collection, foreignKeys] of Object.entries(FOREIGN_KEYS)) {
+      for (const target of Object.values(foreignKeys)) {
+        expect(SCENARIO_ORDER.indexOf(target)).toBeLessThan(SCENARIO_ORDER.indexOf(collection));
+      }
+    }
+  });
+
+  test('los códigos son únicos en cada colección', () => {
+    for (const [collection, field] of Object.entries(UNIQUE_CODES)) {
+      const codes = Object.values(scenario[collection] || {}).map((data) => data[field]);
+      expect(new Set(codes).size).toBe(codes.length);
+    }
+  });
+
+  test('las policies son las de la matriz de permisos', () => {
+    for (const [roleId, entities] of Object.entries(defaultPolicies())) {
+      for (const entity of Object.keys(entities)) {
+        expect(scenario.policies[`${roleId}_${entity}`]).toMatchObject({ roleId, entityRaw: entity });
+      }
+    }
+  });
+
+  test('las fechas son Date (el Admin SDK no admite serverTimestamp del cliente)', () => {
+    for (const docs of Object.values(scenario)) {
+      for (const data of Object.values(docs)) {
+        for (const field of ['createdAt', 'updatedAt']) {
+          if (field in data) {
+            expect(data[field]).toBeInstanceOf(Date);
+          }
+        }
+      }
+    }
+  });
+
+  test('cada documento con code tiene su reserva en codes y no sobran reservas', () => {
+    const expected = CODED_COLLECTIONS.flatMap((collection) =>
+      Object.entries(scenario[collection] || {}).map(([docId, data]) => {
+        const code = data[codeField(collection)];
+        return [codeId(collection, code), { collection, code, docId }];
+      })
+    );
+    expect(Object.keys(scenario.codes).sort()).toEqual(expected.map(([id]) => id).sort());
+    for (const [id, reservation] of expected) {
+      expect(scenario.codes[id]).toMatchObject(reservation);
+    }
+  });
+
+  test('cada usuario guarda su uid', () => {
+    for (const [uid, user] of Object.entries(scenario.users)) {
+      expect(user.uid).toBe(uid);
+    }
+  });
+});
+
+describe('fullScenario', () => {
+  const scenario = fullScenario(NOW);
+
+  test('las listas de hijos coinciden con las claves foráneas', () => {
+    expect(scenario.bases.base_bilbao.vehicleIds).toEqual(['amb_001', 'amb_002']);
+    expect(scenario.bases.base_vitoria.vehicleIds).toEqual(['amb_vit']);
+    expect(scenario.vehicles.amb_001.kitIds).toEqual(['kit_trauma']);
+    expect(scenario.kits.kit_trauma.itemIds).toEqual([
+      'item_adrenalina', 'item_amiodarona', 'item_suero', 'item_guedel'
+    ]);
+    expect(scenario.kits.kit_almacen.itemIds).toEqual(['item_adrenalina_almacen']);
+    expect(scenario.catalogItems.cat_suero.kitItemIds).toEqual(['item_suero', 'item_suero_vit']);
+  });
+
+  test('incluye kits SVA y SVB y uno sin vehículo', () => {
+    const kits = Object.values(scenario.kits);
+    expect(kits.map((kit) => kit.type)).toEqual(expect.arrayContaining(['SVA', 'SVB']));
+    expect(kits.filter((kit) => kit.vehicleId == null)).toHaveLength(1);
+  });
+
+  test('incluye stock bajo, exceso, caducados y próximos a caducar', () => {
+    const items = Object.values(scenario.kitItems);
+    const days = (item) => (item.expiry - NOW) / (24 * 60 * 60 * 1000);
+    expect(items.some((item) => item.quantity < item.min)).toBe(true);
+    expect(items.some((item) => item.max != null && item.quantity > item.max)).toBe(true);
+    expect(items.some((item) => item.expiry && days(item) < 0)).toBe(true);
+    expect(items.some((item) => item.expiry && days(item) >= 0 && days(item) <= 30)).toBe(true);
+  });
+});
+
+describe('linkChildren', () => {
+  test('ignora hijos cuyo padre no está en el escenario', () => {
+    const scenario = linkChildren({
+      kits: { kit_a: { itemIds: ['viejo'] } },
+      kitItems: { item_a: { kitId: 'kit_a' }, item_b: { kitId: 'kit_fantasma' } }
+    });
+    expect(scenario.kits.kit_a.itemIds).toEqual(['item_a']);
+  });
+});
+
+describe('CHILD_LISTS', () => {
+  test('son las relaciones que mantienen las Cloud Functions', () => {
+    expect(CHILD_LISTS).toEqual(Object.values(RELATIONSHIPS));
+  });
+});
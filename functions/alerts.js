@@ -0,0 +1,237 @@
+/**
+ * AmbuKit - Alertas de stock y caducidad
+ *
+ * Calcula en servidor lo mismo que KitService.getLowStockItems,
+ * getExpiringItems y getExpiredItems, con la lógica de KitItemFS
+ * (stockStatus, isExpiringSoon, isExpired), y lo guarda resumido en
+ * la colección `alerts`:
+ *   - alerts/kit_{kitId}: items de un kit
+ *   - alerts/base_{baseId}: kits de los vehículos de una base
+ *
+ * Los clientes solo leen `alerts` (ver firestore.rules).
+ */
+
+// ============================================================================
+// CONFIGURACIÓN
+// ============================================================================
+
+const ALERTS_COLLECTION = 'alerts';
+
+/**
+ * Días de margen de KitItemFS.isExpiringSoon
+ */
+const EXPIRING_SOON_DAYS = 30;
+
+/**
+ * Límite de escrituras de un batch de Firestore
+ */
+const BATCH_SIZE = 500;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ============================================================================
+// CLASIFICACIÓN (KitItemFS)
+// ============================================================================
+
+/**
+ * Timestamp de Firestore o Date → Date (null si no hay valor)
+ */
+function toDate(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  return typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+}
+
+/**
+ * KitItemFS.StockStatus (rawValue): 'bajo', 'ok' o 'exceso'
+ */
+function stockStatus(item) {
+  if (item.quantity < item.min) {
+    return 'bajo';
+  }
+  if (item.max !== undefined && item.max !== null && item.quantity > item.max) {
+    return 'exceso';
+  }
+  return 'ok';
+}
+
+/**
+ * KitItemFS.daysUntilExpiry: días completos hasta la caducidad
+ * (negativo si ya caducó, null si no tiene)
+ */
+function daysUntilExpiry(item, now) {
+  const expiry = toDate(item.expiry);
+  if (!expiry) {
+    return null;
+  }
+  return Math.trunc((expiry.getTime() - now.getTime()) / DAY_MS);
+}
+
+/**
+ * KitItemFS.isExpired
+ */
+function isExpired(item, now) {
+  const expiry = toDate(item.expiry);
+  return expiry !== null && expiry < now;
+}
+
+/**
+ * KitItemFS.isExpiringSoon
+ */
+function isExpiringSoon(item, now) {
+  const days = daysUntilExpiry(item, now);
+  return days !== null && days >= 0 && days <= EXPIRING_SOON_DAYS;
+}
+
+/**
+ * Un documento de kitItems con los campos numéricos de KitItemFS
+ */
+function isClassifiable(item) {
+  return typeof item.quantity === 'number' && typeof item.min === 'number';
+}
+
+// ============================================================================
+// RESÚMENES
+// ============================================================================
+
+/**
+ * Resumen vacío de alertas
+ */
+function emptySummary() {
+  return {
+    totalItems: 0,
+    lowStockCount: 0,
+    highStockCount: 0,
+    expiringCount: 0,
+    expiredCount: 0,
+    lowStockItemIds: [],
+    highStockItemIds: [],
+    expiringItemIds: [],
+    expiredItemIds: []
+  };
+}
+
+/**
+ * Añade un kitItem a un resumen
+ */
+function addItem(summary, itemId, item, now) {
+  summary.totalItems += 1;
+  const status = stockStatus(item);
+  if (status === 'bajo') {
+    summary.lowStockCount += 1;
+    summary.lowStockItemIds.push(itemId);
+  } else if (status === 'exceso') {
+    summary.highStockCount += 1;
+    summary.highStockItemIds.push(itemId);
+  }
+  if (isExpiringSoon(item, now)) {
+    summary.expiringCount += 1;
+    summary.expiringItemIds.push(itemId);
+  }
+  if (isExpired(item, now)) {
+    summary.expiredCount += 1;
+    summary.expiredItemIds.push(itemId);
+  }
+}
+
+/**
+ * Calcula los resúmenes por kit y por base.
+ *
+ * @param {object} inventory
+ * @param {Object<string, object>} inventory.kits - kitId → KitFS
+ * @param {Object<string, object>} inventory.vehicles - vehicleId → VehicleFS
+ * @param {Object<string, object>} inventory.kitItems - itemId → KitItemFS
+ * @param {Date} now
+ * @returns {Object<string, object>} id del documento de alerts → resumen
+ */
+function summarizeAlerts({ kits, vehicles, kitItems }, now) {
+  const alerts = {};
+
+  const baseIdOfKit = (kit) => {
+    const vehicle = kit.vehicleId ? vehicles[kit.vehicleId] : null;
+    return vehicle && vehicle.baseId ? vehicle.baseId : null;
+  };
+
+  for (const [kitId, kit] of Object.entries(kits)) {
+    alerts[`kit_${kitId}`] = { scope: 'kit', kitId, baseId: baseIdOfKit(kit), ...emptySummary() };
+  }
+
+  for (const [kitId, kit] of Object.entries(kits)) {
+    const baseId = baseIdOfKit(kit);
+    if (!baseId) {
+      continue;
+    }
+    const id = `base_${baseId}`;
+    alerts[id] = alerts[id] || { scope: 'base', baseId, kitIds: [], ...emptySummary() };
+    alerts[id].kitIds.push(kitId);
+  }
+
+  for (const [itemId, item] of Object.entries(kitItems)) {
+    const kitAlert = item.kitId ? alerts[`kit_${item.kitId}`] : null;
+    if (!kitAlert || !isClassifiable(item)) {
+      continue;
+    }
+    addItem(kitAlert, itemId, item, now);
+    if (kitAlert.baseId) {
+      addItem(alerts[`base_${kitAlert.baseId}`], itemId, item, now);
+    }
+  }
+
+  return alerts;
+}
+
+// ============================================================================
+// FIRESTORE
+// ============================================================================
+
+/**
+ * Documentos de una colección como { id: data }
+ */
+async function readCollection(db, collection) {
+  const snapshot = await db.collection(collection).get();
+  const docs = {};
+  snapshot.forEach((doc) => {
+    docs[doc.id] = doc.data();
+  });
+  return docs;
+}
+
+/**
+ * Recalcula la colección `alerts` y borra los resúmenes de kits o bases
+ * que ya no existen. Devuelve los resúmenes escritos.
+ */
+async function refreshAlerts(db, now = new Date()) {
+  const [kits, vehicles, kitItems, existing] = await Promise.all([
+    readCollection(db, 'kits'),
+    readCollection(db, 'vehicles'),
+    readCollection(db, 'kitItems'),
+    db.collection(ALERTS_COLLECTION).listDocuments()
+  ]);
+  const alerts = summarizeAlerts({ kits, vehicles, kitItems }, now);
+
+  const writes = [
+    ...Object.entries(alerts).map(([id, summary]) => (batch) =>
+      batch.set(db.collection(ALERTS_COLLECTION).doc(id), { ...summary, computedAt: now })
+    ),
+    ...existing.filter((ref) => !alerts[ref.id]).map((ref) => (batch) => batch.delete(ref))
+  ];
+
+  for (let i = 0; i < writes.length; i += BATCH_SIZE) {
+    const batch = db.batch();
+    writes.slice(i, i + BATCH_SIZE).forEach((write) => write(batch));
+    await batch.commit();
+  }
+  return alerts;
+}
+
+module.exports = {
+  ALERTS_COLLECTION,
+  EXPIRING_SOON_DAYS,
+  stockStatus,
+  daysUntilExpiry,
+  isExpired,
+  isExpiringSoon,
+  summarizeAlerts,
+  refreshAlerts
+};
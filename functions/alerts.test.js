@@ -0,0 +1,138 @@
+/**
+ * AmbuKit - Tests de la clasificación de alertas (alerts.js)
+ *
+ * No necesitan emulador: comprueban que la lógica coincide con
+ * KitItemFS (stockStatus, isExpiringSoon, isExpired).
+ *
+ * Ejecutar: npm test
+ */
+
+const { Timestamp } = require('firebase-admin/firestore');
+const {
+  EXPIRING_SOON_DAYS,
+  stockStatus,
+  daysUntilExpiry,
+  isExpired,
+  isExpiringSoon,
+  summarizeAlerts
+} = require('./alerts');
+
+const NOW = new Date('2025-12-01T10:00:00.000Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Fecha a `days` días de NOW
+ */
+function inDays(days) {
+  return new Date(NOW.getTime() + days * DAY_MS);
+}
+
+describe('KitItemFS.stockStatus', () => {
+  test.each([
+    ['quantity < min', 'bajo', { quantity: 4, min: 5, max: 20 }],
+    ['quantity == min', 'ok', { quantity: 5, min: 5, max: 20 }],
+    ['quantity == max', 'ok', { quantity: 20, min: 5, max: 20 }],
+    ['quantity > max', 'exceso', { quantity: 21, min: 5, max: 20 }],
+    ['sin max', 'ok', { quantity: 1000, min: 5 }],
+    ['max null', 'ok', { quantity: 1000, min: 5, max: null }]
+  ])('%s → %s', (_case, status, item) => {
+    expect(stockStatus(item)).toBe(status);
+  });
+});
+
+describe('KitItemFS caducidad', () => {
+  test.each([
+    ['sin expiry', false, false, undefined],
+    ['caducado ayer', true, false, inDays(-1)],
+    ['caduca hoy (dentro de 1 hora)', false, true, new Date(NOW.getTime() + 3600 * 1000)],
+    ['caduca en 30 días', false, true, inDays(EXPIRING_SOON_DAYS)],
+    ['caduca en 31 días', false, false, inDays(EXPIRING_SOON_DAYS + 1)]
+  ])('%s: isExpired=%s isExpiringSoon=%s', (_case, expired, expiringSoon, expiry) => {
+    const item = { quantity: 10, min: 5, expiry };
+    expect(isExpired(item, NOW)).toBe(expired);
+    expect(isExpiringSoon(item, NOW)).toBe(expiringSoon);
+  });
+
+  test('acepta Timestamps de Firestore', () => {
+    const item = { quantity: 10, min: 5, expiry: Timestamp.fromDate(inDays(10)) };
+    expect(daysUntilExpiry(item, NOW)).toBe(10);
+    expect(isExpiringSoon(item, NOW)).toBe(true);
+  });
+
+  test('daysUntilExpiry cuenta días completos como Calendar.dateComponents', () => {
+    expect(daysUntilExpiry({ expiry: new Date(NOW.getTime() + 1.9 * DAY_MS) }, NOW)).toBe(1);
+    expect(daysUntilExpiry({ expiry: new Date(NOW.getTime() - 1.9 * DAY_MS) }, NOW)).toBe(-1);
+    expect(daysUntilExpiry({}, NOW)).toBeNull();
+  });
+});
+
+describe('Alert Summaries', () => {
+  const inventory = {
+    vehicles: {
+      amb_001: { baseId: 'base_bilbao' },
+      amb_002: { baseId: 'base_bilbao' },
+      amb_taller: { baseId: null }
+    },
+    kits: {
+      kit_trauma: { vehicleId: 'amb_001' },
+      kit_svb: { vehicleId: 'amb_002' },
+      kit_taller: { vehicleId: 'amb_taller' },
+      kit_almacen: { vehicleId: null }
+    },
+    kitItems: {
+      item_bajo: { kitId: 'kit_trauma', quantity: 1, min: 5, max: 20 },
+      item_caducado: { kitId: 'kit_trauma', quantity: 10, min: 5, expiry: inDays(-3) },
+      item_exceso: { kitId: 'kit_svb', quantity: 50, min: 5, max: 20, expiry: inDays(5) },
+      item_taller: { kitId: 'kit_taller', quantity: 0, min: 1 },
+      item_huerfano: { kitId: 'kit_borrado', quantity: 0, min: 1 },
+      item_sin_kit: { quantity: 0, min: 1 },
+      item_corrupto: { kitId: 'kit_trauma', quantity: 'diez', min: 5 }
+    }
+  };
+
+  const alerts = summarizeAlerts(inventory, NOW);
+
+  test('un resumen por kit y uno por base con vehículos', () => {
+    expect(Object.keys(alerts).sort()).toEqual([
+      'base_base_bilbao',
+      'kit_kit_almacen',
+      'kit_kit_svb',
+      'kit_kit_taller',
+      'kit_kit_trauma'
+    ]);
+  });
+
+  test('resumen de kit', () => {
+    expect(alerts.kit_kit_trauma).toMatchObject({
+      scope: 'kit',
+      kitId: 'kit_trauma',
+      baseId: 'base_bilbao',
+      totalItems: 2,
+      lowStockCount: 1,
+      lowStockItemIds: ['item_bajo'],
+      expiredCount: 1,
+      expiredItemIds: ['item_caducado'],
+      expiringCount: 0
+    });
+  });
+
+  test('resumen de base: suma los kits de sus vehículos', () => {
+    expect(alerts.base_base_bilbao).toMatchObject({
+      scope: 'base',
+      baseId: 'base_bilbao',
+      kitIds: ['kit_trauma', 'kit_svb'],
+      totalItems: 3,
+      lowStockCount: 1,
+      highStockCount: 1,
+      highStockItemIds: ['item_exceso'],
+      expiringCount: 1,
+      expiringItemIds: ['item_exceso'],
+      expiredCount: 1
+    });
+  });
+
+  test('kits sin base solo tienen resumen de kit', () => {
+    expect(alerts.kit_kit_taller).toMatchObject({ baseId: null, lowStockCount: 1 });
+    expect(alerts.kit_kit_almacen).toMatchObject({ baseId: null, totalItems: 0 });
+  });
+});
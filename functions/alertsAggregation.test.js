@@ -0,0 +1,145 @@
+/**
+ * AmbuKit - Tests de la agregación de alertas contra el emulador
+ *
+ * Siembran inventario con el Admin SDK, ejecutan refreshAlerts (lo mismo
+ * que hace aggregateAlerts cada hora) y comprueban la colección `alerts`.
+ *
+ * Ejecutar: npm test (con el emulador de Firestore corriendo: npm run serve)
+ */
+
+process.env.FIRESTORE_EMULATOR_HOST = process.env.FIRESTORE_EMULATOR_HOST || '127.0.0.1:8080';
+
+const { initializeApp, deleteApp } = require('firebase-admin/app');
+const { getFirestore } = require('firebase-admin/firestore');
+const { refreshAlerts } = require('./alerts');
+
+// ============================================================================
+// CONFIGURACIÓN
+// ============================================================================
+
+const PROJECT_ID = 'demo-ambukit';
+const NOW = new Date('2025-12-01T10:00:00.000Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const app = initializeApp({ projectId: PROJECT_ID }, 'alerts-test');
+const db = getFirestore(app);
+
+/**
+ * Vacía la base de datos del emulador
+ */
+async function clearFirestore() {
+  const url = `http://${process.env.FIRESTORE_EMULATOR_HOST}/emulator/v1/projects/${PROJECT_ID}/databases/(default)/documents`;
+  const response = await fetch(url, { method: 'DELETE' });
+  if (!response.ok) {
+    throw new Error(`No se pudo vaciar el emulador (HTTP ${response.status})`);
+  }
+}
+
+/**
+ * Guarda varios documentos { id: data } en una colección
+ */
+async function seed(collection, docs) {
+  const batch = db.batch();
+  for (const [id, data] of Object.entries(docs)) {
+    batch.set(db.collection(collection).doc(id), data);
+  }
+  await batch.commit();
+}
+
+/**
+ * Documento de alerts
+ */
+async function getAlert(id) {
+  const snapshot = await db.collection('alerts').doc(id).get();
+  return snapshot.exists ? snapshot.data() : null;
+}
+
+beforeEach(async () => {
+  await clearFirestore();
+  await seed('vehicles', {
+    amb_001: { code: 'AMB001', type: 'SVA', baseId: 'base_bilbao', kitIds: [] },
+    amb_vit: { code: 'AMB-VIT', type: 'SVB', baseId: 'base_vitoria', kitIds: [] }
+  });
+  await seed('kits', {
+    kit_trauma: { code: 'KIT001', name: 'Kit Trauma', vehicleId: 'amb_001' },
+    kit_vit: { code: 'KIT-VIT', name: 'Kit Vitoria', vehicleId: 'amb_vit' }
+  });
+  await seed('kitItems', {
+    item_bajo: { kitId: 'kit_trauma', quantity: 1, min: 5, max: 20 },
+    item_ok: { kitId: 'kit_trauma', quantity: 10, min: 5, max: 20 },
+    item_caduca: { kitId: 'kit_trauma', quantity: 10, min: 5, expiry: new Date(NOW.getTime() + 10 * DAY_MS) },
+    item_caducado: { kitId: 'kit_vit', quantity: 10, min: 5, expiry: new Date(NOW.getTime() - DAY_MS) }
+  });
+});
+
+afterAll(async () => {
+  await deleteApp(app);
+});
+
+// ============================================================================
+// TESTS
+// ============================================================================
+
+describe('Alerts Aggregation', () => {
+  test('escribe un resumen por kit', async () => {
+    await refreshAlerts(db, NOW);
+
+    expect(await getAlert('kit_kit_trauma')).toMatchObject({
+      scope: 'kit',
+      kitId: 'kit_trauma',
+      baseId: 'base_bilbao',
+      totalItems: 3,
+      lowStockCount: 1,
+      lowStockItemIds: ['item_bajo'],
+      expiringCount: 1,
+      expiringItemIds: ['item_caduca'],
+      expiredCount: 0
+    });
+    expect(await getAlert('kit_kit_vit')).toMatchObject({
+      totalItems: 1,
+      expiredCount: 1,
+      expiredItemIds: ['item_caducado']
+    });
+  });
+
+  test('escribe un resumen por base', async () => {
+    await refreshAlerts(db, NOW);
+
+    expect(await getAlert('base_base_bilbao')).toMatchObject({
+      scope: 'base',
+      baseId: 'base_bilbao',
+      kitIds: ['kit_trauma'],
+      lowStockCount: 1,
+      expiringCount: 1,
+      expiredCount: 0
+    });
+    expect(await getAlert('base_base_vitoria')).toMatchObject({
+      kitIds: ['kit_vit'],
+      expiredCount: 1
+    });
+  });
+
+  test('guarda la hora del cálculo', async () => {
+    await refreshAlerts(db, NOW);
+    const alert = await getAlert('kit_kit_trauma');
+    expect(alert.computedAt.toDate()).toEqual(NOW);
+  });
+
+  test('se actualiza al reponer stock', async () => {
+    await refreshAlerts(db, NOW);
+    await db.collection('kitItems').doc('item_bajo').update({ quantity: 8 });
+    await refreshAlerts(db, NOW);
+
+    expect(await getAlert('kit_kit_trauma')).toMatchObject({ lowStockCount: 0, lowStockItemIds: [] });
+  });
+
+  test('borra los resúmenes de kits y bases que ya no existen', async () => {
+    await refreshAlerts(db, NOW);
+    await db.collection('kits').doc('kit_vit').delete();
+    await refreshAlerts(db, NOW);
+
+    expect(await getAlert('kit_kit_vit')).toBeNull();
+    expect(await getAlert('base_base_vitoria')).toBeNull();
+    expect(await getAlert('kit_kit_trauma')).not.toBeNull();
+  });
+});
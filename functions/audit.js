@@ -0,0 +1,140 @@
+/**
+ * AmbuKit - Auditoría en servidor
+ *
+ * Convierte cada cambio de un documento de inventario en un documento
+ * con la forma de AuditLogFS (actionRaw, entityRaw, entityId, details...).
+ * `details` guarda en JSON los campos que cambian: { before, after }.
+ *
+ * Sin dependencias de Firebase: index.js conecta esto con los triggers.
+ */
+
+// ============================================================================
+// COLECCIONES AUDITADAS
+// ============================================================================
+
+/**
+ * Colección → EntityKind (entityRaw)
+ */
+const AUDITED_COLLECTIONS = {
+  bases: 'base',
+  vehicles: 'vehicle',
+  kits: 'kit',
+  kitItems: 'kitItem',
+  catalogItems: 'catalogItem',
+  users: 'user'
+};
+
+// ============================================================================
+// DIFF
+// ============================================================================
+
+/**
+ * Valor de Firestore → JSON (Timestamp → ISO 8601, mapas y listas recursivos)
+ */
+function toPlain(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (typeof value.toDate === 'function') {
+    return value.toDate().toISOString();
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (Array.isArray(value)) {
+    return value.map(toPlain);
+  }
+  if (typeof value === 'object') {
+    const plain = {};
+    for (const key of Object.keys(value).sort()) {
+      plain[key] = toPlain(value[key]);
+    }
+    return plain;
+  }
+  return value;
+}
+
+/**
+ * Campos que cambian entre dos versiones de un documento.
+ * Devuelve { before, after } solo con esos campos (ausente = null).
+ */
+function diffDocuments(before, after) {
+  const oldData = before || {};
+  const newData = after || {};
+  const fields = [...new Set([...Object.keys(oldData), ...Object.keys(newData)])].sort();
+  const diff = { before: {}, after: {} };
+
+  for (const field of fields) {
+    const oldValue = toPlain(oldData[field]);
+    const newValue = toPlain(newData[field]);
+    if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+      diff.before[field] = oldValue;
+      diff.after[field] = newValue;
+    }
+  }
+  return diff;
+}
+
+// ============================================================================
+// AUDIT LOG
+// ============================================================================
+
+/**
+ * ActionKind del cambio según existan las versiones antes/después
+ */
+function actionFor(before, after) {
+  if (!before) {
+    return 'create';
+  }
+  if (!after) {
+    return 'delete';
+  }
+  return 'update';
+}
+
+/**
+ * Documento AuditLogFS para un cambio, o null si no cambia ningún campo.
+ *
+ * @param {object} change
+ * @param {string} change.collection - Colección auditada (ej: 'kits')
+ * @param {string} change.docId - Id del documento modificado
+ * @param {object|null} change.before - Datos antes del cambio (null en create)
+ * @param {object|null} change.after - Datos después del cambio (null en delete)
+ * @param {{uid: string, username: string, roleId: ?string}|null} change.actor - UserFS del autor, si se conoce
+ * @param {*} timestamp - Date o FieldValue.serverTimestamp()
+ */
+function buildAuditLog({ collection, docId, before, after, actor }, timestamp) {
+  const entityRaw = AUDITED_COLLECTIONS[collection];
+  if (!entityRaw) {
+    throw new Error(`Colección no auditada: ${collection}`);
+  }
+
+  const diff = diffDocuments(before, after);
+  if (Object.keys(diff.after).length === 0) {
+    return null;
+  }
+
+  const log = {
+    timestamp,
+    actionRaw: actionFor(before, after),
+    entityRaw,
+    entityId: docId,
+    details: JSON.stringify(diff),
+    createdAt: timestamp,
+    updatedAt: timestamp
+  };
+  if (actor) {
+    log.actorUid = actor.uid;
+    log.actorUsername = actor.username;
+    log.actorRole = actor.roleId || null;
+  }
+  return log;
+}
+
+module.exports = {
+  AUDITED_COLLECTIONS,
+  toPlain,
+  diffDocuments,
+  actionFor,
+  buildAuditLog
+};
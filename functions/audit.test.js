@@ -0,0 +1,139 @@
+/**
+ * AmbuKit - Tests de la auditoría en servidor (audit.js)
+ *
+ * No necesitan emulador: prueban cómo se construye el AuditLogFS.
+ *
+ * Ejecutar: npm test
+ */
+
+const { Timestamp } = require('firebase-admin/firestore');
+const {
+  AUDITED_COLLECTIONS,
+  toPlain,
+  diffDocuments,
+  actionFor,
+  buildAuditLog
+} = require('./audit');
+
+const NOW = new Date('2025-12-01T10:00:00.000Z');
+
+const KIT = {
+  code: 'KIT001',
+  name: 'Kit Trauma',
+  type: 'SVA',
+  status: 'active',
+  vehicleId: 'amb_001',
+  itemIds: ['item_adrenalina'],
+  createdAt: Timestamp.fromDate(NOW),
+  updatedAt: Timestamp.fromDate(NOW)
+};
+
+describe('Audit Diff', () => {
+  test.each([
+    ['sin versión anterior', 'create', null, KIT],
+    ['con ambas versiones', 'update', KIT, KIT],
+    ['sin versión posterior', 'delete', KIT, null]
+  ])('%s → %s', (_case, action, before, after) => {
+    expect(actionFor(before, after)).toBe(action);
+  });
+
+  test('convierte Timestamps a ISO 8601', () => {
+    expect(toPlain({ at: Timestamp.fromDate(NOW), list: [Timestamp.fromDate(NOW)] })).toEqual({
+      at: NOW.toISOString(),
+      list: [NOW.toISOString()]
+    });
+  });
+
+  test('solo incluye los campos que cambian', () => {
+    const diff = diffDocuments(KIT, { ...KIT, status: 'maintenance' });
+    expect(diff).toEqual({
+      before: { status: 'active' },
+      after: { status: 'maintenance' }
+    });
+  });
+
+  test('un campo añadido o borrado aparece como null en el otro lado', () => {
+    const withAudit = { ...KIT, lastAudit: Timestamp.fromDate(NOW) };
+    expect(diffDocuments(KIT, withAudit)).toEqual({
+      before: { lastAudit: null },
+      after: { lastAudit: NOW.toISOString() }
+    });
+    expect(diffDocuments(withAudit, KIT)).toEqual({
+      before: { lastAudit: NOW.toISOString() },
+      after: { lastAudit: null }
+    });
+  });
+
+  test('el orden de las claves de un mapa no es un cambio', () => {
+    expect(diffDocuments({ meta: { a: 1, b: 2 } }, { meta: { b: 2, a: 1 } }).after).toEqual({});
+  });
+});
+
+describe('Audit Log', () => {
+  test.each(Object.entries(AUDITED_COLLECTIONS))(
+    '%s se registra como entityRaw %s',
+    (collection, entityRaw) => {
+      const log = buildAuditLog({ collection, docId: 'doc_1', before: null, after: { name: 'x' } }, NOW);
+      expect(log.entityRaw).toBe(entityRaw);
+    }
+  );
+
+  test('create guarda el documento completo en details.after', () => {
+    const log = buildAuditLog({ collection: 'kits', docId: 'kit_trauma', before: null, after: KIT }, NOW);
+    expect(log).toEqual({
+      timestamp: NOW,
+      actionRaw: 'create',
+      entityRaw: 'kit',
+      entityId: 'kit_trauma',
+      details: expect.any(String),
+      createdAt: NOW,
+      updatedAt: NOW
+    });
+    expect(JSON.parse(log.details).after).toEqual(toPlain(KIT));
+  });
+
+  test('delete guarda el documento completo en details.before', () => {
+    const log = buildAuditLog({ collection: 'kits', docId: 'kit_trauma', before: KIT, after: null }, NOW);
+    expect(log.actionRaw).toBe('delete');
+    expect(JSON.parse(log.details).before).toEqual(toPlain(KIT));
+  });
+
+  test('update guarda solo el diff', () => {
+    const log = buildAuditLog({
+      collection: 'kitItems',
+      docId: 'item_adrenalina',
+      before: { quantity: 10, min: 5 },
+      after: { quantity: 8, min: 5 }
+    }, NOW);
+    expect(log.actionRaw).toBe('update');
+    expect(JSON.parse(log.details)).toEqual({ before: { quantity: 10 }, after: { quantity: 8 } });
+  });
+
+  test('update sin cambios no genera auditLog', () => {
+    expect(buildAuditLog({ collection: 'kits', docId: 'kit_trauma', before: KIT, after: { ...KIT } }, NOW)).toBeNull();
+  });
+
+  test('incluye el actor si se conoce (uid, UserFS.username y roleId)', () => {
+    const log = buildAuditLog({
+      collection: 'bases',
+      docId: 'base_bilbao',
+      before: null,
+      after: { name: 'Base Bilbao' },
+      actor: { uid: 'logistics_uid', username: 'logistica', roleId: 'role_logistics' }
+    }, NOW);
+    expect(log.actorUid).toBe('logistics_uid');
+    expect(log.actorUsername).toBe('logistica');
+    expect(log.actorRole).toBe('role_logistics');
+  });
+
+  test('sin actor no incluye actorUid, actorUsername ni actorRole', () => {
+    const log = buildAuditLog({ collection: 'bases', docId: 'base_bilbao', before: null, after: { name: 'x' } }, NOW);
+    expect(log).not.toHaveProperty('actorUid');
+    expect(log).not.toHaveProperty('actorUsername');
+    expect(log).not.toHaveProperty('actorRole');
+  });
+
+  test('rechaza colecciones no auditadas', () => {
+    expect(() => buildAuditLog({ collection: 'auditLogs', docId: 'x', before: null, after: {} }, NOW)).toThrow();
+  });
+});
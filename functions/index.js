@@ -0,0 +1,143 @@
+/**
+ * AmbuKit - Cloud Functions
+ *
+ * Auditoría en servidor: cada create, update y delete de las colecciones
+ * de inventario y de users escribe un documento en auditLogs, aunque el
+ * cliente no llame a AuditServiceFS.
+ *
+ * Alertas: cada hora se recalculan los resúmenes de stock bajo y
+ * caducidades de la colección `alerts` (ver alerts.js).
+ *
+ * Relaciones: `vehicleIds`, `kitIds` e `itemIds` se mantienen al día con la
+ * clave foránea de cada hijo al crearlo, reasignarlo o borrarlo, y al borrar
+ * un padre sus hijos quedan sin padre (ver relationships.js). Igual con
+ * `kitItemIds` de catalogItems, que las reglas usan para no borrar un item
+ * del catálogo en uso.
+ *
+ * El id del auditLog es el id del evento: si un trigger se reintenta
+ * no se duplica la entrada.
+ */
+
+const { initializeApp } = require('firebase-admin/app');
+const { getFirestore, FieldValue } = require('firebase-admin/firestore');
+const {
+  onDocumentWrittenWithAuthContext,
+  onDocumentWritten,
+  onDocumentDeleted
+} = require('firebase-functions/v2/firestore');
+const { onSchedule } = require('firebase-functions/v2/scheduler');
+const { buildAuditLog } = require('./audit');
+const { refreshAlerts } = require('./alerts');
+const { RELATIONSHIPS, affectedParentIds, syncMembership, detachChildren } = require('./relationships');
+
+initializeApp();
+const db = getFirestore();
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Tipos de autor de un evento que no son usuarios de la app
+ */
+const NON_USER_AUTH_TYPES = ['unauthenticated', 'service_account', 'system'];
+
+/**
+ * UserFS del autor del cambio (solo para escrituras de usuarios de Auth)
+ */
+async function findActor(event) {
+  if (!event.authId || NON_USER_AUTH_TYPES.includes(event.authType)) {
+    return null;
+  }
+  const snapshot = await db.collection('users').doc(event.authId).get();
+  if (!snapshot.exists) {
+    return null;
+  }
+  const { username, roleId } = snapshot.data();
+  return { uid: event.authId, username, roleId };
+}
+
+/**
+ * Registra en auditLogs el cambio de un documento de `collection`
+ */
+async function recordChange(collection, event) {
+  const before = event.data.before.exists ? event.data.before.data() : null;
+  const after = event.data.after.exists ? event.data.after.data() : null;
+
+  const log = buildAuditLog({
+    collection,
+    docId: event.params.docId,
+    before,
+    after,
+    actor: await findActor(event)
+  }, FieldValue.serverTimestamp());
+
+  if (log) {
+    await db.collection('auditLogs').doc(event.id).set(log);
+  }
+}
+
+/**
+ * Trigger de auditoría para una colección
+ */
+function auditTrigger(collection) {
+  return onDocumentWrittenWithAuthContext(`${collection}/{docId}`, (event) => recordChange(collection, event));
+}
+
+/**
+ * Trigger que ajusta la lista del padre cuando cambia la clave foránea
+ * de un hijo. Los cambios que no tocan la clave foránea (incluidos los que
+ * hace este mismo trigger en la lista de un padre) no leen nada.
+ */
+function membershipTrigger(relation) {
+  return onDocumentWritten(`${relation.child}/{docId}`, async (event) => {
+    const before = event.data.before.exists ? event.data.before.data() : null;
+    const after = event.data.after.exists ? event.data.after.data() : null;
+    await syncMembership(db, relation, event.params.docId, affectedParentIds(relation, before, after));
+  });
+}
+
+/**
+ * Trigger que deja sin padre a los hijos de un padre borrado
+ */
+function detachTrigger(relation) {
+  return onDocumentDeleted(`${relation.parent}/{docId}`, async (event) => {
+    await detachChildren(db, relation, event.params.docId);
+  });
+}
+
+// ============================================================================
+// TRIGGERS
+// ============================================================================
+
+exports.auditBases = auditTrigger('bases');
+exports.auditVehicles = auditTrigger('vehicles');
+exports.auditKits = auditTrigger('kits');
+exports.auditKitItems = auditTrigger('kitItems');
+exports.auditCatalogItems = auditTrigger('catalogItems');
+exports.auditUsers = auditTrigger('users');
+
+// ============================================================================
+// RELACIONES
+// ============================================================================
+
+exports.syncBaseVehicleIds = membershipTrigger(RELATIONSHIPS.vehicles);
+exports.syncVehicleKitIds = membershipTrigger(RELATIONSHIPS.kits);
+exports.syncKitItemIds = membershipTrigger(RELATIONSHIPS.kitItems);
+exports.syncCatalogItemKitItemIds = membershipTrigger(RELATIONSHIPS.catalogUsage);
+exports.detachBaseVehicles = detachTrigger(RELATIONSHIPS.vehicles);
+exports.detachVehicleKits = detachTrigger(RELATIONSHIPS.kits);
+exports.detachKitItems = detachTrigger(RELATIONSHIPS.kitItems);
+// catalogUsage no tiene detach: las reglas no dejan borrar un item del
+// catálogo mientras algún kitItem lo use
+
+// ============================================================================
+// ALERTAS
+// ============================================================================
+
+exports.aggregateAlerts = onSchedule(
+  { schedule: 'every 60 minutes', timeZone: 'Europe/Madrid' },
+  async () => {
+    await refreshAlerts(db, new Date());
+  }
+);
@@ -0,0 +1,12 @@
+/** @type {import('jest').Config} */
+module.exports = {
+  testEnvironment: 'node',
+  testTimeout: 30000,
+  verbose: true,
+  testMatch: ['**/*.test.js'],
+  // Los tests de emulador comparten base de datos: uno detrás de otro
+  maxWorkers: 1,
+  // Evitar problemas con handles abiertos del emulador
+  forceExit: true,
+  detectOpenHandles: true
+};
@@ -0,0 +1,146 @@
+/**
+ * AmbuKit - Mantenimiento de relaciones
+ *
+ * Las relaciones padre → hijos se guardan dos veces: la clave foránea en el
+ * hijo (`VehicleFS.baseId`, `KitFS.vehicleId`, `KitItemFS.kitId`) y la lista
+ * de ids en el padre (`BaseFS.vehicleIds`, `VehicleFS.kitIds`,
+ * `KitFS.itemIds`). La clave foránea del hijo es la fuente de verdad y estas
+ * funciones ajustan la lista del padre a ella.
+ *
+ * `catalogItems.kitItemIds` (kitItems que usan cada item del catálogo) se
+ * mantiene igual, pero no lo lee la app: existe para que las reglas puedan
+ * impedir borrar un item del catálogo en uso, ya que no pueden hacer consultas.
+ */
+
+const { FieldValue } = require('firebase-admin/firestore');
+
+// ============================================================================
+// CONFIGURACIÓN
+// ============================================================================
+
+/**
+ * Relaciones por colección hija (catalogUsage es la segunda de kitItems):
+ *   - child: colección del hijo
+ *   - foreignKey: campo del hijo con el id del padre
+ *   - parent: colección del padre
+ *   - listField: campo del padre con los ids de sus hijos
+ */
+const RELATIONSHIPS = {
+  vehicles: { child: 'vehicles', foreignKey: 'baseId', parent: 'bases', listField: 'vehicleIds' },
+  kits: { child: 'kits', foreignKey: 'vehicleId', parent: 'vehicles', listField: 'kitIds' },
+  kitItems: { child: 'kitItems', foreignKey: 'kitId', parent: 'kits', listField: 'itemIds' },
+  catalogUsage: { child: 'kitItems', foreignKey: 'catalogItemId', parent: 'catalogItems', listField: 'kitItemIds' }
+};
+
+/**
+ * Máximo de operaciones por batch de Firestore
+ */
+const BATCH_SIZE = 500;
+
+// ============================================================================
+// PLANIFICACIÓN
+// ============================================================================
+
+/**
+ * Id del padre al que apunta un hijo (null si no existe o no tiene padre)
+ */
+function parentIdOf(relation, data) {
+  return (data && data[relation.foreignKey]) || null;
+}
+
+/**
+ * Padres cuya lista puede haber cambiado al escribir un hijo.
+ * Vacío si la clave foránea no cambia (p. ej. al editar solo el nombre).
+ */
+function affectedParentIds(relation, before, after) {
+  const previous = parentIdOf(relation, before);
+  const current = parentIdOf(relation, after);
+  if (previous === current) {
+    return [];
+  }
+  return [previous, current].filter(Boolean);
+}
+
+/**
+ * Cambio que hay que aplicar a la lista de un padre para que coincida con
+ * la clave foránea actual del hijo: 'add', 'remove' o null si ya coincide
+ */
+function membershipChange(relation, { parentId, childId, child, parent }) {
+  const listed = (parent[relation.listField] || []).includes(childId);
+  const belongs = parentIdOf(relation, child) === parentId;
+  if (belongs && !listed) {
+    return 'add';
+  }
+  if (!belongs && listed) {
+    return 'remove';
+  }
+  return null;
+}
+
+// ============================================================================
+// ESCRITURA
+// ============================================================================
+
+/**
+ * Ajusta la lista de los padres indicados al estado actual del hijo.
+ *
+ * Lee el hijo dentro de la transacción en vez de fiarse del evento: si dos
+ * reasignaciones llegan desordenadas, la segunda en ejecutarse sigue dejando
+ * al hijo solo en la lista de su padre actual. Los padres que no existen se
+ * ignoran.
+ */
+async function syncMembership(db, relation, childId, parentIds) {
+  if (parentIds.length === 0) {
+    return;
+  }
+  const childRef = db.collection(relation.child).doc(childId);
+  const parentRefs = parentIds.map((id) => db.collection(relation.parent).doc(id));
+
+  await db.runTransaction(async (transaction) => {
+    const [childSnapshot, ...parentSnapshots] = await transaction.getAll(childRef, ...parentRefs);
+    const child = childSnapshot.exists ? childSnapshot.data() : null;
+
+    for (const parentSnapshot of parentSnapshots) {
+      if (!parentSnapshot.exists) {
+        continue;
+      }
+      const change = membershipChange(relation, {
+        parentId: parentSnapshot.id,
+        childId,
+        child,
+        parent: parentSnapshot.data()
+      });
+      if (change) {
+        const value = change === 'add' ? FieldValue.arrayUnion(childId) : FieldValue.arrayRemove(childId);
+        transaction.update(parentSnapshot.ref, { [relation.listField]: value, updatedAt: new Date() });
+      }
+    }
+  });
+}
+
+/**
+ * Deja sin padre a los hijos de un padre borrado (borra su clave foránea,
+ * igual que hace el cliente Swift con un opcional a nil).
+ * Cada hijo desvinculado dispara a su vez syncMembership, que ya no
+ * encuentra al padre y no hace nada.
+ */
+async function detachChildren(db, relation, parentId) {
+  const snapshot = await db.collection(relation.child).where(relation.foreignKey, '==', parentId).get();
+  for (let start = 0; start < snapshot.docs.length; start += BATCH_SIZE) {
+    const batch = db.batch();
+    for (const doc of snapshot.docs.slice(start, start + BATCH_SIZE)) {
+      batch.update(doc.ref, { [relation.foreignKey]: FieldValue.delete(), updatedAt: new Date() });
+    }
+    await batch.commit();
+  }
+  return snapshot.size;
+}
+
+module.exports = {
+  RELATIONSHIPS,
+  parentIdOf,
+  affectedParentIds,
+  membershipChange,
+  syncMembership,
+  detachChildren
+};
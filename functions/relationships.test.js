@@ -0,0 +1,81 @@
+/**
+ * AmbuKit - Tests del mantenimiento de relaciones (relationships.js)
+ *
+ * No necesitan emulador: prueban qué padres hay que revisar y qué cambio
+ * necesita la lista de cada uno.
+ *
+ * Ejecutar: npm test
+ */
+
+const {
+  RELATIONSHIPS,
+  parentIdOf,
+  affectedParentIds,
+  membershipChange
+} = require('./relationships');
+
+const KITS = RELATIONSHIPS.kits;
+
+describe('Relationships', () => {
+  test.each([
+    ['vehicles', 'baseId', 'bases', 'vehicleIds'],
+    ['kits', 'vehicleId', 'vehicles', 'kitIds'],
+    ['kitItems', 'kitId', 'kits', 'itemIds']
+  ])('%s.%s se refleja en %s.%s', (child, foreignKey, parent, listField) => {
+    expect(RELATIONSHIPS[child]).toEqual({ child, foreignKey, parent, listField });
+  });
+
+  test('kitItems.catalogItemId se refleja en catalogItems.kitItemIds', () => {
+    expect(RELATIONSHIPS.catalogUsage).toEqual({
+      child: 'kitItems',
+      foreignKey: 'catalogItemId',
+      parent: 'catalogItems',
+      listField: 'kitItemIds'
+    });
+  });
+
+  test('parentIdOf devuelve null sin documento o sin clave foránea', () => {
+    expect(parentIdOf(KITS, null)).toBeNull();
+    expect(parentIdOf(KITS, { name: 'Kit' })).toBeNull();
+    expect(parentIdOf(KITS, { vehicleId: 'amb_001' })).toBe('amb_001');
+  });
+});
+
+describe('Affected Parents', () => {
+  test.each([
+    ['crear con padre', null, { vehicleId: 'amb_001' }, ['amb_001']],
+    ['crear sin padre', null, { name: 'Kit' }, []],
+    ['reasignar', { vehicleId: 'amb_001' }, { vehicleId: 'amb_002' }, ['amb_001', 'amb_002']],
+    ['quitar el padre', { vehicleId: 'amb_001' }, { name: 'Kit' }, ['amb_001']],
+    ['editar otro campo', { vehicleId: 'amb_001', name: 'A' }, { vehicleId: 'amb_001', name: 'B' }, []],
+    ['borrar', { vehicleId: 'amb_001' }, null, ['amb_001']]
+  ])('%s', (_case, before, after, expected) => {
+    expect(affectedParentIds(KITS, before, after)).toEqual(expected);
+  });
+});
+
+describe('Membership Change', () => {
+  test.each([
+    ['add', 'el kit apunta al vehículo y no está en kitIds', { vehicleId: 'amb_001' }, []],
+    ['remove', 'el kit apunta a otro vehículo', { vehicleId: 'amb_002' }, ['kit_trauma']],
+    ['remove', 'el kit ya no existe', null, ['kit_trauma']],
+    [null, 'el kit ya está en kitIds', { vehicleId: 'amb_001' }, ['kit_trauma']],
+    [null, 'el kit no apunta al vehículo y no está en kitIds', { vehicleId: 'amb_002' }, []]
+  ])('%s si %s', (expected, _case, child, kitIds) => {
+    expect(membershipChange(KITS, {
+      parentId: 'amb_001',
+      childId: 'kit_trauma',
+      child,
+      parent: { kitIds }
+    })).toBe(expected);
+  });
+
+  test('un padre sin lista se trata como lista vacía', () => {
+    expect(membershipChange(KITS, {
+      parentId: 'amb_001',
+      childId: 'kit_trauma',
+      child: { vehicleId: 'amb_001' },
+      parent: {}
+    })).toBe('add');
+  });
+});
@@ -0,0 +1,280 @@
+/**
+ * AmbuKit - Tests de las cascadas de relaciones contra el emulador
+ *
+ * Escriben hijos y padres con el Admin SDK y esperan a que los triggers
+ * del emulador de Functions ajusten `vehicleIds`, `kitIds` e `itemIds`.
+ *
+ * Ejecutar: npm test (con los emuladores de Firestore y Functions
+ * corriendo: npm run serve)
+ */
+
+process.env.FIRESTORE_EMULATOR_HOST = process.env.FIRESTORE_EMULATOR_HOST || '127.0.0.1:8080';
+
+const { initializeApp, deleteApp } = require('firebase-admin/app');
+const { getFirestore } = require('firebase-admin/firestore');
+
+// ============================================================================
+// CONFIGURACIÓN
+// ============================================================================
+
+const PROJECT_ID = 'demo-ambukit';
+const POLL_INTERVAL_MS = 250;
+const POLL_TIMEOUT_MS = 15000;
+
+const app = initializeApp({ projectId: PROJECT_ID }, 'relationships-test');
+const db = getFirestore(app);
+
+afterAll(async () => {
+  await deleteApp(app);
+});
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Id único por test para no depender del estado de otros tests
+ */
+function uniqueId(prefix) {
+  return `${prefix}_${Date.now()}_${Math.floor(Math.random() * 1e6)}`;
+}
+
+/**
+ * Datos de un documento (null si no existe)
+ */
+async function getData(collection, id) {
+  const snapshot = await db.collection(collection).doc(id).get();
+  return snapshot.exists ? snapshot.data() : null;
+}
+
+/**
+ * Espera hasta que la lista `field` de un documento contenga exactamente
+ * `expected` (sin importar el orden)
+ */
+async function waitForList(collection, id, field, expected) {
+  const wanted = [...expected].sort();
+  const deadline = Date.now() + POLL_TIMEOUT_MS;
+  let current = null;
+  while (Date.now() < deadline) {
+    const data = await getData(collection, id);
+    current = [...((data && data[field]) || [])].sort();
+    if (JSON.stringify(current) === JSON.stringify(wanted)) {
+      return;
+    }
+    await new Promise((resolve) => setTimeout(resolve, POLL_INTERVAL_MS));
+  }
+  throw new Error(`${collection}/${id}.${field} = ${JSON.stringify(current)}, se esperaba ${JSON.stringify(wanted)}`);
+}
+
+/**
+ * Espera hasta que un documento deje de tener el campo `field`
+ */
+async function waitForMissingField(collection, id, field) {
+  const deadline = Date.now() + POLL_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    const data = await getData(collection, id);
+    if (data && !(field in data)) {
+      return;
+    }
+    await new Promise((resolve) => setTimeout(resolve, POLL_INTERVAL_MS));
+  }
+  throw new Error(`${collection}/${id} sigue teniendo ${field}`);
+}
+
+/**
+ * Documentos mínimos de cada nivel (padre null = sin padre)
+ */
+function createBase(id) {
+  return db.collection('bases').doc(id).set({ code: id, name: id, active: true, vehicleIds: [] });
+}
+
+function createVehicle(id, baseId) {
+  return db.collection('vehicles').doc(id).set({ code: id, type: 'SVA', baseId, kitIds: [] });
+}
+
+function createKit(id, vehicleId) {
+  return db.collection('kits').doc(id).set({ code: id, name: id, type: 'SVA', vehicleId, itemIds: [] });
+}
+
+function createKitItem(id, kitId) {
+  return db.collection('kitItems').doc(id).set({ catalogItemId: 'cat_adrenalina', kitId, quantity: 10, min: 5 });
+}
+
+// ============================================================================
+// TESTS
+// ============================================================================
+
+describe('Vehicles ↔ Bases', () => {
+  let baseA;
+  let baseB;
+
+  beforeEach(async () => {
+    baseA = uniqueId('base_a');
+    baseB = uniqueId('base_b');
+    await Promise.all([createBase(baseA), createBase(baseB)]);
+  });
+
+  test('crear un vehículo lo añade a vehicleIds de su base', async () => {
+    const vehicle = uniqueId('amb');
+    await createVehicle(vehicle, baseA);
+    await waitForList('bases', baseA, 'vehicleIds', [vehicle]);
+  });
+
+  test('reasignar un vehículo lo mueve de una base a otra', async () => {
+    const vehicle = uniqueId('amb');
+    await createVehicle(vehicle, baseA);
+    await waitForList('bases', baseA, 'vehicleIds', [vehicle]);
+
+    await db.collection('vehicles').doc(vehicle).update({ baseId: baseB });
+    await waitForList('bases', baseA, 'vehicleIds', []);
+    await waitForList('bases', baseB, 'vehicleIds', [vehicle]);
+  });
+
+  test('borrar un vehículo lo quita de vehicleIds', async () => {
+    const vehicle = uniqueId('amb');
+    await createVehicle(vehicle, baseA);
+    await waitForList('bases', baseA, 'vehicleIds', [vehicle]);
+
+    await db.collection('vehicles').doc(vehicle).delete();
+    await waitForList('bases', baseA, 'vehicleIds', []);
+  });
+
+  test('borrar una base deja sus vehículos sin baseId', async () => {
+    const vehicle = uniqueId('amb');
+    await createVehicle(vehicle, baseA);
+    await waitForList('bases', baseA, 'vehicleIds', [vehicle]);
+
+    await db.collection('bases').doc(baseA).delete();
+    await waitForMissingField('vehicles', vehicle, 'baseId');
+  });
+});
+
+describe('Kits ↔ Vehicles', () => {
+  let vehicleA;
+  let vehicleB;
+
+  beforeEach(async () => {
+    vehicleA = uniqueId('amb_a');
+    vehicleB = uniqueId('amb_b');
+    await Promise.all([createVehicle(vehicleA, null), createVehicle(vehicleB, null)]);
+  });
+
+  test('crear un kit lo añade a kitIds de su vehículo', async () => {
+    const kit = uniqueId('kit');
+    await createKit(kit, vehicleA);
+    await waitForList('vehicles', vehicleA, 'kitIds', [kit]);
+  });
+
+  test('reasignar un kit actualiza los dos vehículos', async () => {
+    const kit = uniqueId('kit');
+    await createKit(kit, vehicleA);
+    await waitForList('vehicles', vehicleA, 'kitIds', [kit]);
+
+    await db.collection('kits').doc(kit).update({ vehicleId: vehicleB });
+    await waitForList('vehicles', vehicleA, 'kitIds', []);
+    await waitForList('vehicles', vehicleB, 'kitIds', [kit]);
+  });
+
+  test('borrar un kit lo quita de kitIds', async () => {
+    const kit = uniqueId('kit');
+    await createKit(kit, vehicleA);
+    await waitForList('vehicles', vehicleA, 'kitIds', [kit]);
+
+    await db.collection('kits').doc(kit).delete();
+    await waitForList('vehicles', vehicleA, 'kitIds', []);
+  });
+
+  test('borrar un vehículo deja sus kits sin vehicleId', async () => {
+    const kits = [uniqueId('kit'), uniqueId('kit')];
+    await Promise.all(kits.map((kit) => createKit(kit, vehicleA)));
+    await waitForList('vehicles', vehicleA, 'kitIds', kits);
+
+    await db.collection('vehicles').doc(vehicleA).delete();
+    for (const kit of kits) {
+      await waitForMissingField('kits', kit, 'vehicleId');
+    }
+  });
+});
+
+describe('KitItems ↔ Kits', () => {
+  let kitA;
+  let kitB;
+
+  beforeEach(async () => {
+    kitA = uniqueId('kit_a');
+    kitB = uniqueId('kit_b');
+    await Promise.all([createKit(kitA, null), createKit(kitB, null)]);
+  });
+
+  test('crear un item lo añade a itemIds de su kit', async () => {
+    const item = uniqueId('item');
+    await createKitItem(item, kitA);
+    await waitForList('kits', kitA, 'itemIds', [item]);
+  });
+
+  test('mover un item actualiza los dos kits', async () => {
+    const item = uniqueId('item');
+    await createKitItem(item, kitA);
+    await waitForList('kits', kitA, 'itemIds', [item]);
+
+    await db.collection('kitItems').doc(item).update({ kitId: kitB });
+    await waitForList('kits', kitA, 'itemIds', []);
+    await waitForList('kits', kitB, 'itemIds', [item]);
+  });
+
+  test('borrar un item lo quita de itemIds', async () => {
+    const item = uniqueId('item');
+    await createKitItem(item, kitA);
+    await waitForList('kits', kitA, 'itemIds', [item]);
+
+    await db.collection('kitItems').doc(item).delete();
+    await waitForList('kits', kitA, 'itemIds', []);
+  });
+
+  test('borrar un kit deja sus items sin kitId', async () => {
+    const item = uniqueId('item');
+    await createKitItem(item, kitA);
+    await waitForList('kits', kitA, 'itemIds', [item]);
+
+    await db.collection('kits').doc(kitA).delete();
+    await waitForMissingField('kitItems', item, 'kitId');
+  });
+});
+
+describe('Concurrent Reassignment', () => {
+  test('varios items creados a la vez acaban todos en itemIds', async () => {
+    const kit = uniqueId('kit');
+    await createKit(kit, null);
+
+    const items = Array.from({ length: 10 }, () => uniqueId('item'));
+    await Promise.all(items.map((item) => createKitItem(item, kit)));
+    await waitForList('kits', kit, 'itemIds', items);
+  });
+
+  test('reasignaciones seguidas dejan el kit solo en su último vehículo', async () => {
+    const vehicles = [uniqueId('amb_a'), uniqueId('amb_b'), uniqueId('amb_c')];
+    await Promise.all(vehicles.map((vehicle) => createVehicle(vehicle, null)));
+    const kit = uniqueId('kit');
+    const ref = db.collection('kits').doc(kit);
+
+    await ref.set({ code: kit, name: kit, type: 'SVA', vehicleId: vehicles[0], itemIds: [] });
+    await ref.update({ vehicleId: vehicles[1] });
+    await ref.update({ vehicleId: vehicles[2] });
+
+    await waitForList('vehicles', vehicles[2], 'kitIds', [kit]);
+    await waitForList('vehicles', vehicles[0], 'kitIds', []);
+    await waitForList('vehicles', vehicles[1], 'kitIds', []);
+  });
+
+  test('dos kits movidos a la vez al mismo vehículo acaban ambos en kitIds', async () => {
+    const [origin, target] = [uniqueId('amb_a'), uniqueId('amb_b')];
+    await Promise.all([createVehicle(origin, null), createVehicle(target, null)]);
+    const kits = [uniqueId('kit'), uniqueId('kit')];
+    await Promise.all(kits.map((kit) => createKit(kit, origin)));
+    await waitForList('vehicles', origin, 'kitIds', kits);
+
+    await Promise.all(kits.map((kit) => db.collection('kits').doc(kit).update({ vehicleId: target })));
+    await waitForList('vehicles', target, 'kitIds', kits);
+    await waitForList('vehicles', origin, 'kitIds', []);
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * AmbuKit - Tests de los triggers de auditoría
+ *
+ * Escriben con el Admin SDK en el emulador de Firestore y esperan a que
+ * el emulador de Functions registre la entrada en auditLogs.
+ *
+ * Ejecutar: npm test (con los emuladores de Firestore y Functions
+ * corriendo: npm run serve)
+ */
+
+process.env.FIRESTORE_EMULATOR_HOST = process.env.FIRESTORE_EMULATOR_HOST || '127.0.0.1:8080';
+
+const { initializeApp, deleteApp } = require('firebase-admin/app');
+const { getFirestore } = require('firebase-admin/firestore');
+const { AUDITED_COLLECTIONS } = require('./audit');
+
+// ============================================================================
+// CONFIGURACIÓN
+// ============================================================================
+
+const PROJECT_ID = 'demo-ambukit';
+const POLL_INTERVAL_MS = 250;
+const POLL_TIMEOUT_MS = 15000;
+
+const app = initializeApp({ projectId: PROJECT_ID }, 'triggers-test');
+const db = getFirestore(app);
+
+afterAll(async () => {
+  await deleteApp(app);
+});
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Espera hasta que haya `count` auditLogs de la entidad y los devuelve
+ * ordenados por acción (create, update, delete)
+ */
+async function waitForAuditLogs(entityId, count) {
+  const order = ['create', 'update', 'delete'];
+  const deadline = Date.now() + POLL_TIMEOUT_MS;
+  let logs = [];
+  while (Date.now() < deadline) {
+    const snapshot = await db.collection('auditLogs').where('entityId', '==', entityId).get();
+    logs = snapshot.docs.map((doc) => doc.data());
+    if (logs.length >= count) {
+      return logs.sort((a, b) => order.indexOf(a.actionRaw) - order.indexOf(b.actionRaw));
+    }
+    await new Promise((resolve) => setTimeout(resolve, POLL_INTERVAL_MS));
+  }
+  throw new Error(`Solo ${logs.length} de ${count} auditLogs para ${entityId}`);
+}
+
+/**
+ * Id único por test para no mezclar auditLogs entre ejecuciones
+ */
+function uniqueId(prefix) {
+  return `${prefix}_${Date.now()}_${Math.floor(Math.random() * 1e6)}`;
+}
+
+// ============================================================================
+// TESTS
+// ============================================================================
+
+describe('Audit Triggers', () => {
+  test.each(Object.entries(AUDITED_COLLECTIONS))(
+    '%s registra create, update y delete como %s',
+    async (collection, entityRaw) => {
+      const docId = uniqueId(entityRaw);
+      const ref = db.collection(collection).doc(docId);
+
+      await ref.set({ name: 'Original', createdAt: new Date(), updatedAt: new Date() });
+      await waitForAuditLogs(docId, 1);
+      await ref.update({ name: 'Editado' });
+      await waitForAuditLogs(docId, 2);
+      await ref.delete();
+      const logs = await waitForAuditLogs(docId, 3);
+
+      expect(logs.map((log) => log.actionRaw)).toEqual(['create', 'update', 'delete']);
+      for (const log of logs) {
+        expect(log.entityRaw).toBe(entityRaw);
+        expect(log.entityId).toBe(docId);
+        expect(log.timestamp).toBeDefined();
+      }
+      expect(JSON.parse(logs[1].details)).toEqual({
+        before: { name: 'Original' },
+        after: { name: 'Editado' }
+      });
+    }
+  );
+
+  test('los cambios del Admin SDK no tienen actor de la app', async () => {
+    const docId = uniqueId('base');
+    await db.collection('bases').doc(docId).set({ name: 'Base Admin' });
+    const [log] = await waitForAuditLogs(docId, 1);
+    expect(log.actorUid).toBeUndefined();
+    expect(log.actorUsername).toBeUndefined();
+  });
+});